@@ -0,0 +1,253 @@
+/*
+ * attractMode.js - Attract Mode
+ * SOMETHING TO WATCH UNTIL SOMEONE STEPS IN
+ *
+ * Once nobody has been tracked for CONFIG.attract.idleTime, the wall starts
+ * performing for passers-by:
+ * - the captures on the wall redraw themselves one at a time, oldest
+ *   first: the outline is traced like a pen stroke, then its photos and
+ *   collage fade back in
+ * - archive photos take turns in a highlight frame
+ * - a pulsing prompt asks people to step in front of the camera
+ *
+ * The first pose result with a person in it ends attract mode at once
+ * (gotPoses calls wake()), so the countdown never starts under the prompt.
+ * Display-only instances (see wallSync.js) have no camera and never enter it.
+ *
+ * The prompt and highlight are drawn after the time-lapse snapshot, so they
+ * stay out of the recording.
+ */
+
+// Share of a capture's draw-in time spent tracing the outline; the rest fades its photos in
+const ATTRACT_OUTLINE_SHARE = 0.7;
+
+/**
+ * When attract mode is on
+ *
+ * @param {Object} options
+ * @param {Function} options.now - Clock in ms (millis in the sketch)
+ * @param {number} options.idleTime - Ms without anyone tracked before it starts
+ */
+function createAttractMode(options) {
+    const now = options.now;
+    const idleTime = options.idleTime;
+
+    let idleSince = now();
+    let startedAt = null;
+
+    const attract = {
+        isActive() {
+            return startedAt !== null;
+        },
+
+        /**
+         * Ms since attract mode started (0 when it isn't on)
+         */
+        getElapsed() {
+            return startedAt === null ? 0 : now() - startedAt;
+        },
+
+        /**
+         * Called every frame with how many people are tracked
+         */
+        update(peopleCount) {
+            if (peopleCount > 0) {
+                attract.wake();
+            } else if (startedAt === null && now() - idleSince >= idleTime) {
+                startedAt = now();
+            }
+        },
+
+        /**
+         * Someone is there - stop now and restart the idle timer
+         */
+        wake() {
+            idleSince = now();
+            startedAt = null;
+        },
+
+        /**
+         * Start without waiting for the idle time (the 'a' key)
+         */
+        start() {
+            if (startedAt === null) startedAt = now();
+        }
+    };
+
+    return attract;
+}
+
+/**
+ * Which capture is redrawing itself and how far along it is
+ *
+ * Each capture gets drawDuration to draw in, then stays for holdDuration
+ * before the next one starts; after the newest it starts over.
+ *
+ * @returns {{index, outlineProgress, imageProgress}|null} null without captures
+ */
+function getAttractReplayStep(elapsed, count, settings) {
+    if (count === 0) return null;
+
+    const period = settings.drawDuration + settings.holdDuration;
+    const progress = Math.min(1, (elapsed % period) / settings.drawDuration);
+
+    return {
+        index: Math.floor(elapsed / period) % count,
+        outlineProgress: Math.min(1, progress / ATTRACT_OUTLINE_SHARE),
+        imageProgress: Math.max(0, (progress - ATTRACT_OUTLINE_SHARE) / (1 - ATTRACT_OUTLINE_SHARE))
+    };
+}
+
+/**
+ * Which archive photo is highlighted and how visible it is
+ * Photos fade in and out over the first and last fifth of their turn.
+ *
+ * @returns {{index, alpha}|null} null without photos
+ */
+function getAttractHighlight(elapsed, count, interval) {
+    if (count === 0) return null;
+
+    const t = (elapsed % interval) / interval;
+    return {
+        index: Math.floor(elapsed / interval) % count,
+        alpha: Math.min(1, t / 0.2, (1 - t) / 0.2)
+    };
+}
+
+/**
+ * The start of a set of closed contours, as open polylines
+ *
+ * Contours are traced one after the other; progress is the share of their
+ * total length (closing segments included) that has been drawn.
+ *
+ * @param {Array} contours - Arrays of {x, y}
+ * @param {number} progress - 0 to 1
+ * @returns {Array} Open polylines
+ */
+function trimContours(contours, progress) {
+    const closed = contours
+        .filter(contour => contour && contour.length > 1)
+        .map(contour => contour.concat([contour[0]]));
+    const lengths = closed.map(getPolylineLength);
+    let remaining = Math.max(0, Math.min(1, progress)) * lengths.reduce((sum, length) => sum + length, 0);
+
+    const trimmed = [];
+    for (let i = 0; i < closed.length && remaining > 0; i++) {
+        if (lengths[i] <= remaining) {
+            trimmed.push(closed[i]);
+            remaining -= lengths[i];
+            continue;
+        }
+
+        // Cut this contour where the remaining length runs out
+        const partial = [closed[i][0]];
+        for (let j = 1; j < closed[i].length; j++) {
+            const a = closed[i][j - 1];
+            const b = closed[i][j];
+            const segment = Math.hypot(b.x - a.x, b.y - a.y);
+            if (segment >= remaining) {
+                const t = segment === 0 ? 0 : remaining / segment;
+                partial.push({x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t});
+                break;
+            }
+            partial.push(b);
+            remaining -= segment;
+        }
+        trimmed.push(partial);
+        remaining = 0;
+    }
+    return trimmed;
+}
+
+function getPolylineLength(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+        length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+    }
+    return length;
+}
+
+// ========== DRAWING ==========
+
+/**
+ * What drawCommemorativeObjects should redraw, or null outside attract mode
+ * Captures that are already fading out are skipped.
+ *
+ * @returns {{id, outlineProgress, imageProgress}|null}
+ */
+function getAttractReveal(attract, objects) {
+    if (!attract.isActive()) return null;
+
+    const candidates = objects.filter(obj => obj.retiredAt === undefined);
+    const step = getAttractReplayStep(attract.getElapsed(), candidates.length, CONFIG.attract);
+    if (!step) return null;
+
+    return {id: candidates[step.index].id, outlineProgress: step.outlineProgress, imageProgress: step.imageProgress};
+}
+
+/**
+ * An outline still being traced - a plain open stroke, styles take over once it's closed
+ */
+function drawPartialOutline(contours, progress, look) {
+    push();
+    noFill();
+    stroke(...look.color);
+    strokeWeight(Math.max(look.weight, 1));
+    strokeJoin(ROUND);
+    strokeCap(ROUND);
+
+    for (const polyline of trimContours(contours, progress)) {
+        beginShape();
+        for (const point of polyline) vertex(point.x, point.y);
+        endShape();
+    }
+    pop();
+}
+
+/**
+ * The highlighted archive photo and the prompt, over everything else
+ */
+function drawAttractOverlay(attract, images) {
+    if (!attract.isActive()) return;
+
+    const settings = CONFIG.attract;
+    const elapsed = attract.getElapsed();
+    const highlight = getAttractHighlight(elapsed, images.length, settings.highlightInterval);
+
+    push();
+    if (highlight) {
+        const img = images[highlight.index];
+        const boxSize = height * settings.highlightSize;
+        const scale = Math.min(boxSize / img.width, boxSize / img.height);
+        const w = img.width * scale;
+        const h = img.height * scale;
+        const x = (width - w) / 2;
+        const y = (height - h) / 2 - height * 0.05;
+
+        noFill();
+        stroke(255, 200 * highlight.alpha);
+        strokeWeight(2);
+        rect(x - 8, y - 8, w + 16, h + 16, 4);
+        tint(255, 255 * highlight.alpha);
+        image(img, x, y, w, h);
+        noTint();
+    }
+
+    // A slow pulse, fully visible at its peak
+    const pulse = 0.6 + 0.4 * Math.sin(elapsed / 600);
+    noStroke();
+    fill(255, 255 * pulse);
+    textAlign(CENTER, CENTER);
+    textSize(settings.promptSize);
+    text(settings.prompt, width / 2, height * 0.85);
+    pop();
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        createAttractMode,
+        getAttractReplayStep,
+        getAttractHighlight,
+        trimContours
+    };
+}
@@ -12,35 +12,37 @@
 
 let captureBodySegmentation = null;
 let captureInProgress = false;
+let queuedCaptures = [];   // Requests that arrived while a capture was running
 let graphicsBuffer = null; // Reusable graphics buffer
+let captureStartTime = null; // When the running capture started (for latency)
+let captureLatency = {last: null, total: 0, count: 0};
 
-// Optimized configuration for clean captures
-const captureSegmentationOptions = {
-    maskType: "background",
-    segmentationThreshold: 0.3, // Lower threshold for cleaner captures
-    // outputStride: 16, // Reduced stride for better performance
-    // quantBytes: 2, // Reduced quantization for lower memory usage
-    runtime: "tfjs",    
-    // internalResolution: "low",
-    // multiSegmentation: true, // Single segmentation for simplicity
-    multiplier: 0.25,
-    // modelType: "general",
-    architecture: 'MobileNetV1',
-    flipped: true
-    
-};
+// Segmentation options come from CONFIG.segmentation (see config.js)
 
 /**
  * Initialize body segmentation for commemorative captures
  * Optimized for minimal memory footprint and clean resource management
  */
 function initializeBodySegmentationForCapture(videoElement, onCaptureComplete) {
-    if (captureInProgress) return;
+    if (captureInProgress) {
+        // Per-person countdowns can complete back to back - run them in turn
+        queuedCaptures.push({videoElement, onCaptureComplete});
+        return;
+    }
     
     captureInProgress = true;
+    captureStartTime = performance.now();
+    
+    // Replay mode: use a recorded mask instead of running the model on the camera
+    if (isReplayActive()) {
+        const replayMask = getReplaySegmentationMask();
+        handleCaptureResult(replayMask ? {mask: replayMask} : null, onCaptureComplete);
+        return;
+    }
     
     if (!captureBodySegmentation) {
-        captureBodySegmentation = ml5.bodySegmentation("BodyPix", captureSegmentationOptions, modelLoaded);
+        // Unflipped masks - videoTransform.js mirrors them together with the poses
+        captureBodySegmentation = ml5.bodySegmentation("BodyPix", {...CONFIG.segmentation}, modelLoaded);
     } else {
         performSingleCapture(videoElement, onCaptureComplete);
     }
@@ -55,7 +57,8 @@ function initializeBodySegmentationForCapture(videoElement, onCaptureComplete) {
  */
 function performSingleCapture(videoElement, onCaptureComplete) {
     if (!captureBodySegmentation) {
-        captureInProgress = false;
+        // No model to run - report a failed capture so the interaction moves on
+        handleCaptureResult(null, onCaptureComplete);
         return;
     }
     
@@ -69,18 +72,46 @@ function performSingleCapture(videoElement, onCaptureComplete) {
  */
 function handleCaptureResult(result, onCaptureComplete) {
     captureInProgress = false;
+    recordCaptureLatency();
     
     if (!result || !result.mask) {
         if (onCaptureComplete) onCaptureComplete(null);
+        startQueuedCapture();
         return;
     }
     
+    // Keep the raw mask when a pose recording is running so captures can be replayed
+    recordSegmentationMask(result.mask);
+    
     // Process with optimized enhancement
     const enhancedResult = enhanceForCommemorative(result);
     
     if (onCaptureComplete) {
         onCaptureComplete(enhancedResult);
     }
+    startQueuedCapture();
+}
+
+/**
+ * Time from starting a capture to its result (the first one includes loading the model)
+ */
+function recordCaptureLatency() {
+    if (captureStartTime === null) return;
+    
+    captureLatency.last = performance.now() - captureStartTime;
+    captureLatency.total += captureLatency.last;
+    captureLatency.count++;
+    captureStartTime = null;
+}
+
+/**
+ * Start the next capture that was requested while the model was busy
+ */
+function startQueuedCapture() {
+    if (captureInProgress || queuedCaptures.length === 0) return;
+    
+    const next = queuedCaptures.shift();
+    initializeBodySegmentationForCapture(next.videoElement, next.onCaptureComplete);
 }
 
 /**
@@ -149,6 +180,122 @@ function applyCommemoratveEnhancement(originalMask) {
     return graphicsBuffer;
 }
 
+/**
+ * Split one merged segmentation mask into one mask per person
+ *
+ * BodyPix gives us a single silhouette for everyone in the frame. We rebuild
+ * a rough stick figure for each tracked person from their keypoints (head to
+ * shoulders, across the shoulders, down each arm, and a body axis from the
+ * shoulders to the floor) and hand every foreground pixel to the person whose
+ * stick figure is closest. Think of it as drawing a border halfway between
+ * people who are touching.
+ *
+ * @param {Object} maskData - {pixels, width, height} with RGBA pixels
+ * @param {Array} people - [{personId, keypoints}]
+ * @param {Function} [isForeground] - (alpha) => boolean, isForegroundAlpha (edgeDetection.js) by default
+ * @returns {Array} [{personId, pixels, width, height}], one mask per person
+ */
+function splitMaskByPeople(maskData, people, isForeground = isForegroundAlpha) {
+    const {pixels, width, height} = maskData;
+    const skeletons = people.map(person => buildPersonSkeleton(person.keypoints, height));
+
+    // Alpha that the edge tracer reads as background
+    const backgroundAlpha = isForeground(255) ? 0 : 255;
+
+    const personMasks = people.map(person => {
+        const personPixels = new Uint8ClampedArray(pixels.length);
+        for (let i = 3; i < personPixels.length; i += 4) {
+            personPixels[i] = backgroundAlpha;
+        }
+        return {personId: person.personId, pixels: personPixels, width, height};
+    });
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const alphaIdx = (y * width + x) * 4 + 3;
+            if (!isForeground(pixels[alphaIdx])) continue;
+
+            let closestPerson = 0;
+            let closestDistance = Infinity;
+
+            for (let p = 0; p < skeletons.length; p++) {
+                const distance = distanceToSkeletonSquared(x, y, skeletons[p]);
+                if (distance < closestDistance) {
+                    closestDistance = distance;
+                    closestPerson = p;
+                }
+            }
+
+            personMasks[closestPerson].pixels[alphaIdx] = pixels[alphaIdx];
+        }
+    }
+
+    return personMasks;
+}
+
+/**
+ * Turn tracked keypoints into line segments approximating the body
+ */
+function buildPersonSkeleton(keypoints, maskHeight) {
+    const byName = {};
+    for (const kp of keypoints) byName[kp.name] = kp;
+
+    const segments = [];
+    const addSegment = (a, b) => {
+        if (a && b) segments.push({x1: a.x, y1: a.y, x2: b.x, y2: b.y});
+    };
+
+    const leftShoulder = byName.left_shoulder;
+    const rightShoulder = byName.right_shoulder;
+    let shoulderCenter = leftShoulder || rightShoulder;
+
+    if (leftShoulder && rightShoulder) {
+        shoulderCenter = {
+            x: (leftShoulder.x + rightShoulder.x) / 2,
+            y: (leftShoulder.y + rightShoulder.y) / 2
+        };
+    }
+
+    addSegment(byName.nose, shoulderCenter);
+    addSegment(leftShoulder, rightShoulder);
+    addSegment(leftShoulder, byName.left_wrist);
+    addSegment(rightShoulder, byName.right_wrist);
+
+    // Visitors are standing: the torso and legs hang below the shoulders
+    if (shoulderCenter) {
+        addSegment(shoulderCenter, {x: shoulderCenter.x, y: maskHeight});
+    }
+
+    // Not enough keypoints to connect - fall back to the points themselves
+    if (segments.length === 0) {
+        for (const kp of keypoints) addSegment(kp, kp);
+    }
+
+    return segments;
+}
+
+function distanceToSkeletonSquared(x, y, segments) {
+    let closest = Infinity;
+
+    for (const s of segments) {
+        const dx = s.x2 - s.x1;
+        const dy = s.y2 - s.y1;
+        const lengthSquared = dx * dx + dy * dy;
+
+        let t = 0;
+        if (lengthSquared > 0) {
+            t = Math.max(0, Math.min(1, ((x - s.x1) * dx + (y - s.y1) * dy) / lengthSquared));
+        }
+
+        const ex = x - (s.x1 + t * dx);
+        const ey = y - (s.y1 + t * dy);
+        const distance = ex * ex + ey * ey;
+        if (distance < closest) closest = distance;
+    }
+
+    return closest;
+}
+
 /**
  * Clean up resources to prevent memory leaks
  */
@@ -168,6 +315,17 @@ function getCaptureInfo() {
     return {
         modelLoaded: captureBodySegmentation !== null,
         captureInProgress: captureInProgress,
+        queuedCaptures: queuedCaptures.length,
+        lastLatency: captureLatency.last,
+        averageLatency: captureLatency.count > 0 ? captureLatency.total / captureLatency.count : null,
         optimizedFor: "memory_efficient_capture"
     };
-}
\ No newline at end of file
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        splitMaskByPeople,
+        buildPersonSkeleton,
+        distanceToSkeletonSquared
+    };
+}
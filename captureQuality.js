@@ -0,0 +1,143 @@
+/*
+ * captureQuality.js - Capture Quality Gate
+ * ONLY GOOD CAPTURES MAKE IT ONTO THE WALL
+ *
+ * With CONFIG.capture.quality.enabled, every countdown or gesture capture
+ * is checked twice before it becomes a permanent commemorative object
+ * (the growth interaction keeps its own rules):
+ *
+ * 1. When the countdown completes, from the tracked keypoints alone:
+ *    - keypointConfidence: the average ml5 confidence of each person
+ *    - inFrame:            each person's keypoints keep a margin from the
+ *                          edges of the camera picture (not the canvas - a
+ *                          letterboxed video ends before it) and aren't a
+ *                          tiny background figure
+ *    - motion:             nobody's fastest keypoint moves faster than
+ *                          maxMotion (measured by interactionCore.js)
+ * 2. Once segmentation has run:
+ *    - segmentation:       there is a mask at all
+ *    - maskCoverage:       enough of the canvas is foreground
+ *    - outlineLength:      each person's outline has enough points
+ *                          (analyzeContours)
+ *
+ * A capture failing either step is dropped; the countdown restarts with
+ * CONFIG.countdown.retryDuration instead of the full duration (gesture
+ * captures just wait for the gesture again). Every rejection is logged
+ * with its reasons and shown in the diagnostics panel.
+ *
+ * The gate only judges; interactionCore.js decides what happens next.
+ */
+
+/**
+ * Quality checks with thresholds from CONFIG.capture.quality
+ *
+ * @param {Object} settings - CONFIG.capture.quality
+ * @param {Object} options
+ * @param {Function} options.getFrameRect - () => {x, y, width, height}: the visible camera picture in canvas pixels
+ * @param {Function} options.countOutlinePoints - (contours) => points, e.g. from analyzeContours
+ * @returns {{checkPeople, checkSegmentation}} Both return the reasons a capture fails ([] = passes)
+ */
+function createCaptureQualityGate(settings, options) {
+    const getFrameRect = options.getFrameRect;
+    const countOutlinePoints = options.countOutlinePoints;
+
+    /**
+     * Before segmentation: keypoints of the people about to be captured
+     * @param {Array} people - [{personId, keypoints, motion}]
+     */
+    function checkPeople(people) {
+        const reasons = [];
+        const frame = getFrameRect();
+
+        for (const person of people) {
+            const label = describePerson(person);
+            const keypoints = person.keypoints || [];
+            if (keypoints.length === 0) continue;
+
+            const confidence = keypoints.reduce((sum, kp) => sum + (kp.confidence || 0), 0) / keypoints.length;
+            if (confidence < settings.minKeypointConfidence) {
+                reasons.push(`${label}: keypoint confidence ${confidence.toFixed(2)} < ${settings.minKeypointConfidence}`);
+            }
+
+            const bounds = getKeypointBounds(keypoints);
+            const margin = settings.frameMargin;
+            if (bounds.left < frame.x + margin || bounds.top < frame.y + margin ||
+                bounds.right > frame.x + frame.width - margin || bounds.bottom > frame.y + frame.height - margin) {
+                reasons.push(`${label}: too close to the edge of the frame`);
+            }
+
+            const size = Math.max(bounds.right - bounds.left, bounds.bottom - bounds.top) / frame.height;
+            if (size < settings.minBodySize) {
+                reasons.push(`${label}: too small (${Math.round(size * 100)}% of the frame)`);
+            }
+
+            if ((person.motion || 0) > settings.maxMotion) {
+                reasons.push(`${label}: moving (${Math.round(person.motion)} px/s)`);
+            }
+        }
+
+        return reasons;
+    }
+
+    /**
+     * After segmentation
+     * @param {Array} people - The same people as checkPeople
+     * @param {Array|null} outlines - From the captureOutline hook, null without a mask
+     * @param {Object} [measurements] - {maskCoverage} from the captureOutline hook
+     */
+    function checkSegmentation(people, outlines, measurements = {}) {
+        if (!outlines) return ["no segmentation"];
+
+        const reasons = [];
+        const coverage = measurements.maskCoverage;
+        if (coverage !== undefined && coverage < settings.minMaskCoverage) {
+            reasons.push(`mask coverage ${(coverage * 100).toFixed(1)}% < ${(settings.minMaskCoverage * 100).toFixed(1)}%`);
+        }
+
+        for (const person of people) {
+            const outline = outlines.find(candidate => candidate.personId === person.personId);
+            const points = outline ? countOutlinePoints(outline.contours) : 0;
+            if (points < settings.minOutlinePoints) {
+                reasons.push(`${describePerson(person)}: outline too short (${points} points)`);
+            }
+        }
+
+        return reasons;
+    }
+
+    return {checkPeople, checkSegmentation};
+}
+
+function describePerson(person) {
+    return person.personId === null || person.personId === undefined ? "capture" : `person ${person.personId}`;
+}
+
+function getKeypointBounds(keypoints) {
+    const xs = keypoints.map(kp => kp.x);
+    const ys = keypoints.map(kp => kp.y);
+    return {left: Math.min(...xs), top: Math.min(...ys), right: Math.max(...xs), bottom: Math.max(...ys)};
+}
+
+/**
+ * Share of mask pixels that are foreground, from 0 to 1
+ * @param {Object} maskData - Anything with RGBA pixels, e.g. a p5.Graphics after loadPixels()
+ * @param {Function} isForeground - (alpha) => boolean, isForegroundAlpha in the sketch
+ */
+function getMaskCoverage(maskData, isForeground) {
+    // From the pixel array, which also covers high-density buffers
+    const total = maskData.pixels.length / 4;
+    if (total === 0) return 0;
+
+    let foreground = 0;
+    for (let i = 3; i < maskData.pixels.length; i += 4) {
+        if (isForeground(maskData.pixels[i])) foreground++;
+    }
+    return foreground / total;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        createCaptureQualityGate,
+        getMaskCoverage
+    };
+}
@@ -0,0 +1,659 @@
+/*
+ * config.js - Installation Configuration
+ * ONE FILE TO TUNE A VENUE, NO SOURCE EDITS NEEDED
+ *
+ * Every tunable of the installation lives in DEFAULT_CONFIG below. At startup
+ * config.json is loaded on top of the defaults, then URL query parameters
+ * override single keys using dotted names:
+ *
+ *   index.html?countdown.duration=5000&wall.maxObjects=20
+ *   index.html?people.colors=[[255,0,0],[0,0,255]]
+ *
+ * Values are parsed as JSON when possible (numbers, booleans, arrays) and
+ * used as plain strings otherwise. Every value is checked against
+ * CONFIG_SCHEMA; bad values are reported on screen and replaced by their
+ * default so the installation still starts.
+ *
+ * Modules read their settings from CONFIG at the moment they need them,
+ * e.g. CONFIG.segmentation or CONFIG.contours.
+ */
+
+const CONFIG_URL = "config.json";
+
+const DEFAULT_CONFIG = {
+    interaction: {
+        mode: "countdown"           // "countdown" (shared countdown) or "growth" (images grow on keypoints)
+    },
+    capture: {
+        trigger: "countdown",       // "countdown", or "gesture" to capture people when they hold a gesture
+        gestures: ["handsUp", "tPose", "wave"], // Which gestures from gestures.js trigger a capture
+        quality: {
+            enabled: true,              // Drop poor captures and count down again (see captureQuality.js)
+            minMaskCoverage: 0.02,      // Share of the canvas the segmentation mask must cover
+            minKeypointConfidence: 0.5, // Average ml5 confidence of each person's keypoints
+            frameMargin: 10,            // Keypoints must stay this many pixels inside the canvas
+            minBodySize: 0.1,           // Each person's keypoints must span this share of the canvas height
+            maxMotion: 250,             // Fastest keypoint movement allowed at capture, in px per second
+            minOutlinePoints: 40        // Each person's outline needs at least this many points
+        }
+    },
+    gestures: {
+        // Hold time (ms) and keypoint confidence per gesture
+        handsUp: {holdTime: 1000, minConfidence: 0.5},
+        tPose: {holdTime: 1000, minConfidence: 0.5},
+        wave: {holdTime: 500, minConfidence: 0.4}
+    },
+    countdown: {
+        duration: 3000,             // 3 seconds - how long people hold before capture
+        perPerson: false,           // Everyone gets their own countdown and their own capture
+        retryDuration: 1500,        // Shorter countdown after a capture the quality gate rejected
+        holdStill: {
+            enabled: true,          // Hold the countdown back while someone moves
+            window: 500,            // Keypoint velocity is measured over this many ms
+            threshold: 150,         // Fastest keypoint speed (px per second) that still counts as still
+            onMovement: "pause",    // "pause" the countdown and fade, or "rewind" them
+            rewindSpeed: 1,         // How fast "rewind" runs back, relative to the countdown
+            prompt: "Hold still"    // Shown above whoever is moving
+        }
+    },
+    wall: {
+        maxObjects: 10,             // How many commemorative objects to keep
+        lifetime: 0,                // Captures fade over this many ms and then leave (0 = keep until pushed out)
+        fadeOutDuration: 2000,      // How long a capture takes to fade out before it is removed
+        agedStrength: 0.3           // How visible a capture still is at the end of its lifetime (0 to 1)
+    },
+    images: {
+        manifest: "images/manifest.json", // Written by generateImageNames.js; images load from its folder
+        useThumbnails: false        // Load the downscaled copies instead of the originals (needs sharp, see generateImageNames.js)
+    },
+    people: {
+        // Multi-person color palette - each person gets assigned one of these colors
+        colors: [
+            [0, 255, 0],     // Bright green (person 1)
+            [255, 100, 0],   // Orange (person 2)
+            [0, 100, 255],   // Blue (person 3)
+            [255, 0, 255],   // Magenta (person 4)
+            [255, 255, 0],   // Yellow (person 5)
+            [0, 255, 255],   // Cyan (person 6)
+            [255, 0, 100],   // Pink (person 7)
+            [100, 255, 0]    // Lime (person 8)
+        ],
+        fadeEndColor: [0, 0, 0],    // All colors fade to black during the countdown
+        timeout: 1000               // Forget people not seen for this long (ms)
+    },
+    keypoints: {
+        dotSize: 16,                // Size of countdown dots
+        minConfidence: 0.4,         // ml5 confidence needed to trust a keypoint
+        smoothing: 0.3              // Lerp factor for keypoint jitter reduction
+    },
+    segmentation: {
+        maskType: "background",
+        segmentationThreshold: 0.3, // Lower threshold for cleaner captures
+        runtime: "tfjs",
+        multiplier: 0.25,
+        architecture: "MobileNetV1"
+    },
+    video: {
+        fit: "contain",             // contain (letterbox), cover (crop), stretch or none (video pixels = canvas pixels)
+        mirror: true,               // Flip left and right so visitors see themselves as in a mirror
+        rotation: 0                 // Clockwise degrees (0, 90, 180, 270) for cameras mounted sideways
+    },
+    placement: {
+        strategy: "horizonLine",    // onKeypoint, horizonLine, shoulderCentre, alongOutline or radialBurst
+        // Sizes are the longer side of an image in pixels; jitter is the largest random offset
+        onKeypoint: {minSize: 100, maxSize: 140, jitter: 0},
+        horizonLine: {minSize: 200, maxSize: 300, jitter: 20, y: 100},
+        shoulderCentre: {minSize: 100, maxSize: 140, jitter: 0, centreScale: 2},
+        alongOutline: {minSize: 80, maxSize: 140, jitter: 10, count: 8},
+        radialBurst: {minSize: 80, maxSize: 160, jitter: 20, count: 8, radius: 220}
+    },
+    lanes: {
+        enabled: false,             // Split the wall into lanes instead of one free-for-all canvas
+        layout: "rows",             // "rows", "columns", "arc" or "polygons"
+        count: 3,                   // Number of rows, columns or arcs
+        fill: "inOrder",            // "inOrder" (emptiest lane next) or "byPerson" (lane by person color)
+        margin: 0.03,               // Empty border around the lanes, as a share of the canvas
+        // Arcs: centre and outer radius relative to the canvas, angles in degrees (0 = right, 90 = down)
+        arc: {centerX: 0.5, centerY: 1.0, radius: 0.9, thickness: 0.6, startAngle: 180, endAngle: 360},
+        // Custom lanes: [x, y] points as fractions of the canvas width and height
+        polygons: [
+            [[0.0, 0.0], [0.5, 0.0], [0.4, 1.0], [0.0, 1.0]],
+            [[0.5, 0.0], [1.0, 0.0], [1.0, 1.0], [0.4, 1.0]]
+        ],
+        showGuides: false           // Draw the lane outlines (for setting up a venue)
+    },
+    packing: {
+        enabled: true,              // Keep new images from burying the photos already on the wall
+        maxOverlap: 0.25,           // Largest share of a photo that another photo may cover
+        maxNudge: 150,              // How far (px) an image may move from where its strategy put it
+        step: 20,                   // Spacing (px) of the positions tried when re-slotting
+        minScale: 0.6,              // How far an image may shrink to fit
+        relaxIterations: 8,         // Push-apart steps before searching for a free slot
+        cellSize: 100               // Spatial index cell size (px)
+    },
+    collage: {
+        enabled: false,             // Fill each captured silhouette with archive photos
+        keepPlacedImages: true,     // Also place images with the placement strategy
+        tileSize: 90,               // Photo tile size (px) inside the silhouette
+        sizeVariation: 0.6,         // Tiles grow up to this share larger, so they overlap
+        jitter: 0.4,                // Random tile offset, as a share of tileSize
+        resolution: 0.5,            // Collage buffer scale (lower = less memory per capture)
+        opacity: 0.9                // Collage opacity before the capture's own fading
+    },
+    growth: {
+        targetKeypoints: [
+            "nose",
+            "left_shoulder", "right_shoulder",
+            "left_wrist", "right_wrist"
+        ],
+        minSize: 20,                // Starting size when image first appears
+        maxSize: 120,               // Full size when growth is complete
+        growthRate: 0.2,            // Share of the size range gained per second when person present
+        shrinkRate: 2.0,            // Share of the size range lost per second when person absent
+        captureThreshold: 0.9,      // What percentage of max size triggers capture
+        minConfidence: 0.3,         // Minimum ml5 confidence to trust a keypoint
+        gracePeriod: 500,           // Milliseconds to keep growing after person disappears
+        minKeypointsForCapture: 3,  // How many mature keypoints needed to trigger capture
+        positionJitter: 15,         // Random offset from exact keypoint position
+        sizeVariation: 20           // Random variation in final size
+    },
+    diagnostics: {
+        visible: false,             // Show the operator panel from the start (toggle with 'i')
+        skeleton: true              // Draw the live skeleton of every pose with the panel
+    },
+    remote: {
+        enabled: false,             // Take operator commands from remoteServer.js
+        url: "ws://localhost:8091/remote", // Where remoteServer.js runs
+        token: "",                  // Shared token, the same as the server's REMOTE_TOKEN
+        reconnectInterval: 3000     // Retry a lost connection after this many ms
+    },
+    attract: {
+        enabled: true,              // Perform for passers-by while nobody is tracked (see attractMode.js)
+        idleTime: 30000,            // Ms without anyone tracked before it starts
+        drawDuration: 4000,         // Ms for one capture to redraw itself
+        holdDuration: 2000,         // Ms it stays before the next one redraws
+        highlightInterval: 5000,    // Ms each highlighted archive photo is shown
+        highlightSize: 0.35,        // Highlight frame size relative to the canvas height
+        prompt: "Step in front of the camera",
+        promptSize: 32              // Prompt text size in pixels
+    },
+    sync: {
+        enabled: false,             // Share captures between screens (see wallSync.js)
+        role: "capture",            // "capture" (camera, countdown) or "display" (shows captures only)
+        transport: "broadcastChannel", // "broadcastChannel" (same machine) or "websocket" (remoteServer.js)
+        channel: "commemorative-wall", // BroadcastChannel name, the same on every window
+        url: "ws://localhost:8091/remote", // Where remoteServer.js runs, for "websocket"
+        token: "",                  // The server's REMOTE_TOKEN, for "websocket"
+        reconnectInterval: 3000,    // Retry a lost connection after this many ms
+        section: {                  // The part of the shared canvas this screen shows (see wallSync.js)
+            x: 0,
+            y: 0,
+            width: 1920,
+            height: 1080
+        }
+    },
+    timelapse: {
+        autoStart: false,           // Start recording as soon as the installation starts
+        interval: 60000,            // Snapshot every minute (0 = only after captures)
+        onCapture: true,            // Extra snapshot after every new commemorative object
+        scale: 0.5,                 // Frame size relative to the canvas
+        output: "download",         // "download" (zip files) or "endpoint" (timelapseHelper.js)
+        endpoint: "http://localhost:8090/timelapse",
+        maxFramesPerZip: 300        // Download a part and free memory after this many frames
+    },
+    outlines: {
+        style: "solid",             // solid, brush, dashed, dotted, glow, fill, gradientFill or sketchy
+        assign: "global",           // "global" (style above), "perCapture" or "perPerson" (cycle through styles)
+        styles: ["brush", "dashed", "glow", "sketchy"], // Styles handed out per capture / per person
+        brush: {minWidth: 0.4, maxWidth: 2.5, waves: 5},        // Width range relative to the fade weight
+        dashed: {dash: 6, gap: 4},                              // Lengths relative to the stroke weight
+        dotted: {spacing: 4, dotScale: 2},
+        glow: {passes: 4, blur: 6, spread: 1.5, intensity: 0.5},
+        fill: {opacity: 0.35, outline: true},
+        gradientFill: {opacity: 0.6, outline: false},
+        sketchy: {passes: 2, jitter: 2}                         // Jitter in pixels
+    },
+    edges: {
+        alphaThreshold: 128,           // Alpha value that separates person from background
+        foregroundIsTransparent: true, // BodyPix "background" masks leave the person transparent
+        minContourPoints: 8            // Drop degenerate loops (single-pixel specks)
+    },
+    contours: {
+        islands: {enabled: true, minArea: 400},
+        holes: {enabled: true, minArea: 150},
+        straightArtifacts: {enabled: true, minCompactness: 0.04},
+        simplify: {enabled: true, tolerance: 1.5},
+        smooth: {enabled: true, method: "chaikin", iterations: 2, segments: 4}
+    }
+};
+
+// The styles in outlineStyles.js (test/outlineStyles.test.js keeps the two in step)
+const OUTLINE_STYLE_NAMES = ["solid", "brush", "dashed", "dotted", "glow", "fill", "gradientFill", "sketchy"];
+
+// Validation rules, one per setting (dotted path -> rule); a stringList's oneOf applies to each entry
+const CONFIG_SCHEMA = {
+    "interaction.mode": {type: "string", oneOf: ["countdown", "growth"]},
+    "capture.trigger": {type: "string", oneOf: ["countdown", "gesture"]},
+    "capture.gestures": {type: "stringList"},
+    "capture.quality.enabled": {type: "boolean"},
+    "capture.quality.minMaskCoverage": {type: "number", min: 0, max: 1},
+    "capture.quality.minKeypointConfidence": {type: "number", min: 0, max: 1},
+    "capture.quality.frameMargin": {type: "number", min: 0, max: 1000},
+    "capture.quality.minBodySize": {type: "number", min: 0, max: 1},
+    "capture.quality.maxMotion": {type: "number", min: 0, max: 100000},
+    "capture.quality.minOutlinePoints": {type: "integer", min: 0, max: 100000},
+    "gestures.handsUp.holdTime": {type: "number", min: 0, max: 10000},
+    "gestures.handsUp.minConfidence": {type: "number", min: 0, max: 1},
+    "gestures.tPose.holdTime": {type: "number", min: 0, max: 10000},
+    "gestures.tPose.minConfidence": {type: "number", min: 0, max: 1},
+    "gestures.wave.holdTime": {type: "number", min: 0, max: 10000},
+    "gestures.wave.minConfidence": {type: "number", min: 0, max: 1},
+    "countdown.duration": {type: "number", min: 250, max: 60000},
+    "countdown.perPerson": {type: "boolean"},
+    "countdown.retryDuration": {type: "number", min: 0, max: 60000},
+    "countdown.holdStill.enabled": {type: "boolean"},
+    "countdown.holdStill.window": {type: "number", min: 50, max: 5000},
+    "countdown.holdStill.threshold": {type: "number", min: 0, max: 100000},
+    "countdown.holdStill.onMovement": {type: "string", oneOf: ["pause", "rewind"]},
+    "countdown.holdStill.rewindSpeed": {type: "number", min: 0, max: 10},
+    "countdown.holdStill.prompt": {type: "string"},
+    "wall.maxObjects": {type: "integer", min: 1, max: 500},
+    "wall.lifetime": {type: "number", min: 0},
+    "wall.fadeOutDuration": {type: "number", min: 0, max: 60000},
+    "wall.agedStrength": {type: "number", min: 0, max: 1},
+    "images.manifest": {type: "string"},
+    "images.useThumbnails": {type: "boolean"},
+    "people.colors": {type: "colorList"},
+    "people.fadeEndColor": {type: "color"},
+    "people.timeout": {type: "number", min: 0, max: 60000},
+    "keypoints.dotSize": {type: "number", min: 1, max: 200},
+    "keypoints.minConfidence": {type: "number", min: 0, max: 1},
+    "keypoints.smoothing": {type: "number", min: 0, max: 1},
+    "segmentation.maskType": {type: "string", oneOf: ["background", "body", "parts"]},
+    "segmentation.segmentationThreshold": {type: "number", min: 0, max: 1},
+    "segmentation.runtime": {type: "string", oneOf: ["tfjs", "mediapipe"]},
+    "segmentation.multiplier": {type: "number", oneOf: [0.25, 0.5, 0.75, 1]},
+    "segmentation.architecture": {type: "string", oneOf: ["MobileNetV1", "ResNet50"]},
+    "video.fit": {type: "string", oneOf: ["contain", "cover", "stretch", "none"]},
+    "video.mirror": {type: "boolean"},
+    "video.rotation": {type: "integer", oneOf: [0, 90, 180, 270]},
+    "placement.strategy": {type: "string", oneOf: ["onKeypoint", "horizonLine", "shoulderCentre", "alongOutline", "radialBurst"]},
+    "placement.onKeypoint.minSize": {type: "number", min: 1, max: 2000},
+    "placement.onKeypoint.maxSize": {type: "number", min: 1, max: 2000},
+    "placement.onKeypoint.jitter": {type: "number", min: 0, max: 500},
+    "placement.horizonLine.minSize": {type: "number", min: 1, max: 2000},
+    "placement.horizonLine.maxSize": {type: "number", min: 1, max: 2000},
+    "placement.horizonLine.jitter": {type: "number", min: 0, max: 500},
+    "placement.horizonLine.y": {type: "number"},
+    "placement.shoulderCentre.minSize": {type: "number", min: 1, max: 2000},
+    "placement.shoulderCentre.maxSize": {type: "number", min: 1, max: 2000},
+    "placement.shoulderCentre.jitter": {type: "number", min: 0, max: 500},
+    "placement.shoulderCentre.centreScale": {type: "number", min: 0.1, max: 10},
+    "placement.alongOutline.minSize": {type: "number", min: 1, max: 2000},
+    "placement.alongOutline.maxSize": {type: "number", min: 1, max: 2000},
+    "placement.alongOutline.jitter": {type: "number", min: 0, max: 500},
+    "placement.alongOutline.count": {type: "integer", min: 1, max: 100},
+    "placement.radialBurst.minSize": {type: "number", min: 1, max: 2000},
+    "placement.radialBurst.maxSize": {type: "number", min: 1, max: 2000},
+    "placement.radialBurst.jitter": {type: "number", min: 0, max: 500},
+    "placement.radialBurst.count": {type: "integer", min: 1, max: 100},
+    "placement.radialBurst.radius": {type: "number", min: 0, max: 5000},
+    "lanes.enabled": {type: "boolean"},
+    "lanes.layout": {type: "string", oneOf: ["rows", "columns", "arc", "polygons"]},
+    "lanes.count": {type: "integer", min: 1, max: 50},
+    "lanes.fill": {type: "string", oneOf: ["inOrder", "byPerson"]},
+    "lanes.margin": {type: "number", min: 0, max: 0.4},
+    "lanes.arc.centerX": {type: "number"},
+    "lanes.arc.centerY": {type: "number"},
+    "lanes.arc.radius": {type: "number", min: 0.05, max: 2},
+    "lanes.arc.thickness": {type: "number", min: 0.05, max: 1},
+    "lanes.arc.startAngle": {type: "number", min: -360, max: 720},
+    "lanes.arc.endAngle": {type: "number", min: -360, max: 720},
+    "lanes.polygons": {type: "polygonList"},
+    "lanes.showGuides": {type: "boolean"},
+    "packing.enabled": {type: "boolean"},
+    "packing.maxOverlap": {type: "number", min: 0, max: 1},
+    "packing.maxNudge": {type: "number", min: 0, max: 2000},
+    "packing.step": {type: "number", min: 1, max: 500},
+    "packing.minScale": {type: "number", min: 0.1, max: 1},
+    "packing.relaxIterations": {type: "integer", min: 0, max: 100},
+    "packing.cellSize": {type: "number", min: 10, max: 2000},
+    "collage.enabled": {type: "boolean"},
+    "collage.keepPlacedImages": {type: "boolean"},
+    "collage.tileSize": {type: "number", min: 10, max: 1000},
+    "collage.sizeVariation": {type: "number", min: 0, max: 3},
+    "collage.jitter": {type: "number", min: 0, max: 1},
+    "collage.resolution": {type: "number", min: 0.1, max: 1},
+    "collage.opacity": {type: "number", min: 0, max: 1},
+    "growth.targetKeypoints": {type: "stringList"},
+    "growth.minSize": {type: "number", min: 1, max: 1000},
+    "growth.maxSize": {type: "number", min: 1, max: 2000},
+    "growth.growthRate": {type: "number", min: 0, max: 10},
+    "growth.shrinkRate": {type: "number", min: 0, max: 10},
+    "growth.captureThreshold": {type: "number", min: 0, max: 1},
+    "growth.minConfidence": {type: "number", min: 0, max: 1},
+    "growth.gracePeriod": {type: "number", min: 0, max: 10000},
+    "growth.minKeypointsForCapture": {type: "integer", min: 1, max: 17},
+    "growth.positionJitter": {type: "number", min: 0, max: 200},
+    "growth.sizeVariation": {type: "number", min: 0, max: 500},
+    "diagnostics.visible": {type: "boolean"},
+    "diagnostics.skeleton": {type: "boolean"},
+    "remote.enabled": {type: "boolean"},
+    "remote.url": {type: "string"},
+    "remote.token": {type: "string"},
+    "remote.reconnectInterval": {type: "number", min: 100, max: 600000},
+    "attract.enabled": {type: "boolean"},
+    "attract.idleTime": {type: "number", min: 0, max: 3600000},
+    "attract.drawDuration": {type: "number", min: 100, max: 60000},
+    "attract.holdDuration": {type: "number", min: 0, max: 60000},
+    "attract.highlightInterval": {type: "number", min: 500, max: 60000},
+    "attract.highlightSize": {type: "number", min: 0.05, max: 1},
+    "attract.prompt": {type: "string"},
+    "attract.promptSize": {type: "number", min: 8, max: 300},
+    "sync.enabled": {type: "boolean"},
+    "sync.role": {type: "string", oneOf: ["capture", "display"]},
+    "sync.transport": {type: "string", oneOf: ["broadcastChannel", "websocket"]},
+    "sync.channel": {type: "string"},
+    "sync.url": {type: "string"},
+    "sync.token": {type: "string"},
+    "sync.reconnectInterval": {type: "number", min: 100, max: 600000},
+    "sync.section.x": {type: "number", min: 0, max: 100000},
+    "sync.section.y": {type: "number", min: 0, max: 100000},
+    "sync.section.width": {type: "number", min: 1, max: 100000},
+    "sync.section.height": {type: "number", min: 1, max: 100000},
+    "timelapse.autoStart": {type: "boolean"},
+    "timelapse.interval": {type: "number", min: 0},
+    "timelapse.onCapture": {type: "boolean"},
+    "timelapse.scale": {type: "number", min: 0.05, max: 1},
+    "timelapse.output": {type: "string", oneOf: ["download", "endpoint"]},
+    "timelapse.endpoint": {type: "string"},
+    "timelapse.maxFramesPerZip": {type: "integer", min: 1, max: 5000},
+    "outlines.style": {type: "string", oneOf: OUTLINE_STYLE_NAMES},
+    "outlines.assign": {type: "string", oneOf: ["global", "perCapture", "perPerson"]},
+    "outlines.styles": {type: "stringList", oneOf: OUTLINE_STYLE_NAMES},
+    "outlines.brush.minWidth": {type: "number", min: 0, max: 10},
+    "outlines.brush.maxWidth": {type: "number", min: 0, max: 10},
+    "outlines.brush.waves": {type: "number", min: 0, max: 50},
+    "outlines.dashed.dash": {type: "number", min: 0.5, max: 100},
+    "outlines.dashed.gap": {type: "number", min: 0.5, max: 100},
+    "outlines.dotted.spacing": {type: "number", min: 0.5, max: 100},
+    "outlines.dotted.dotScale": {type: "number", min: 0.1, max: 10},
+    "outlines.glow.passes": {type: "integer", min: 1, max: 10},
+    "outlines.glow.blur": {type: "number", min: 0, max: 100},
+    "outlines.glow.spread": {type: "number", min: 0, max: 10},
+    "outlines.glow.intensity": {type: "number", min: 0, max: 1},
+    "outlines.fill.opacity": {type: "number", min: 0, max: 1},
+    "outlines.fill.outline": {type: "boolean"},
+    "outlines.gradientFill.opacity": {type: "number", min: 0, max: 1},
+    "outlines.gradientFill.outline": {type: "boolean"},
+    "outlines.sketchy.passes": {type: "integer", min: 1, max: 10},
+    "outlines.sketchy.jitter": {type: "number", min: 0, max: 50},
+    "edges.alphaThreshold": {type: "integer", min: 1, max: 255},
+    "edges.foregroundIsTransparent": {type: "boolean"},
+    "edges.minContourPoints": {type: "integer", min: 3, max: 1000},
+    "contours.islands.enabled": {type: "boolean"},
+    "contours.islands.minArea": {type: "number", min: 0},
+    "contours.holes.enabled": {type: "boolean"},
+    "contours.holes.minArea": {type: "number", min: 0},
+    "contours.straightArtifacts.enabled": {type: "boolean"},
+    "contours.straightArtifacts.minCompactness": {type: "number", min: 0, max: 1},
+    "contours.simplify.enabled": {type: "boolean"},
+    "contours.simplify.tolerance": {type: "number", min: 0, max: 50},
+    "contours.smooth.enabled": {type: "boolean"},
+    "contours.smooth.method": {type: "string", oneOf: ["chaikin", "catmullRom"]},
+    "contours.smooth.iterations": {type: "integer", min: 0, max: 6},
+    "contours.smooth.segments": {type: "integer", min: 1, max: 16}
+};
+
+let CONFIG = cloneConfigValue(DEFAULT_CONFIG); // Live configuration, replaced once loading finishes
+let configErrors = [];                         // Problems to show on screen
+
+/**
+ * Load config.json and URL overrides, validate, and publish the result as CONFIG
+ * Never rejects - a missing or broken file falls back to the defaults.
+ *
+ * @returns {Promise<Object>} The validated configuration
+ */
+function loadInstallationConfig(url = CONFIG_URL) {
+    return fetch(url, {cache: "no-store"})
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        })
+        .catch(error => {
+            configErrors.push(`Could not load ${url} (${error.message}) - using defaults`);
+            return {};
+        })
+        .then(fileConfig => {
+            const result = buildConfig(fileConfig, parseConfigOverrides(window.location.search));
+            CONFIG = result.config;
+            configErrors.push(...result.errors);
+            return CONFIG;
+        });
+}
+
+/**
+ * Merge defaults, file values and overrides, then validate every setting
+ *
+ * @param {Object} fileConfig - Parsed config.json
+ * @param {Object} overrides - Dotted path -> value (from the URL)
+ * @returns {{config: Object, errors: Array<string>}}
+ */
+function buildConfig(fileConfig, overrides = {}) {
+    const errors = [];
+    const config = cloneConfigValue(DEFAULT_CONFIG);
+
+    if (!isPlainObject(fileConfig)) {
+        errors.push("config.json must contain a JSON object - using defaults");
+        fileConfig = {};
+    }
+
+    // File values: walk every leaf so unknown keys can be reported
+    for (const [path, value] of flattenConfig(fileConfig)) {
+        if (!CONFIG_SCHEMA[path]) {
+            errors.push(`config.json: unknown setting "${path}"`);
+            continue;
+        }
+        setConfigPath(config, path, value);
+    }
+
+    for (const [path, value] of Object.entries(overrides)) {
+        if (!CONFIG_SCHEMA[path]) {
+            errors.push(`URL: unknown setting "${path}"`);
+            continue;
+        }
+        setConfigPath(config, path, value);
+    }
+
+    for (const [path, rule] of Object.entries(CONFIG_SCHEMA)) {
+        const problem = validateConfigValue(getConfigPath(config, path), rule);
+        if (problem) {
+            const fallback = getConfigPath(DEFAULT_CONFIG, path);
+            errors.push(`${path}: ${problem} - using ${JSON.stringify(fallback)}`);
+            setConfigPath(config, path, cloneConfigValue(fallback));
+        }
+    }
+
+    return {config, errors};
+}
+
+/**
+ * Change one setting of a built config, e.g. from the remote control
+ * Invalid values are rejected and the config is left as it was.
+ *
+ * @returns {string|null} A description of the problem, or null if applied
+ */
+function applyConfigValue(config, path, value) {
+    const rule = CONFIG_SCHEMA[path];
+    if (!rule) return `unknown setting "${path}"`;
+
+    const problem = validateConfigValue(value, rule);
+    if (problem) return `${path}: ${problem}`;
+
+    setConfigPath(config, path, cloneConfigValue(value));
+    return null;
+}
+
+/**
+ * Read dotted-key overrides from a query string
+ * Keys without a dot (like ?replay=...) belong to other features and are skipped.
+ */
+function parseConfigOverrides(search) {
+    const overrides = {};
+
+    for (const [key, raw] of new URLSearchParams(search)) {
+        if (!key.includes(".")) continue;
+
+        let value;
+        try {
+            value = JSON.parse(raw);
+        } catch (error) {
+            value = raw; // Plain strings like ?contours.smooth.method=catmullRom
+        }
+        overrides[key] = value;
+    }
+
+    return overrides;
+}
+
+/**
+ * Check one value against its schema rule
+ * @returns {string|null} A description of the problem, or null if valid
+ */
+function validateConfigValue(value, rule) {
+    switch (rule.type) {
+        case "number":
+        case "integer":
+            if (typeof value !== "number" || !Number.isFinite(value)) return `expected a number, got ${JSON.stringify(value)}`;
+            if (rule.type === "integer" && !Number.isInteger(value)) return `expected a whole number, got ${value}`;
+            if (rule.min !== undefined && value < rule.min) return `${value} is below the minimum of ${rule.min}`;
+            if (rule.max !== undefined && value > rule.max) return `${value} is above the maximum of ${rule.max}`;
+            break;
+        case "boolean":
+            if (typeof value !== "boolean") return `expected true or false, got ${JSON.stringify(value)}`;
+            break;
+        case "string":
+            if (typeof value !== "string") return `expected text, got ${JSON.stringify(value)}`;
+            break;
+        case "stringList":
+            if (!Array.isArray(value) || value.length === 0 || !value.every(item => typeof item === "string")) {
+                return "expected a non-empty list of names";
+            }
+            break;
+        case "color":
+            if (!isRgbColor(value)) return `expected [r, g, b] with values 0-255, got ${JSON.stringify(value)}`;
+            break;
+        case "colorList":
+            if (!Array.isArray(value) || value.length === 0 || !value.every(isRgbColor)) {
+                return "expected a non-empty list of [r, g, b] colors";
+            }
+            break;
+        case "polygonList":
+            if (!Array.isArray(value) || value.length === 0 || !value.every(isRelativePolygon)) {
+                return "expected a non-empty list of polygons, each at least 3 [x, y] points between 0 and 1";
+            }
+            break;
+    }
+
+    if (rule.oneOf) {
+        // Lists are checked entry by entry
+        const entries = rule.type === "stringList" ? value : [value];
+        const unknown = entries.find(entry => !rule.oneOf.includes(entry));
+        if (unknown !== undefined) {
+            return `${JSON.stringify(unknown)} is not one of ${rule.oneOf.map(option => JSON.stringify(option)).join(", ")}`;
+        }
+    }
+
+    return null;
+}
+
+function isRgbColor(value) {
+    return Array.isArray(value) && value.length === 3 &&
+        value.every(channel => typeof channel === "number" && channel >= 0 && channel <= 255);
+}
+
+function isRelativePolygon(value) {
+    return Array.isArray(value) && value.length >= 3 && value.every(point =>
+        Array.isArray(point) && point.length === 2 &&
+        point.every(coordinate => typeof coordinate === "number" && coordinate >= 0 && coordinate <= 1)
+    );
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * List every leaf of a nested config object as [dottedPath, value]
+ * Arrays are leaves (colors, keypoint lists).
+ */
+function flattenConfig(object, prefix = "") {
+    const entries = [];
+
+    for (const [key, value] of Object.entries(object)) {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (isPlainObject(value) && !CONFIG_SCHEMA[path]) {
+            entries.push(...flattenConfig(value, path));
+        } else {
+            entries.push([path, value]);
+        }
+    }
+
+    return entries;
+}
+
+function getConfigPath(config, path) {
+    return path.split(".").reduce((node, key) => (node === undefined ? undefined : node[key]), config);
+}
+
+function setConfigPath(config, path, value) {
+    const keys = path.split(".");
+    const last = keys.pop();
+    let node = config;
+
+    for (const key of keys) {
+        if (!isPlainObject(node[key])) node[key] = {};
+        node = node[key];
+    }
+
+    node[last] = value;
+}
+
+function cloneConfigValue(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Show configuration problems on screen (kiosks have no devtools open)
+ */
+function drawConfigErrors() {
+    if (configErrors.length === 0) return;
+
+    const lineHeight = 18;
+    const boxHeight = lineHeight * (configErrors.length + 1) + 10;
+
+    push();
+    noStroke();
+    fill(120, 0, 0, 220);
+    rect(10, height - boxHeight - 10, width - 20, boxHeight, 6);
+
+    fill(255);
+    textSize(14);
+    textAlign(LEFT, TOP);
+    text("Configuration problems:", 20, height - boxHeight - 5);
+    for (let i = 0; i < configErrors.length; i++) {
+        text(`• ${configErrors[i]}`, 20, height - boxHeight - 5 + lineHeight * (i + 1));
+    }
+    pop();
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        DEFAULT_CONFIG,
+        CONFIG_SCHEMA,
+        buildConfig,
+        applyConfigValue,
+        parseConfigOverrides,
+        validateConfigValue
+    };
+}
@@ -0,0 +1,256 @@
+/*
+ * diagnostics.js - Operator Diagnostics Overlay
+ * WHAT THE INSTALLATION SEES, WITHOUT DEVTOOLS
+ *
+ * Press 'i' (or start with CONFIG.diagnostics.visible) to show a panel over
+ * the wall with:
+ * - frame rate and how often pose results arrive
+ * - every tracked person: id, color and the confidence of each keypoint
+ * - the countdown (or growth) state
+ * - segmentation latency and getCaptureInfo() status
+ * - contour and point counts of the latest outline (analyzeContours)
+ * - captures the quality gate rejected, and why the last one was
+ * - JS heap use, where the browser reports it
+ * - the live skeleton of every detected pose
+ *
+ * Rates are measured all the time (a timestamp per frame and per pose
+ * result), so they are correct the moment the panel opens. Drawing is a
+ * few dozen text() and rect() calls - cheap enough to leave on at the
+ * installation's frame rate. The panel is drawn after the time-lapse
+ * snapshot, so it never ends up in the recording.
+ */
+
+// MoveNet keypoints joined by the skeleton
+const SKELETON_CONNECTIONS = [
+    ['nose', 'left_eye'], ['nose', 'right_eye'], ['left_eye', 'left_ear'], ['right_eye', 'right_ear'],
+    ['left_shoulder', 'right_shoulder'], ['left_shoulder', 'left_elbow'], ['left_elbow', 'left_wrist'],
+    ['right_shoulder', 'right_elbow'], ['right_elbow', 'right_wrist'],
+    ['left_shoulder', 'left_hip'], ['right_shoulder', 'right_hip'], ['left_hip', 'right_hip'],
+    ['left_hip', 'left_knee'], ['left_knee', 'left_ankle'], ['right_hip', 'right_knee'], ['right_knee', 'right_ankle']
+];
+
+let diagnosticsVisible = false;
+let lastOutlineStats = null; // analyzeContours totals of the latest capture
+let captureRejections = {count: 0, lastReasons: null}; // From the quality gate (captureQuality.js)
+const frameRateMeter = createRateMeter(1000);
+const poseRateMeter = createRateMeter(1000);
+
+/**
+ * Events per second over a sliding window
+ */
+function createRateMeter(windowLength) {
+    const times = [];
+
+    function trim(time) {
+        while (times.length > 0 && times[0] <= time - windowLength) times.shift();
+    }
+
+    return {
+        tick(time) {
+            times.push(time);
+            trim(time);
+        },
+        rate(time) {
+            trim(time);
+            return times.length * 1000 / windowLength;
+        }
+    };
+}
+
+function toggleDiagnostics() {
+    diagnosticsVisible = !diagnosticsVisible;
+}
+
+function isDiagnosticsVisible() {
+    return diagnosticsVisible;
+}
+
+function noteDiagnosticsFrame() {
+    frameRateMeter.tick(performance.now());
+}
+
+function noteDiagnosticsPoses() {
+    poseRateMeter.tick(performance.now());
+}
+
+function noteCaptureRejected(reasons) {
+    captureRejections = {count: captureRejections.count + 1, lastReasons: reasons};
+}
+
+/**
+ * Keep the contour statistics of a capture's outlines
+ */
+function noteCaptureOutlines(outlines) {
+    const contours = (outlines || []).flatMap(outline => outline.contours);
+    lastOutlineStats = {people: (outlines || []).length, ...analyzeContours(contours)};
+}
+
+/**
+ * One line about the countdown or growth, for any interaction
+ */
+function describeInteractionState(interaction) {
+    if (interaction.mode === "growth") {
+        let growing = 0;
+        for (const person of interaction.state.people.values()) growing += person.images.size;
+        return `growth: ${interaction.getActivePeopleCount()} people, ${growing} images growing`;
+    }
+
+    const settings = interaction.settings;
+    const trigger = settings.captureTrigger === "gesture"
+        ? "gesture"
+        : (settings.perPersonCountdowns ? "per-person countdown" : "shared countdown");
+
+    if (!interaction.isCountdownRunning()) return `${trigger}: idle`;
+
+    const progress = [...interaction.state.activeCountdowns].map(([personId, person]) => {
+        const percent = Math.round(Math.min(1, Math.max(0, interaction.getPersonProgress(person))) * 100);
+        return `#${personId} ${percent}%${person.moving ? " (moving)" : ""}`;
+    });
+    return `${trigger}: ${progress.join(", ") || "running"}`;
+}
+
+/**
+ * The color the interaction gave a person, if it tracks them
+ */
+function getTrackedPersonColor(interaction, personId) {
+    const people = interaction.mode === "growth" ? interaction.state.people : interaction.state.activeCountdowns;
+    const person = people.get(personId);
+    return person ? person.assignedColor : null;
+}
+
+function describeMemory() {
+    const memory = typeof performance !== "undefined" && performance.memory;
+    if (!memory) return "memory: not reported by this browser";
+
+    const megabytes = bytes => Math.round(bytes / 1048576);
+    return `memory: ${megabytes(memory.usedJSHeapSize)} / ${megabytes(memory.jsHeapSizeLimit)} MB JS heap`;
+}
+
+function describeSegmentation(info) {
+    const state = !info.modelLoaded ? "model not loaded" : (info.captureInProgress ? "capturing" : "ready");
+    const latency = info.lastLatency === null
+        ? "no capture yet"
+        : `last ${Math.round(info.lastLatency)} ms, avg ${Math.round(info.averageLatency)} ms`;
+    return `segmentation: ${state}, ${info.queuedCaptures} queued, ${latency}`;
+}
+
+function describeOutlineStats() {
+    if (!lastOutlineStats) return "outline: no capture yet";
+    return `outline: ${lastOutlineStats.people} people, ${lastOutlineStats.totalContours} contours, ` +
+        `${lastOutlineStats.totalPoints} points (longest ${lastOutlineStats.longestContour || 0})`;
+}
+
+function describeCaptureRejections(rejections) {
+    if (rejections.count === 0) return "quality gate: nothing rejected";
+    return `quality gate: ${rejections.count} rejected, last: ${rejections.lastReasons.join("; ")}`;
+}
+
+function describeVideoTransform(transform) {
+    if (!transform || !transform.isReady()) return "video: waiting for the camera";
+
+    const settings = transform.settings;
+    return `video: ${transform.source.width}x${transform.source.height} -> ${transform.target.width}x${transform.target.height}, ` +
+        `${settings.fit}${settings.mirror ? ", mirrored" : ""}${settings.rotation ? `, ${settings.rotation}°` : ""}`;
+}
+
+/**
+ * Draw the panel and skeletons (call at the end of draw())
+ *
+ * @param {Array} currentPoses - Poses in canvas pixels
+ * @param {Object} interaction - The countdown or growth interaction
+ * @param {Object} wall - The commemorative wall
+ * @param {Object} transform - The video transform
+ */
+function drawDiagnostics(currentPoses, interaction, wall, transform) {
+    if (!diagnosticsVisible) return;
+
+    if (CONFIG.diagnostics.skeleton) {
+        drawDiagnosticSkeletons(currentPoses, interaction);
+    }
+
+    const time = performance.now();
+    const lines = [
+        `${frameRateMeter.rate(time).toFixed(0)} fps, ${poseRateMeter.rate(time).toFixed(0)} pose results/s, ${currentPoses.length} poses`,
+        describeInteractionState(interaction),
+        describeSegmentation(getCaptureInfo()),
+        describeOutlineStats(),
+        describeCaptureRejections(captureRejections),
+        `wall: ${wall.objects.length} / ${CONFIG.wall.maxObjects} objects`,
+        describeVideoTransform(transform),
+        describeMemory()
+    ];
+
+    const lineHeight = 16;
+    const barWidth = 6;
+    const panelWidth = 460;
+    const panelHeight = lineHeight * (lines.length + currentPoses.length) + 16;
+
+    push();
+    noStroke();
+    fill(0, 180);
+    rect(10, 10, panelWidth, panelHeight, 6);
+
+    fill(255);
+    textSize(12);
+    textAlign(LEFT, TOP);
+    textFont("monospace");
+    lines.forEach((entry, i) => text(entry, 20, 18 + i * lineHeight));
+
+    // One row per detected pose: id, color and a bar per keypoint confidence
+    currentPoses.forEach((pose, i) => {
+        const y = 18 + (lines.length + i) * lineHeight;
+        const personColor = getTrackedPersonColor(interaction, pose.id);
+
+        fill(personColor ? color(...personColor) : color(120));
+        rect(20, y + 2, 10, 10);
+        fill(255);
+        text(`#${pose.id}`, 36, y);
+
+        pose.keypoints.forEach((keypoint, k) => {
+            const confidence = keypoint.confidence || 0;
+            const barHeight = Math.max(1, confidence * 12);
+            fill(confidence >= CONFIG.keypoints.minConfidence ? color(0, 200, 120) : color(200, 60, 60));
+            rect(80 + k * (barWidth + 2), y + 13 - barHeight, barWidth, barHeight);
+        });
+    });
+    pop();
+}
+
+/**
+ * Live skeleton of every pose, in the person's color when they are tracked
+ */
+function drawDiagnosticSkeletons(currentPoses, interaction) {
+    const minConfidence = CONFIG.keypoints.minConfidence;
+
+    push();
+    for (const pose of currentPoses) {
+        const personColor = getTrackedPersonColor(interaction, pose.id) || [255, 255, 255];
+        const byName = {};
+        for (const keypoint of pose.keypoints) byName[keypoint.name] = keypoint;
+
+        stroke(...personColor, 200);
+        strokeWeight(2);
+        for (const [from, to] of SKELETON_CONNECTIONS) {
+            const a = byName[from];
+            const b = byName[to];
+            if (a && b && a.confidence >= minConfidence && b.confidence >= minConfidence) {
+                line(a.x, a.y, b.x, b.y);
+            }
+        }
+
+        noStroke();
+        fill(...personColor, 200);
+        for (const keypoint of pose.keypoints) {
+            if (keypoint.confidence >= minConfidence) circle(keypoint.x, keypoint.y, 6);
+        }
+    }
+    pop();
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        createRateMeter,
+        describeInteractionState,
+        describeCaptureRejections
+    };
+}
@@ -1,26 +1,60 @@
 /*
- * edgeDetection.js - ULTRA-FAST Edge Detection
- * OPTIMIZED FOR SPEED AND LOW PROCESSING
- * 
- * Teaching concept: Instead of checking every pixel against every other pixel
- * (which is very slow), we use a "spatial grid" to only check nearby pixels.
- * This is like organizing a library - instead of searching every book,
- * you go to the right section first.
+ * edgeDetection.js - Marching Squares Outline Tracing
+ * ORDERED, CLOSED CONTOURS INSTEAD OF A POINT CLOUD
+ *
+ * Teaching concept: Instead of collecting every "edge-looking" pixel and then
+ * guessing which ones belong together, we walk along the boundary of the
+ * silhouette like tracing it with a pen. Marching squares looks at every 2x2
+ * block of pixels, decides which of 16 possible boundary pieces passes through
+ * it, and then chains those pieces end to end. The result is one ordered,
+ * closed polyline per silhouette component (plus one per hole inside it),
+ * which can be drawn, animated, exported and measured.
  */
 
+// Tracing parameters live in CONFIG.edges and the post-processing stages
+// in CONFIG.contours (see config.js). Post-processing runs in this order:
+// islands/holes -> straight artifacts -> simplification -> smoothing.
+
+// Marching squares lookup table.
+// Cell corners are weighted tl=8, tr=4, br=2, bl=1. Each entry lists oriented
+// segments [fromEdge, toEdge] using edges 0=top, 1=right, 2=bottom, 3=left.
+// Orientation is consistent (foreground always on the same side), so every
+// edge midpoint has exactly one outgoing segment and loops chain cleanly.
+// The two saddle cases (5 and 10) keep diagonal corners apart.
+const MARCHING_SQUARES_SEGMENTS = [
+    [],                 // 0: all background
+    [[3, 2]],           // 1: bl
+    [[2, 1]],           // 2: br
+    [[3, 1]],           // 3: bl, br
+    [[1, 0]],           // 4: tr
+    [[1, 0], [3, 2]],   // 5: tr, bl (saddle)
+    [[2, 0]],           // 6: tr, br
+    [[3, 0]],           // 7: all but tl
+    [[0, 3]],           // 8: tl
+    [[0, 2]],           // 9: tl, bl
+    [[0, 3], [2, 1]],   // 10: tl, br (saddle)
+    [[0, 1]],           // 11: all but tr
+    [[1, 3]],           // 12: tl, tr
+    [[1, 2]],           // 13: all but br
+    [[2, 3]],           // 14: all but bl
+    []                  // 15: all foreground
+];
+
 /**
- * FAST VERSION: Extract edges and return them for efficient drawing
+ * Extract ordered, closed outlines from pre-loaded mask data
+ *
+ * @param {Object} maskData - Object containing {pixels, width, height}
+ * @returns {Array|null} Array of closed contours, each an ordered array of {x, y}
  */
 function extractEdgesFromMaskData(maskData) {
     if (!maskData || !maskData.pixels || maskData.width === 0 || maskData.height === 0) {
         return null;
     }
-    
-    // Find edge pixels using the same simple method (this part was fast)
-    const edgePixels = findEdgePixelsSimple(maskData.pixels, maskData.width, maskData.height);
-    
-    // Return them ready for fast drawing
-    return edgePixels.length > 0 ? [edgePixels] : null;
+
+    const contours = traceMaskContours(maskData.pixels, maskData.width, maskData.height);
+    const processedContours = postProcessContours(contours);
+
+    return processedContours.length > 0 ? processedContours : null;
 }
 
 /**
@@ -30,7 +64,7 @@ function extractEdgesFromMask(mask) {
     if (!mask || mask.width === 0 || mask.height === 0) {
         return null;
     }
-    
+
     mask.loadPixels();
     const maskData = {
         mask: mask,
@@ -38,169 +72,464 @@ function extractEdgesFromMask(mask) {
         width: mask.width,
         height: mask.height
     };
-    
+
     return extractEdgesFromMaskData(maskData);
 }
 
 /**
- * OPTIMIZED: Find edge pixels with better sampling for performance
+ * Per-person outlines from one capture mask
+ *
+ * When several people stand close together, segmentation returns one merged
+ * silhouette. splitMaskByPeople (bodySegmentation.js) divides it using each
+ * person's tracked keypoints, and every part is traced on its own.
+ *
+ * The split always covers everyone in frame: when only some of them are
+ * captured (per-person countdowns, gestures), the bystanders' parts are
+ * dropped and erased from the mask, so the collage and the coverage
+ * measured afterwards only see the captured people.
+ *
+ * @param {p5.Image} mask - Capture mask
+ * @param {Array} people - [{personId, keypoints, assignedColor, colorIndex}]
+ * @param {Array} [bystanders] - [{personId, keypoints}] of the other tracked people
+ * @returns {Array} [{personId, personColor, colorIndex, contours}] (people without an outline are left out)
+ */
+function extractPersonOutlinesFromMask(mask, people, bystanders = []) {
+    if (!mask || mask.width === 0 || mask.height === 0) {
+        return [];
+    }
+
+    mask.loadPixels();
+    const maskData = {
+        pixels: mask.pixels,
+        width: mask.width,
+        height: mask.height
+    };
+
+    // Nobody tracked (forced capture) or a single visitor in frame - no split needed
+    const everyone = people.concat(bystanders);
+    const personMasks = everyone.length > 1
+        ? splitMaskByPeople(maskData, everyone).slice(0, people.length)
+        : [{personId: people.length === 1 ? people[0].personId : null, ...maskData}];
+
+    if (bystanders.length > 0) {
+        eraseUncapturedPixels(mask, personMasks);
+    }
+
+    const outlines = [];
+
+    for (const personMask of personMasks) {
+        const contours = extractEdgesFromMaskData(personMask);
+        if (!contours) continue;
+
+        const person = people.find(p => p.personId === personMask.personId);
+        outlines.push({
+            personId: personMask.personId,
+            personColor: person ? [...person.assignedColor] : null,
+            colorIndex: person ? person.colorIndex : null,
+            contours: contours
+        });
+    }
+
+    return outlines;
+}
+
+/**
+ * Turn foreground that none of the person masks kept into background
+ */
+function eraseUncapturedPixels(mask, personMasks) {
+    const backgroundAlpha = isForegroundAlpha(255) ? 0 : 255;
+
+    for (let i = 3; i < mask.pixels.length; i += 4) {
+        if (isForegroundAlpha(mask.pixels[i]) &&
+            !personMasks.some(personMask => isForegroundAlpha(personMask.pixels[i]))) {
+            mask.pixels[i] = backgroundAlpha;
+        }
+    }
+    mask.updatePixels();
+}
+
+/**
+ * Whether a mask alpha value belongs to a person
+ */
+function isForegroundAlpha(alpha) {
+    return CONFIG.edges.foregroundIsTransparent
+        ? alpha < CONFIG.edges.alphaThreshold
+        : alpha >= CONFIG.edges.alphaThreshold;
+}
+
+/**
+ * Build a compact foreground grid from RGBA mask pixels
+ *
+ * The outermost ring of pixels is always treated as background. The
+ * morphological pass in bodySegmentation.js never writes those pixels, and
+ * forcing them off guarantees every traced loop closes inside the image.
  */
-function findEdgePixelsSimple(pixels, width, height) {
-    const edgePixels = [];
-    
-    // More aggressive sampling for better performance
-    const step = 1; // Skip more pixels for faster processing
-    
-    for (let y = step; y < height - step; y += step) {
-        for (let x = step; x < width - step; x += step) {
-            
-            if (isEdgePixel(pixels, x, y, width)) {
-                edgePixels.push({x: x, y: y});
+function buildForegroundGrid(pixels, width, height) {
+    const grid = new Uint8Array(width * height);
+
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            grid[y * width + x] = isForegroundAlpha(pixels[(y * width + x) * 4 + 3]) ? 1 : 0;
+        }
+    }
+
+    return grid;
+}
+
+/**
+ * Trace every boundary in the mask with marching squares
+ *
+ * Step 1: visit each 2x2 cell and record its oriented boundary segments,
+ *         keyed by the edge midpoint they start from.
+ * Step 2: follow start -> end links until we come back around, which gives
+ *         one closed loop per boundary.
+ *
+ * Points sit on pixel edge midpoints (half-pixel coordinates). Runs of
+ * collinear points are collapsed so straight stretches cost only two vertices.
+ *
+ * @param {Uint8ClampedArray} pixels - RGBA pixel array
+ * @param {number} width - Mask width
+ * @param {number} height - Mask height
+ * @returns {Array} Array of closed contours
+ */
+function traceMaskContours(pixels, width, height) {
+    const grid = buildForegroundGrid(pixels, width, height);
+
+    // Edge midpoints live on a doubled grid so every key is an integer
+    const stride = width * 2;
+    const nextPoint = new Map();
+
+    for (let y = 0; y < height - 1; y++) {
+        for (let x = 0; x < width - 1; x++) {
+            const caseIndex =
+                grid[y * width + x] * 8 +
+                grid[y * width + x + 1] * 4 +
+                grid[(y + 1) * width + x + 1] * 2 +
+                grid[(y + 1) * width + x];
+
+            if (caseIndex === 0 || caseIndex === 15) continue;
+
+            // Doubled coordinates of the top, right, bottom and left edge midpoints
+            const edgeKeys = [
+                (y * 2) * stride + (x * 2 + 1),
+                (y * 2 + 1) * stride + (x * 2 + 2),
+                (y * 2 + 2) * stride + (x * 2 + 1),
+                (y * 2 + 1) * stride + (x * 2)
+            ];
+
+            for (const [fromEdge, toEdge] of MARCHING_SQUARES_SEGMENTS[caseIndex]) {
+                nextPoint.set(edgeKeys[fromEdge], edgeKeys[toEdge]);
             }
         }
     }
-    
-    // Limit total edge pixels to prevent lag accumulation
-    if (edgePixels.length > 800) {
-        // Keep only every nth pixel to maintain performance
-        const keepEvery = Math.ceil(edgePixels.length / 800);
-        return edgePixels.filter((_, index) => index % keepEvery === 0);
+
+    const contours = [];
+
+    for (const startKey of nextPoint.keys()) {
+        if (!nextPoint.has(startKey)) continue; // Already consumed by an earlier loop
+
+        const contour = [];
+        let key = startKey;
+
+        while (nextPoint.has(key)) {
+            const following = nextPoint.get(key);
+            nextPoint.delete(key);
+            contour.push({x: (key % stride) / 2, y: Math.floor(key / stride) / 2});
+            key = following;
+        }
+
+        const simplified = removeCollinearPoints(contour);
+        if (simplified.length >= CONFIG.edges.minContourPoints) {
+            contours.push(simplified);
+        }
     }
-    
-    return edgePixels;
+
+    return contours;
 }
 
 /**
- * SAME AS BEFORE: Check if a pixel is on an edge (this was already fast)
+ * Drop points that sit on a straight line between their neighbours
+ * Marching squares emits a point every half pixel, so this shrinks
+ * outlines dramatically without changing their shape at all.
  */
-function isEdgePixel(pixels, x, y, width) {
-    const currentIdx = (y * width + x) * 4;
-    const currentAlpha = pixels[currentIdx + 3];
-    
-    const neighbors = [
-        {x: x, y: y - 1}, {x: x, y: y + 1},
-        {x: x - 1, y: y}, {x: x + 1, y: y}
-    ];
-    
-    for (let neighbor of neighbors) {
-        const neighborIdx = (neighbor.y * width + neighbor.x) * 4;
-        const neighborAlpha = pixels[neighborIdx + 3];
-        
-        const difference = Math.abs(currentAlpha - neighborAlpha);
-        if (difference > 128) {
-            return true;
+function removeCollinearPoints(contour) {
+    if (contour.length < 3) return contour;
+
+    const kept = [];
+
+    for (let i = 0; i < contour.length; i++) {
+        const prev = contour[(i - 1 + contour.length) % contour.length];
+        const current = contour[i];
+        const next = contour[(i + 1) % contour.length];
+
+        const cross = (current.x - prev.x) * (next.y - current.y) -
+                      (current.y - prev.y) * (next.x - current.x);
+
+        if (cross !== 0) {
+            kept.push(current);
         }
     }
-    
-    return false;
+
+    return kept;
 }
 
 /**
- * ULTRA-FAST DRAWING: Use spatial grid for massive speed improvement
- * 
- * Teaching concept: Instead of checking every pixel against every other pixel,
- * we organize pixels into a grid. Each pixel only checks its immediate neighbors.
- * This is like organizing books in a library by subject - you don't search
- * the whole library, just the relevant section.
+ * Draw closed outlines as connected shapes
  */
-function drawEdges(edgePixelArrays, edgeColor, thickness = 2) {
-    if (!edgePixelArrays || edgePixelArrays.length === 0) return;
-    
+function drawEdges(contours, edgeColor, thickness = 2) {
+    if (!contours || contours.length === 0) return;
+
     stroke(edgeColor);
     strokeWeight(thickness);
-    
-    for (let edgePixels of edgePixelArrays) {
-        if (!edgePixels || edgePixels.length < 2) continue;
-        
-        // Use the fast spatial grid approach
-        drawWithSpatialGrid(edgePixels);
-    }
-}
-
-/**
- * ULTRA-FAST DRAWING: Optimized spatial grid with reduced calculations
- * 
- * Performance optimizations:
- * 1. Larger grid size = fewer calculations
- * 2. Reduced max distance = fewer line draws
- * 3. Early exits to skip expensive operations
- */
-function drawWithSpatialGrid(edgePixels) {
-    // Early exit for small pixel sets
-    // if (edgePixels.length < 5) {
-    //     // For very small sets, just draw simple connections
-    //     for (let i = 0; i < edgePixels.length - 1; i++) {
-    //         const p1 = edgePixels[i];
-    //         const p2 = edgePixels[i + 1];
-    //         const dx = p1.x - p2.x;
-    //         const dy = p1.y - p2.y;
-    //         if (dx * dx + dy * dy <= 64) { // Distance <= 8 pixels
-    //             line(p1.x, p1.y, p2.x, p2.y);
-    //         }
-    //     }
-    //     return;
-    // }
-    
-    const gridSize = 10; // Larger grid = fewer calculations
-    const maxDistance = 500; // Shorter distance = fewer connections
-    const maxDistanceSquared = maxDistance * maxDistance;
-    
-    // Step 1: Organize pixels into grid squares (optimized)
-    const grid = new Map(); // Map is faster than object for this use case
-    
-    for (let pixel of edgePixels) {
-        const gridX = Math.floor(pixel.x / gridSize);
-        const gridY = Math.floor(pixel.y / gridSize);
-        const gridKey = (gridX << 16) | gridY; // Bit shifting for faster key generation
-        
-        if (!grid.has(gridKey)) {
-            grid.set(gridKey, []);
-        }
-        grid.get(gridKey).push(pixel);
-    }
-    
-    // Step 2: Connect pixels with optimized neighbor checking
-    for (let pixel of edgePixels) {
-        const gridX = Math.floor(pixel.x / gridSize);
-        const gridY = Math.floor(pixel.y / gridSize);
-        
-        // Only check right and down neighbors to avoid duplicate connections
-        for (let dx = 0; dx <= 1; dx++) {
-            for (let dy = -1; dy <= 1; dy++) {
-                if (dx === 0 && dy <= 0) continue; // Skip already processed areas
-                
-                const checkKey = ((gridX + dx) << 16) | (gridY + dy);
-                const nearbyPixels = grid.get(checkKey);
-                
-                if (nearbyPixels) {
-                    connectToNearbyPixelsOptimized(pixel, nearbyPixels, maxDistanceSquared);
-                }
-            }
+    noFill();
+
+    for (let contour of contours) {
+        if (!contour || contour.length < 2) continue;
+
+        beginShape();
+        for (const point of contour) {
+            vertex(point.x, point.y);
         }
+        endShape(CLOSE);
     }
 }
 
+// ========== CONTOUR POST-PROCESSING ==========
+
 /**
- * OPTIMIZED CONNECTION: Faster pixel connection with early exits
+ * Run the configured clean-up stages over freshly traced contours
+ *
+ * @param {Array} contours - Closed contours from traceMaskContours
+ * @param {Object} options - Stage settings, defaults to CONFIG.contours
+ * @returns {Array} Cleaned contours
  */
-function connectToNearbyPixelsOptimized(pixel, nearbyPixels, maxDistanceSquared) {
-    for (let otherPixel of nearbyPixels) {
-        if (pixel === otherPixel) continue;
-        
-        // Fast distance check without sqrt
-        const dx = pixel.x - otherPixel.x;
-        const dy = pixel.y - otherPixel.y;
+function postProcessContours(contours, options = CONFIG.contours) {
+    if (!contours || contours.length === 0) return [];
+
+    return smoothContours(filterContours(contours, options), options);
+}
+
+/**
+ * Remove contours that are not part of a meaningful outline
+ *
+ * Outer outlines and holes are told apart by winding direction: marching
+ * squares traces outer boundaries with positive signed area and holes with
+ * negative signed area.
+ */
+function filterContours(contours, options = CONFIG.contours) {
+    if (!contours || contours.length === 0) return [];
+
+    const {islands, holes, straightArtifacts} = options;
+
+    return contours.filter(contour => {
+        const signedArea = contourSignedArea(contour);
+        const area = Math.abs(signedArea);
+
+        if (signedArea > 0 && islands.enabled && area < islands.minArea) {
+            return false;
+        }
+        if (signedArea < 0 && holes.enabled && area < holes.minArea) {
+            return false;
+        }
+        if (straightArtifacts.enabled && contourCompactness(contour) < straightArtifacts.minCompactness) {
+            return false;
+        }
+
+        return true;
+    });
+}
+
+/**
+ * Simplify and then smooth each contour
+ *
+ * Simplifying first keeps the smoothing cheap and stops the staircase
+ * pattern of pixel edges from turning into wobbles.
+ */
+function smoothContours(contours, options = CONFIG.contours) {
+    if (!contours || contours.length === 0) return [];
+
+    const {simplify, smooth} = options;
+
+    return contours.map(contour => {
+        let result = contour;
+
+        if (simplify.enabled) {
+            result = simplifyClosedContour(result, simplify.tolerance);
+        }
+
+        if (smooth.enabled && result.length >= 3) {
+            result = smooth.method === "catmullRom"
+                ? catmullRomSmooth(result, smooth.segments)
+                : chaikinSmooth(result, smooth.iterations);
+        }
+
+        return result;
+    });
+}
+
+/**
+ * Ramer–Douglas–Peucker for a closed loop
+ *
+ * RDP works on open polylines, so we split the loop at the point farthest
+ * from the first point and simplify both halves separately.
+ */
+function simplifyClosedContour(contour, tolerance) {
+    if (contour.length < 4) return contour;
+
+    let splitIndex = 0;
+    let farthest = -1;
+    for (let i = 1; i < contour.length; i++) {
+        const dx = contour[i].x - contour[0].x;
+        const dy = contour[i].y - contour[0].y;
         const distanceSquared = dx * dx + dy * dy;
-        
-        if (distanceSquared <= maxDistanceSquared) {
-            line(pixel.x, pixel.y, otherPixel.x, otherPixel.y);
+        if (distanceSquared > farthest) {
+            farthest = distanceSquared;
+            splitIndex = i;
+        }
+    }
+
+    const firstHalf = simplifyPolyline(contour.slice(0, splitIndex + 1), tolerance);
+    const secondHalf = simplifyPolyline(contour.slice(splitIndex).concat([contour[0]]), tolerance);
+
+    // Both halves include the split points at their ends - drop the duplicates
+    return firstHalf.slice(0, -1).concat(secondHalf.slice(0, -1));
+}
+
+function simplifyPolyline(points, tolerance) {
+    if (points.length < 3) return points;
+
+    const keep = new Uint8Array(points.length);
+    keep[0] = 1;
+    keep[points.length - 1] = 1;
+
+    // Iterative stack instead of recursion so long outlines can't overflow
+    const stack = [[0, points.length - 1]];
+    const toleranceSquared = tolerance * tolerance;
+
+    while (stack.length > 0) {
+        const [start, end] = stack.pop();
+        let maxDistance = 0;
+        let maxIndex = -1;
+
+        for (let i = start + 1; i < end; i++) {
+            const distance = pointToSegmentDistanceSquared(points[i], points[start], points[end]);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                maxIndex = i;
+            }
+        }
+
+        if (maxIndex !== -1 && maxDistance > toleranceSquared) {
+            keep[maxIndex] = 1;
+            stack.push([start, maxIndex], [maxIndex, end]);
+        }
+    }
+
+    return points.filter((_, index) => keep[index]);
+}
+
+function pointToSegmentDistanceSquared(point, segmentStart, segmentEnd) {
+    const dx = segmentEnd.x - segmentStart.x;
+    const dy = segmentEnd.y - segmentStart.y;
+    const lengthSquared = dx * dx + dy * dy;
+
+    let t = 0;
+    if (lengthSquared > 0) {
+        t = ((point.x - segmentStart.x) * dx + (point.y - segmentStart.y) * dy) / lengthSquared;
+        t = Math.max(0, Math.min(1, t));
+    }
+
+    const nearestX = segmentStart.x + t * dx;
+    const nearestY = segmentStart.y + t * dy;
+    return (point.x - nearestX) ** 2 + (point.y - nearestY) ** 2;
+}
+
+/**
+ * Chaikin corner cutting: each pass replaces every corner with two points
+ * at 1/4 and 3/4 along its edges, rounding the shape a little more each time
+ */
+function chaikinSmooth(contour, iterations) {
+    let result = contour;
+
+    for (let pass = 0; pass < iterations; pass++) {
+        const next = [];
+        for (let i = 0; i < result.length; i++) {
+            const p0 = result[i];
+            const p1 = result[(i + 1) % result.length];
+            next.push({x: 0.75 * p0.x + 0.25 * p1.x, y: 0.75 * p0.y + 0.25 * p1.y});
+            next.push({x: 0.25 * p0.x + 0.75 * p1.x, y: 0.25 * p0.y + 0.75 * p1.y});
         }
+        result = next;
     }
+
+    return result;
+}
+
+/**
+ * Catmull-Rom interpolation: the curve passes through every original point,
+ * with extra points generated along each edge
+ */
+function catmullRomSmooth(contour, segments) {
+    const result = [];
+    const count = contour.length;
+
+    for (let i = 0; i < count; i++) {
+        const p0 = contour[(i - 1 + count) % count];
+        const p1 = contour[i];
+        const p2 = contour[(i + 1) % count];
+        const p3 = contour[(i + 2) % count];
+
+        for (let s = 0; s < segments; s++) {
+            const t = s / segments;
+            const t2 = t * t;
+            const t3 = t2 * t;
+            result.push({
+                x: 0.5 * (2 * p1.x + (-p0.x + p2.x) * t +
+                   (2 * p0.x - 5 * p1.x + 4 * p2.x - p3.x) * t2 +
+                   (-p0.x + 3 * p1.x - 3 * p2.x + p3.x) * t3),
+                y: 0.5 * (2 * p1.y + (-p0.y + p2.y) * t +
+                   (2 * p0.y - 5 * p1.y + 4 * p2.y - p3.y) * t2 +
+                   (-p0.y + 3 * p1.y - 3 * p2.y + p3.y) * t3)
+            });
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Shoelace formula - positive for outer outlines, negative for holes
+ */
+function contourSignedArea(contour) {
+    let area = 0;
+    for (let i = 0; i < contour.length; i++) {
+        const p = contour[i];
+        const q = contour[(i + 1) % contour.length];
+        area += p.x * q.y - q.x * p.y;
+    }
+    return area / 2;
+}
+
+function contourPerimeter(contour) {
+    let perimeter = 0;
+    for (let i = 0; i < contour.length; i++) {
+        const p = contour[i];
+        const q = contour[(i + 1) % contour.length];
+        perimeter += Math.hypot(q.x - p.x, q.y - p.y);
+    }
+    return perimeter;
+}
+
+/**
+ * Isoperimetric quotient: how "round" a loop is
+ * Thin straight slivers (segmentation seams, frame-edge strips) score near zero
+ */
+function contourCompactness(contour) {
+    const perimeter = contourPerimeter(contour);
+    if (perimeter === 0) return 0;
+    return (4 * Math.PI * Math.abs(contourSignedArea(contour))) / (perimeter * perimeter);
 }
 
-// Keep these functions for compatibility
-function smoothContours(contours) { return contours; }
-function filterContours(contours) { return contours; }
 function analyzeContours(contours) {
     if (!contours || contours.length === 0) {
         return {totalContours: 0, totalPoints: 0, averageLength: 0};
@@ -212,4 +541,14 @@ function analyzeContours(contours) {
         averageLength: Math.round(totalPoints / contours.length),
         longestContour: Math.max(...contours.map(c => c.length || 0))
     };
-}
\ No newline at end of file
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        extractEdgesFromMaskData,
+        extractPersonOutlinesFromMask,
+        isForegroundAlpha,
+        traceMaskContours,
+        analyzeContours
+    };
+}
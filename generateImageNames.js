@@ -4,10 +4,173 @@ const path = require('path');
 // Define the path to the images folder (subdirectory of current location)
 const imagesFolderPath = path.join(__dirname, 'images');
 
-// Define the output file path
-const outputFilePath = path.join(__dirname, 'imageNames.js');
+// The manifest is written next to the images so the browser can fetch it
+const manifestFilePath = path.join(imagesFolderPath, 'manifest.json');
 
-try {
+// Downscaled copies go here, mirroring the folder structure of the originals
+const thumbnailsFolderName = 'thumbnails';
+const thumbnailsFolderPath = path.join(imagesFolderPath, thumbnailsFolderName);
+const THUMBNAIL_MAX_SIZE = 320; // Longest side of a thumbnail, in pixels
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+/*
+ * Manifest format (images/manifest.json):
+ * {
+ *   generatedAt: ISO date string,
+ *   count: number,
+ *   images: [{
+ *     filename: "2015/5W3A3139.JPG",    // path relative to the manifest's folder, used by loadImage
+ *     width, height,                    // pixel dimensions of the original, upright (EXIF orientation applied)
+ *     aspectRatio,                      // width / height
+ *     fileSize,                         // bytes
+ *     tags: ["2015"],                   // subfolder names the image sits in
+ *     thumbnail: "thumbnails/2015/5W3A3139.JPG" or null
+ *   }]
+ * }
+ */
+
+/**
+ * Collect image files below a folder, with paths relative to images/
+ * The thumbnails folder is skipped so thumbnails never become originals.
+ */
+function findImageFiles(folderPath, relativeFolder = '') {
+    const found = [];
+
+    for (const item of fs.readdirSync(folderPath).sort()) {
+        const itemPath = path.join(folderPath, item);
+        const relativePath = relativeFolder ? `${relativeFolder}/${item}` : item;
+
+        if (fs.statSync(itemPath).isDirectory()) {
+            if (!relativeFolder && item === thumbnailsFolderName) continue;
+            found.push(...findImageFiles(itemPath, relativePath));
+        } else if (IMAGE_EXTENSIONS.includes(path.extname(item).toLowerCase())) {
+            found.push(relativePath);
+        }
+    }
+
+    return found;
+}
+
+/**
+ * Read pixel dimensions straight from the file header
+ * (PNG: IHDR chunk, JPEG: first start-of-frame marker) - no decoding needed.
+ * JPEGs report the size they are displayed at: EXIF orientations 5-8 turn
+ * the picture a quarter, so width and height swap, as they do for the
+ * rotated thumbnail and in the browser.
+ */
+function readImageDimensions(filePath) {
+    const buffer = fs.readFileSync(filePath);
+
+    // PNG signature, then IHDR with width/height as big-endian 32-bit ints
+    if (buffer.length > 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+        return {width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20)};
+    }
+
+    // JPEG: walk the marker segments until a SOFn marker
+    if (buffer.length > 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+        let offset = 2;
+        let orientation = 1;
+        while (offset + 9 < buffer.length) {
+            if (buffer[offset] !== 0xff) {
+                offset++;
+                continue;
+            }
+            const marker = buffer[offset + 1];
+            const segmentLength = buffer.readUInt16BE(offset + 2);
+            const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf &&
+                marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+
+            if (marker === 0xe1) {
+                orientation = readExifOrientation(buffer, offset + 4, offset + 2 + segmentLength) || orientation;
+            }
+            if (isStartOfFrame) {
+                const height = buffer.readUInt16BE(offset + 5);
+                const width = buffer.readUInt16BE(offset + 7);
+                return orientation >= 5 ? {width: height, height: width} : {width, height};
+            }
+            offset += 2 + segmentLength;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * The Orientation tag (1-8) of an APP1 Exif segment, or null
+ * The segment holds "Exif\0\0" and then a TIFF block: byte order, the
+ * offset of the first IFD, and that IFD's 12-byte entries.
+ */
+function readExifOrientation(buffer, start, end) {
+    if (end > buffer.length || end - start < 14 || buffer.toString('latin1', start, start + 6) !== 'Exif\0\0') {
+        return null;
+    }
+
+    const tiff = start + 6;
+    const littleEndian = buffer.toString('latin1', tiff, tiff + 2) === 'II';
+    const readShort = at => littleEndian ? buffer.readUInt16LE(at) : buffer.readUInt16BE(at);
+    const readLong = at => littleEndian ? buffer.readUInt32LE(at) : buffer.readUInt32BE(at);
+
+    const directory = tiff + readLong(tiff + 4);
+    if (directory + 2 > end) return null;
+
+    const entryCount = readShort(directory);
+    for (let i = 0; i < entryCount; i++) {
+        const entry = directory + 2 + i * 12;
+        if (entry + 12 > end) return null;
+        if (readShort(entry) === 0x0112) {
+            const orientation = readShort(entry + 8);
+            return orientation >= 1 && orientation <= 8 ? orientation : null;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Thumbnails need an image decoder. We use the optional "sharp" package
+ * when it is available and skip thumbnails otherwise (thumbnail: null, the
+ * sketch then loads the originals).
+ *
+ * The project has no package.json, so sharp isn't a listed dependency.
+ * To get thumbnails, install it next to this script once:
+ *   npm install --no-save sharp
+ * and run "node generateImageNames.js" again.
+ */
+function loadThumbnailer() {
+    try {
+        return require('sharp');
+    } catch (error) {
+        return null;
+    }
+}
+
+async function generateThumbnail(sharp, relativePath) {
+    const thumbnailRelativePath = `${thumbnailsFolderName}/${relativePath}`;
+    const thumbnailPath = path.join(imagesFolderPath, thumbnailRelativePath);
+
+    fs.mkdirSync(path.dirname(thumbnailPath), {recursive: true});
+    await sharp(path.join(imagesFolderPath, relativePath))
+        .rotate() // Respect EXIF orientation
+        .resize(THUMBNAIL_MAX_SIZE, THUMBNAIL_MAX_SIZE, {fit: 'inside', withoutEnlargement: true})
+        .toFile(thumbnailPath);
+
+    return thumbnailRelativePath;
+}
+
+/**
+ * One unreadable photo shouldn't stop the whole manifest from being written
+ */
+async function tryGenerateThumbnail(sharp, relativePath) {
+    try {
+        return await generateThumbnail(sharp, relativePath);
+    } catch (error) {
+        console.warn(`⚠️  No thumbnail for ${relativePath}: ${error.message.split('\n')[0]}`);
+        return null;
+    }
+}
+
+async function main() {
     // Check if the images folder exists
     if (!fs.existsSync(imagesFolderPath)) {
         console.error('Error: The "images" folder does not exist in the current directory.');
@@ -15,58 +178,59 @@ try {
         process.exit(1);
     }
 
-    // Read all files from the images directory
-    const allItems = fs.readdirSync(imagesFolderPath);
-    
-    // Filter to get only files (not subdirectories) and sort them alphabetically
-    const imageFiles = allItems
-        .filter(item => {
-            const itemPath = path.join(imagesFolderPath, item);
-            return fs.statSync(itemPath).isFile();
-        })
-        .sort(); // Sort alphabetically for consistent output
+    const imageFiles = findImageFiles(imagesFolderPath);
 
     // Check if any files were found
     if (imageFiles.length === 0) {
-        console.log('No files found in the images folder.');
+        console.log('No image files found in the images folder.');
         process.exit(0);
     }
 
-    // Format the filenames into the desired JavaScript array format
-    // We'll format them with proper indentation and line breaks
-    const formattedFilenames = imageFiles
-        .map(filename => `'${filename}'`)  // Wrap each filename in single quotes
-        .reduce((acc, filename, index) => {
-            // Add filename to current line
-            if (index === 0) {
-                acc.push(`        ${filename}`);
-            } else if ((index) % 4 === 0) {
-                // Start a new line every 4 items (after index 3, 7, 11, etc.)
-                acc.push(`\n        ${filename}`);
-            } else {
-                // Add to current line with comma and space
-                acc[acc.length - 1] += `, ${filename}`;
-            }
-            return acc;
-        }, [])
-        .join('');
+    const sharp = loadThumbnailer();
+    if (!sharp) {
+        console.warn('⚠️  "sharp" is not installed - skipping thumbnails (run "npm install --no-save sharp" here to enable them).');
+    }
+
+    const images = [];
 
-    // Create the complete JavaScript file content
-    const fileContent = `const imageFilenames = [
-${formattedFilenames}
-    ];
+    for (const relativePath of imageFiles) {
+        const filePath = path.join(imagesFolderPath, relativePath);
+        const dimensions = readImageDimensions(filePath);
 
-module.exports = imageFilenames;`;
+        if (!dimensions) {
+            console.warn(`⚠️  Skipping ${relativePath}: could not read its dimensions.`);
+            continue;
+        }
+
+        images.push({
+            filename: relativePath,
+            width: dimensions.width,
+            height: dimensions.height,
+            aspectRatio: Number((dimensions.width / dimensions.height).toFixed(4)),
+            fileSize: fs.statSync(filePath).size,
+            tags: relativePath.split('/').slice(0, -1),
+            thumbnail: sharp ? await tryGenerateThumbnail(sharp, relativePath) : null
+        });
+    }
+
+    const manifest = {
+        generatedAt: new Date().toISOString(),
+        count: images.length,
+        images: images
+    };
 
     // Write the content to the output file
-    fs.writeFileSync(outputFilePath, fileContent, 'utf8');
+    fs.writeFileSync(manifestFilePath, JSON.stringify(manifest, null, 2) + '\n', 'utf8');
 
     // Provide feedback to the user
-    console.log(`✅ Success! Generated imageNames.js with ${imageFiles.length} image filenames.`);
-    console.log(`📁 Files found: ${imageFiles.join(', ')}`);
-    console.log(`📄 Output saved to: ${outputFilePath}`);
+    console.log(`✅ Success! Generated manifest.json with ${images.length} images.`);
+    if (sharp) {
+        console.log(`🖼️  Thumbnails written to: ${thumbnailsFolderPath}`);
+    }
+    console.log(`📄 Output saved to: ${manifestFilePath}`);
+}
 
-} catch (error) {
+main().catch(error => {
     console.error('❌ An error occurred:', error.message);
     process.exit(1);
-}
\ No newline at end of file
+});
@@ -0,0 +1,285 @@
+/*
+ * gestures.js - Gesture Recognition on Tracked Keypoints
+ * LET VISITORS CHOOSE THEIR MOMENT
+ *
+ * With CONFIG.capture.trigger set to "gesture", nobody is captured by a
+ * timer. Instead each tracked person is captured when they hold one of the
+ * gestures below for the gesture's hold time.
+ *
+ * Gestures are plain data. A definition lists the keypoints it needs, the
+ * confidence those keypoints must have, how long it must be held, and a
+ * list of conditions that all have to be true at the same time:
+ *
+ *   above   {point, reference, margin}       point is higher than reference
+ *   level   {point, reference, tolerance}    point is at the height of reference
+ *   spread  {points, reference, minRatio}    distance between two points is at least
+ *                                            minRatio times the distance between two others
+ *   wave    {point, reference, minSwings, minAmplitude, window}
+ *                                            point is above reference and swings
+ *                                            side to side minSwings times within window ms
+ *   anyOf   {conditions}                     at least one of the nested conditions
+ *
+ * Distances (margin, tolerance, minAmplitude) are in shoulder widths, so
+ * gestures work the same close to the camera and far away.
+ *
+ * Nothing here touches p5 or ml5: the recogniser is handed to
+ * createCountdownInteraction and runs under Node in the tests.
+ */
+
+const GESTURE_DEFINITIONS = {
+    handsUp: {
+        label: "Both hands up",
+        keypoints: ['nose', 'left_wrist', 'right_wrist'],
+        minConfidence: 0.5,
+        holdTime: 1000,
+        conditions: [
+            {type: "above", point: 'left_wrist', reference: 'nose', margin: 0.1},
+            {type: "above", point: 'right_wrist', reference: 'nose', margin: 0.1}
+        ]
+    },
+    tPose: {
+        label: "Arms spread wide",
+        keypoints: ['left_shoulder', 'right_shoulder', 'left_wrist', 'right_wrist'],
+        minConfidence: 0.5,
+        holdTime: 1000,
+        conditions: [
+            {type: "level", point: 'left_wrist', reference: 'left_shoulder', tolerance: 0.4},
+            {type: "level", point: 'right_wrist', reference: 'right_shoulder', tolerance: 0.4},
+            {type: "spread", points: ['left_wrist', 'right_wrist'], reference: ['left_shoulder', 'right_shoulder'], minRatio: 2.5}
+        ]
+    },
+    wave: {
+        label: "Wave",
+        keypoints: ['left_shoulder', 'right_shoulder'],
+        minConfidence: 0.4,
+        holdTime: 500,
+        conditions: [
+            {type: "anyOf", conditions: [
+                {type: "wave", point: 'left_wrist', reference: 'left_shoulder', minSwings: 3, minAmplitude: 0.3, window: 1500},
+                {type: "wave", point: 'right_wrist', reference: 'right_shoulder', minSwings: 3, minAmplitude: 0.3, window: 1500}
+            ]}
+        ]
+    }
+};
+
+/**
+ * Condition checks: (condition, context) => boolean
+ * context = {keypoints: Map name -> keypoint, scale, history, now, minConfidence}
+ */
+const GESTURE_CONDITIONS = {
+    above(condition, context) {
+        const point = getConfidentKeypoint(context, condition.point);
+        const reference = getConfidentKeypoint(context, condition.reference);
+        if (!point || !reference) return false;
+
+        // Screen y grows downwards
+        return point.y < reference.y - (condition.margin || 0) * context.scale;
+    },
+
+    level(condition, context) {
+        const point = getConfidentKeypoint(context, condition.point);
+        const reference = getConfidentKeypoint(context, condition.reference);
+        if (!point || !reference) return false;
+
+        return Math.abs(point.y - reference.y) <= condition.tolerance * context.scale;
+    },
+
+    spread(condition, context) {
+        const [a, b] = condition.points.map(name => getConfidentKeypoint(context, name));
+        const [c, d] = condition.reference.map(name => getConfidentKeypoint(context, name));
+        if (!a || !b || !c || !d) return false;
+
+        return Math.hypot(a.x - b.x, a.y - b.y) >= condition.minRatio * Math.hypot(c.x - d.x, c.y - d.y);
+    },
+
+    wave(condition, context) {
+        const point = getConfidentKeypoint(context, condition.point);
+        const reference = getConfidentKeypoint(context, condition.reference);
+        if (!point || !reference || point.y >= reference.y) return false;
+
+        const since = context.now - condition.window;
+        const xs = context.history
+            .filter(sample => sample.time >= since && sample.positions[condition.point])
+            .map(sample => sample.positions[condition.point].x);
+
+        return countSwings(xs, condition.minAmplitude * context.scale) >= condition.minSwings;
+    },
+
+    anyOf(condition, context) {
+        return condition.conditions.some(nested => checkGestureCondition(nested, context));
+    }
+};
+
+function checkGestureCondition(condition, context) {
+    const check = GESTURE_CONDITIONS[condition.type];
+    return check ? check(condition, context) : false;
+}
+
+function getConfidentKeypoint(context, name) {
+    const keypoint = context.keypoints.get(name);
+    if (!keypoint || keypoint.confidence < context.minConfidence) return null;
+    return keypoint;
+}
+
+/**
+ * Count changes of direction larger than minAmplitude in a series of positions
+ */
+function countSwings(values, minAmplitude) {
+    if (values.length < 2) return 0;
+
+    let swings = 0;
+    let direction = 0;       // 1 moving towards larger values, -1 towards smaller, 0 not yet known
+    let low = values[0];
+    let high = values[0];
+    let extreme = values[0]; // Furthest point reached in the current direction
+
+    for (const value of values) {
+        if (direction === 0) {
+            low = Math.min(low, value);
+            high = Math.max(high, value);
+            if (value - low >= minAmplitude) {
+                direction = 1;
+                extreme = value;
+            } else if (high - value >= minAmplitude) {
+                direction = -1;
+                extreme = value;
+            }
+        } else if (direction * (value - extreme) > 0) {
+            extreme = value;
+        } else if (Math.abs(value - extreme) >= minAmplitude) {
+            swings++;
+            direction = -direction;
+            extreme = value;
+        }
+    }
+    return swings;
+}
+
+/**
+ * Tracks gestures per person over time
+ *
+ * @param {Object} options
+ * @param {Function} options.now - Clock in milliseconds
+ * @param {Array} [options.gestures] - Names from GESTURE_DEFINITIONS to listen for (all by default)
+ * @param {Object} [options.overrides] - Per-gesture {holdTime, minConfidence} overrides
+ * @param {Object} [options.definitions] - Replaces GESTURE_DEFINITIONS
+ */
+function createGestureRecognizer(options) {
+    const now = options.now;
+    const library = options.definitions || GESTURE_DEFINITIONS;
+    const names = options.gestures || Object.keys(library);
+    const overrides = options.overrides || {};
+
+    const gestures = [];
+    for (const name of names) {
+        if (!library[name]) {
+            console.warn(`Unknown gesture "${name}" - ignored`);
+            continue;
+        }
+        gestures.push({name, ...library[name], ...(overrides[name] || {})});
+    }
+
+    const historyLength = Math.max(0, ...gestures.flatMap(gesture => collectWindows(gesture.conditions)));
+    const people = new Map(); // personId -> {history, heldSince: Map name -> time, waitingForRelease}
+
+    /**
+     * Feed one person's current keypoints
+     * @returns {{gesture: string|null, progress: number, completed: boolean}}
+     *   progress is the hold progress (0 to 1) of the best gesture being made;
+     *   completed is true once per hold, after which the person has to let go
+     */
+    function update(personId, keypoints) {
+        const currentTime = now();
+        if (!people.has(personId)) {
+            people.set(personId, {history: [], heldSince: new Map(), waitingForRelease: false});
+        }
+        const person = people.get(personId);
+
+        const positions = {};
+        for (const keypoint of keypoints) positions[keypoint.name] = {x: keypoint.x, y: keypoint.y};
+        person.history.push({time: currentTime, positions});
+        while (person.history.length > 0 && person.history[0].time < currentTime - historyLength) {
+            person.history.shift();
+        }
+
+        const keypointMap = new Map(keypoints.map(keypoint => [keypoint.name, keypoint]));
+        let best = {gesture: null, progress: 0, completed: false};
+        let anyHeld = false;
+
+        for (const gesture of gestures) {
+            const context = {
+                keypoints: keypointMap,
+                scale: getShoulderWidth(keypointMap),
+                history: person.history,
+                now: currentTime,
+                minConfidence: gesture.minConfidence
+            };
+            const made = gesture.keypoints.every(name => getConfidentKeypoint(context, name)) &&
+                gesture.conditions.every(condition => checkGestureCondition(condition, context));
+
+            if (!made) {
+                person.heldSince.delete(gesture.name);
+                continue;
+            }
+
+            anyHeld = true;
+            if (!person.heldSince.has(gesture.name)) person.heldSince.set(gesture.name, currentTime);
+
+            const progress = gesture.holdTime > 0
+                ? Math.min(1, (currentTime - person.heldSince.get(gesture.name)) / gesture.holdTime)
+                : 1;
+            if (progress > best.progress || !best.gesture) {
+                best = {gesture: gesture.name, progress, completed: false};
+            }
+        }
+
+        if (person.waitingForRelease) {
+            // The person was just captured - nothing counts until they let go
+            if (!anyHeld) person.waitingForRelease = false;
+            return {gesture: null, progress: 0, completed: false};
+        }
+
+        if (best.progress >= 1) {
+            best.completed = true;
+            person.waitingForRelease = true;
+            person.heldSince.clear();
+        }
+        return best;
+    }
+
+    function forget(personId) {
+        people.delete(personId);
+    }
+
+    function reset() {
+        people.clear();
+    }
+
+    return {gestures, update, forget, reset};
+}
+
+/**
+ * Shoulder width in pixels - the unit for gesture distances
+ */
+function getShoulderWidth(keypointMap) {
+    const left = keypointMap.get('left_shoulder');
+    const right = keypointMap.get('right_shoulder');
+    const width = left && right ? Math.hypot(left.x - right.x, left.y - right.y) : 0;
+    return width > 0 ? width : 100;
+}
+
+function collectWindows(conditions) {
+    return conditions.flatMap(condition => [
+        condition.window || 0,
+        ...(condition.conditions ? collectWindows(condition.conditions) : [])
+    ]);
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        GESTURE_DEFINITIONS,
+        GESTURE_CONDITIONS,
+        countSwings,
+        createGestureRecognizer
+    };
+}
@@ -1,89 +1,64 @@
 /*
- * imagePlacement.js - Growth-Based Keypoint Image System
- * COMPLETELY SIMPLIFIED FOR THE NEW INTERACTION MODEL
+ * imagePlacement.js - Where Archive Images Go
+ * PLACEMENT STRATEGIES FOR CAPTURES, DRAWING FOR GROWTH MODE
  * 
- * This file now focuses entirely on the simple growth-based interaction system.
- * All the complex geometric placement algorithms have been removed since we're
- * now using direct keypoint placement with growth mechanics.
+ * Countdown captures place their images through a small strategy registry.
+ * A strategy turns one captured person (keypoints + outline) into anchors -
+ * {x, y, size, keypointName}, with x/y the centre of the image - and
+ * placeImagesForPerson in sketch.js picks a photo for each anchor.
  * 
- * The new approach is beautifully simple:
- * 1. Images appear small on detected keypoints
- * 2. They grow over time as the person stays engaged
- * 3. When they reach full size, the interaction is "captured"
- * 4. No complex geometric calculations needed
+ * Built-in strategies (choose one with CONFIG.placement.strategy; each has
+ * its own size and jitter settings in CONFIG.placement.<name>):
+ * - onKeypoint:     one image centred on every tracked keypoint
+ * - horizonLine:    keypoint x, but every image sits on a horizontal line
+ * - shoulderCentre: one large image between the shoulders, smaller ones on
+ *                   the remaining keypoints
+ * - alongOutline:   images spaced evenly along the person's outline
+ * - radialBurst:    images in a ring around the upper body
  * 
- * This makes the code much easier to understand, modify, and extend.
+ * New layouts can be added with registerPlacementStrategy(name, strategy).
+ * 
+ * packPlacedImages then moves or shrinks new images so they don't bury the
+ * photos of earlier captures (see CONFIG.packing).
+ * 
+ * The growth-based interaction doesn't use strategies: its images grow on
+ * the keypoints themselves. The growth (timing, grace period, capture) is
+ * decided by createGrowthInteraction in interactionCore.js; this file only
+ * draws it.
  */
 
-// Configuration for the growth-based system
-const KEYPOINT_GROWTH_CONFIG = {
-    // Which body keypoints should have growing images
-    targetKeypoints: [
-        'nose',           // Head area - most stable keypoint
-        'left_shoulder',  'right_shoulder',  // Upper body
-        // 'left_elbow',     'right_elbow',     // Arms  
-        'left_wrist',     'right_wrist',     // Hands
-        // 'left_hip',       'right_hip',       // Lower body
-        // 'left_knee',      'right_knee'       // Legs
-    ],
-    
-    // Growth behavior parameters
-    minSize: 20,          // Starting size when image first appears
-    maxSize: 120,         // Full size when growth is complete
-    growthRate: 0.2,      // Size increase per second when person present
-    shrinkRate: 2.0,      // Size decrease per second when person absent
-    captureThreshold: 0.9, // What percentage of max size triggers capture
-    
-    // Keypoint confidence and timing
-    minConfidence: 0.3,   // Minimum ml5 confidence to trust a keypoint
-    gracePeriod: 500,     // Milliseconds to keep growing after person disappears
-    minKeypointsForCapture: 3, // How many mature keypoints needed to trigger capture
-    
-    // Visual variation for natural feel
-    positionJitter: 15,   // Random offset from exact keypoint position
-    sizeVariation: 20     // Random variation in final size
-};
+// Configuration lives in CONFIG.placement and CONFIG.growth (see config.js)
 
 /**
- * Extract target keypoints from a detected pose
- * 
- * This function takes a raw pose from ml5.bodyPose and returns only the
- * keypoints we want to use for image placement. This makes it easy to
- * add or remove keypoints by simply modifying the targetKeypoints array.
+ * Draw an image that is still growing on a keypoint
  * 
- * Think of this like filtering a guest list - we have all the detected
- * keypoints, but we only want to work with the ones that make sense
- * for our interaction design.
+ * The image is centred on its keypoint, keeps its aspect ratio inside a
+ * square of the current size, and fades in as it grows.
  * 
- * @param {Object} pose - A single pose object from ml5.bodyPose
- * @returns {Array} Filtered array of keypoints suitable for image placement
+ * @param {Object} growingImage - One entry of a person's images map
+ * @param {Array} personColor - The person's color, used for a thin frame
  */
-function extractTargetKeypoints(pose) {
-    const validKeypoints = [];
+function drawGrowingImage(growingImage, personColor) {
+    if (!growingImage.image) return;
     
-    // Check each keypoint in the pose against our target list
-    for (let keypoint of pose.keypoints) {
-        // Only include keypoints that are in our target list and have good confidence
-        if (KEYPOINT_GROWTH_CONFIG.targetKeypoints.includes(keypoint.name) && 
-            keypoint.confidence > KEYPOINT_GROWTH_CONFIG.minConfidence) {
-            
-            // Add some natural variation to the position for organic feel
-            const jitter = KEYPOINT_GROWTH_CONFIG.positionJitter;
-            const offsetX = (Math.random() - 0.5) * jitter;
-            const offsetY = (Math.random() - 0.5) * jitter;
-            
-            validKeypoints.push({
-                name: keypoint.name,
-                x: keypoint.x + offsetX,
-                y: keypoint.y + offsetY,
-                confidence: keypoint.confidence,
-                originalX: keypoint.x,  // Keep original for reference
-                originalY: keypoint.y
-            });
-        }
-    }
+    const aspectRatio = growingImage.aspectRatio;
+    const displayWidth = aspectRatio > 1 ? growingImage.size : growingImage.size * aspectRatio;
+    const displayHeight = aspectRatio > 1 ? growingImage.size / aspectRatio : growingImage.size;
+    const x = growingImage.x - displayWidth / 2;
+    const y = growingImage.y - displayHeight / 2;
+    const alpha = 55 + growingImage.opacity * 200; // Never fully invisible while growing
+    
+    tint(255, alpha);
+    image(growingImage.image, x, y, displayWidth, displayHeight);
+    noTint();
     
-    return validKeypoints;
+    // Frame in the person's color so everyone can see which images are theirs
+    if (personColor) {
+        noFill();
+        stroke(personColor[0], personColor[1], personColor[2], alpha);
+        strokeWeight(2);
+        rect(x, y, displayWidth, displayHeight);
+    }
 }
 
 /**
@@ -93,13 +68,17 @@ function extractTargetKeypoints(pose) {
  * as permanent commemorative elements.
  * 
  * @param {Object} frozenImage - The frozen image to draw
+ * @param {number} [visibility] - Aging of the whole capture (see wall.getVisibility)
  */
-function drawFrozenImage(frozenImage) {
+function drawFrozenImage(frozenImage, visibility = 1) {
     if (!frozenImage.image) return;
     
+    // Restored images have no opacity stored - they were captured fully visible
+    const opacity = (frozenImage.opacity === undefined ? 1 : frozenImage.opacity) * visibility;
+    
     // Apply opacity for fading effects if needed
-    if (frozenImage.opacity < 1.0) {
-        tint(255, frozenImage.opacity * 255);
+    if (opacity < 1.0) {
+        tint(255, opacity * 255);
     }
     
     // Draw the frozen image at its captured position and size
@@ -110,7 +89,401 @@ function drawFrozenImage(frozenImage) {
           frozenImage.height);
     
     // Reset tint
-    if (frozenImage.opacity < 1.0) {
+    if (opacity < 1.0) {
         noTint();
     }
 }
+
+// ========== PLACEMENT STRATEGIES ==========
+
+/**
+ * Strategy signature: (person, params, outline, random) => anchors
+ * - person:  {personId, keypoints: [{name, x, y}], ...}
+ * - params:  this strategy's section of CONFIG.placement
+ * - outline: {personId, contours} from segmentation, or null
+ * - random:  random source in [0, 1)
+ */
+const IMAGE_PLACEMENT_STRATEGIES = {
+    onKeypoint(person, params, outline, random) {
+        return person.keypoints.map(keypoint => ({
+            x: keypoint.x + jitterOffset(params.jitter, random),
+            y: keypoint.y + jitterOffset(params.jitter, random),
+            size: randomSize(params, random),
+            keypointName: keypoint.name
+        }));
+    },
+
+    horizonLine(person, params, outline, random) {
+        // Centres on the line at params.y with ±jitter px variation
+        return person.keypoints.map(keypoint => ({
+            x: keypoint.x,
+            y: params.y + jitterOffset(params.jitter, random),
+            size: randomSize(params, random),
+            keypointName: keypoint.name
+        }));
+    },
+
+    shoulderCentre(person, params, outline, random) {
+        const centre = getShoulderCentre(person.keypoints);
+        if (!centre) return IMAGE_PLACEMENT_STRATEGIES.onKeypoint(person, params, outline, random);
+
+        const anchors = [{
+            x: centre.x + jitterOffset(params.jitter, random),
+            y: centre.y + jitterOffset(params.jitter, random),
+            size: randomSize(params, random) * params.centreScale,
+            keypointName: 'center_shoulders'
+        }];
+
+        // Shoulders are covered by the centre image
+        for (const keypoint of person.keypoints) {
+            if (keypoint.name === 'left_shoulder' || keypoint.name === 'right_shoulder') continue;
+
+            anchors.push({
+                x: keypoint.x + jitterOffset(params.jitter, random),
+                y: keypoint.y + jitterOffset(params.jitter, random),
+                size: randomSize(params, random),
+                keypointName: keypoint.name
+            });
+        }
+        return anchors;
+    },
+
+    alongOutline(person, params, outline, random) {
+        const contour = outline ? getLongestContour(outline.contours) : null;
+        if (!contour) return IMAGE_PLACEMENT_STRATEGIES.onKeypoint(person, params, outline, random);
+
+        // Start somewhere random so repeated captures don't line up
+        return samplePointsAlongContour(contour, params.count, random()).map((point, i) => ({
+            x: point.x + jitterOffset(params.jitter, random),
+            y: point.y + jitterOffset(params.jitter, random),
+            size: randomSize(params, random),
+            keypointName: `outline_${i}`
+        }));
+    },
+
+    radialBurst(person, params, outline, random) {
+        const centre = getShoulderCentre(person.keypoints) || getKeypointCentroid(person.keypoints);
+        if (!centre) return [];
+
+        const startAngle = random() * Math.PI * 2;
+        const anchors = [];
+        for (let i = 0; i < params.count; i++) {
+            const angle = startAngle + (i / params.count) * Math.PI * 2;
+            const radius = params.radius + jitterOffset(params.jitter, random);
+            anchors.push({
+                x: centre.x + Math.cos(angle) * radius,
+                y: centre.y + Math.sin(angle) * radius,
+                size: randomSize(params, random),
+                keypointName: `burst_${i}`
+            });
+        }
+        return anchors;
+    }
+};
+
+/**
+ * Add (or replace) a placement strategy, selectable by name in CONFIG.placement.strategy
+ */
+function registerPlacementStrategy(name, strategy) {
+    IMAGE_PLACEMENT_STRATEGIES[name] = strategy;
+}
+
+/**
+ * Anchors for one person using the named strategy
+ * Unknown strategies fall back to onKeypoint so a capture never loses its images.
+ *
+ * @param {string} strategyName - Key of IMAGE_PLACEMENT_STRATEGIES
+ * @param {Object} person - Captured person with keypoints
+ * @param {Object} params - Size/jitter settings for the strategy
+ * @param {Object|null} outline - This person's outline, if segmentation worked
+ * @param {Function} [random] - Random source in [0, 1)
+ * @returns {Array} [{x, y, size, keypointName}]
+ */
+function getPlacementAnchors(strategyName, person, params, outline, random = Math.random) {
+    const strategy = IMAGE_PLACEMENT_STRATEGIES[strategyName] || IMAGE_PLACEMENT_STRATEGIES.onKeypoint;
+    return strategy(person, params, outline, random);
+}
+
+function randomSize(params, random) {
+    return params.minSize + random() * (params.maxSize - params.minSize);
+}
+
+function jitterOffset(jitter, random) {
+    return (random() * 2 - 1) * (jitter || 0);
+}
+
+function getShoulderCentre(keypoints) {
+    const leftShoulder = keypoints.find(kp => kp.name === 'left_shoulder');
+    const rightShoulder = keypoints.find(kp => kp.name === 'right_shoulder');
+    if (!leftShoulder || !rightShoulder) return null;
+
+    return {x: (leftShoulder.x + rightShoulder.x) / 2, y: (leftShoulder.y + rightShoulder.y) / 2};
+}
+
+function getKeypointCentroid(keypoints) {
+    if (keypoints.length === 0) return null;
+
+    return {
+        x: keypoints.reduce((sum, kp) => sum + kp.x, 0) / keypoints.length,
+        y: keypoints.reduce((sum, kp) => sum + kp.y, 0) / keypoints.length
+    };
+}
+
+function getClosedLength(contour) {
+    let length = 0;
+    for (let i = 0; i < contour.length; i++) {
+        const a = contour[i];
+        const b = contour[(i + 1) % contour.length];
+        length += Math.hypot(b.x - a.x, b.y - a.y);
+    }
+    return length;
+}
+
+/**
+ * The body outline is the longest loop; holes and islands are shorter
+ */
+function getLongestContour(contours) {
+    let longest = null;
+    let longestLength = 0;
+
+    for (const contour of contours || []) {
+        if (contour.length < 2) continue;
+        const length = getClosedLength(contour);
+        if (length > longestLength) {
+            longest = contour;
+            longestLength = length;
+        }
+    }
+    return longest;
+}
+
+/**
+ * `count` points evenly spaced by arc length around a closed contour
+ * @param {number} startFraction - Where along the loop (0 to 1) the first point sits
+ */
+function samplePointsAlongContour(contour, count, startFraction = 0) {
+    const totalLength = getClosedLength(contour);
+    if (count <= 0 || totalLength === 0) return [];
+
+    const points = [];
+    const spacing = totalLength / count;
+    let target = startFraction * spacing;
+    let walked = 0;
+
+    for (let i = 0; i < contour.length && points.length < count; i++) {
+        const a = contour[i];
+        const b = contour[(i + 1) % contour.length];
+        const segmentLength = Math.hypot(b.x - a.x, b.y - a.y);
+
+        while (target <= walked + segmentLength && points.length < count) {
+            const t = segmentLength > 0 ? (target - walked) / segmentLength : 0;
+            points.push({x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t});
+            target += spacing;
+        }
+        walked += segmentLength;
+    }
+    return points;
+}
+
+// ========== OVERLAP-AWARE PACKING ==========
+
+/**
+ * Uniform grid over rectangles so overlap checks only look at neighbours
+ * Rectangles are {x, y, width, height} with x/y the top-left corner.
+ */
+function createRectIndex(cellSize = 100) {
+    const cells = new Map();
+
+    function forEachCell(rect, visit) {
+        const left = Math.floor(rect.x / cellSize);
+        const right = Math.floor((rect.x + rect.width) / cellSize);
+        const top = Math.floor(rect.y / cellSize);
+        const bottom = Math.floor((rect.y + rect.height) / cellSize);
+
+        for (let cx = left; cx <= right; cx++) {
+            for (let cy = top; cy <= bottom; cy++) {
+                visit(`${cx},${cy}`);
+            }
+        }
+    }
+
+    return {
+        insert(rect) {
+            forEachCell(rect, key => {
+                if (!cells.has(key)) cells.set(key, []);
+                cells.get(key).push(rect);
+            });
+        },
+
+        query(rect) {
+            const found = new Set();
+            forEachCell(rect, key => {
+                for (const other of cells.get(key) || []) found.add(other);
+            });
+            return found;
+        }
+    };
+}
+
+function rectIntersectionArea(a, b) {
+    const overlapX = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+    const overlapY = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+    return overlapX > 0 && overlapY > 0 ? overlapX * overlapY : 0;
+}
+
+/**
+ * Worst overlap between a rectangle and its neighbours, from 0 to 1
+ * Measured against the smaller of each pair, so a small older photo being
+ * buried under a large new one counts as fully covered.
+ */
+function getOverlapRatio(rect, index) {
+    let worst = 0;
+    for (const other of index.query(rect)) {
+        const smallerArea = Math.min(rect.width * rect.height, other.width * other.height);
+        if (smallerArea <= 0) continue;
+        worst = Math.max(worst, rectIntersectionArea(rect, other) / smallerArea);
+    }
+    return worst;
+}
+
+/**
+ * Move new images so they don't bury what is already on the wall
+ *
+ * Each image is tried in turn, and accepted images count as obstacles for
+ * the next ones:
+ * 1. keep it where it is if the overlap is already below maxOverlap
+ * 2. relaxation: push it out of its neighbours along the shallowest axis
+ * 3. re-slot: the nearest free spot within maxNudge, shrinking the image
+ *    step by step down to minScale if it doesn't fit at full size
+ * 4. give up and keep the original position
+ *
+ * @param {Array} images - New rectangles ({x, y, width, height}, top-left)
+ * @param {Array} existingRects - Rectangles already on the wall
+ * @param {Object} options - CONFIG.packing plus optional bounds {x, y, width, height}
+ *                           images must stay inside (the canvas, or their lane)
+ * @returns {Array} One {x, y, width, height} per image, in the same order
+ */
+function packPlacedImages(images, existingRects, options) {
+    const index = createRectIndex(options.cellSize);
+    for (const rect of existingRects) index.insert(rect);
+
+    return images.map(image => {
+        const original = {x: image.x, y: image.y, width: image.width, height: image.height};
+        const placed = findFreeRect(original, index, options) || original;
+        index.insert(placed);
+        return placed;
+    });
+}
+
+function findFreeRect(rect, index, options) {
+    const fits = candidate => getOverlapRatio(candidate, index) <= options.maxOverlap;
+
+    if (fits(rect)) return rect;
+
+    const relaxed = relaxRect(rect, index, options);
+    if (fits(relaxed)) return relaxed;
+
+    const centreX = rect.x + rect.width / 2;
+    const centreY = rect.y + rect.height / 2;
+
+    for (let scale = 1; scale >= options.minScale - 1e-9; scale -= 0.1) {
+        const width = rect.width * scale;
+        const height = rect.height * scale;
+
+        for (const offset of getSpiralOffsets(options.maxNudge, options.step)) {
+            const candidate = {
+                x: centreX + offset.x - width / 2,
+                y: centreY + offset.y - height / 2,
+                width: width,
+                height: height
+            };
+            if (isInsideBounds(candidate, options.bounds) && fits(candidate)) return candidate;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Push a rectangle out of everything it overlaps, a few small steps at a time
+ * It never moves further than maxNudge from where it started.
+ */
+function relaxRect(rect, index, options) {
+    const moved = {...rect};
+
+    for (let iteration = 0; iteration < options.relaxIterations; iteration++) {
+        let pushX = 0;
+        let pushY = 0;
+
+        for (const other of index.query(moved)) {
+            const overlapX = Math.min(moved.x + moved.width, other.x + other.width) - Math.max(moved.x, other.x);
+            const overlapY = Math.min(moved.y + moved.height, other.y + other.height) - Math.max(moved.y, other.y);
+            if (overlapX <= 0 || overlapY <= 0) continue;
+
+            // Leave along the axis that needs the shortest move
+            if (overlapX < overlapY) {
+                pushX += (moved.x + moved.width / 2 < other.x + other.width / 2 ? -1 : 1) * overlapX;
+            } else {
+                pushY += (moved.y + moved.height / 2 < other.y + other.height / 2 ? -1 : 1) * overlapY;
+            }
+        }
+
+        if (pushX === 0 && pushY === 0) break;
+
+        moved.x += pushX / 2;
+        moved.y += pushY / 2;
+
+        const distance = Math.hypot(moved.x - rect.x, moved.y - rect.y);
+        if (distance > options.maxNudge) {
+            moved.x = rect.x + (moved.x - rect.x) * options.maxNudge / distance;
+            moved.y = rect.y + (moved.y - rect.y) * options.maxNudge / distance;
+        }
+        clampToBounds(moved, options.bounds);
+    }
+
+    return moved;
+}
+
+/**
+ * Offsets on rings of growing radius, nearest first
+ * Starts with no offset at all, so a shrunk image can stay where it was.
+ */
+function getSpiralOffsets(maxDistance, step) {
+    const offsets = [{x: 0, y: 0}];
+    for (let radius = step; radius <= maxDistance; radius += step) {
+        const count = Math.max(8, Math.ceil((2 * Math.PI * radius) / step));
+        for (let i = 0; i < count; i++) {
+            const angle = (i / count) * Math.PI * 2;
+            offsets.push({x: Math.cos(angle) * radius, y: Math.sin(angle) * radius});
+        }
+    }
+    return offsets;
+}
+
+function isInsideBounds(rect, bounds) {
+    if (!bounds) return true;
+    const left = bounds.x || 0;
+    const top = bounds.y || 0;
+    return rect.x >= left && rect.y >= top &&
+        rect.x + rect.width <= left + bounds.width && rect.y + rect.height <= top + bounds.height;
+}
+
+function clampToBounds(rect, bounds) {
+    if (!bounds) return;
+    const left = bounds.x || 0;
+    const top = bounds.y || 0;
+    rect.x = Math.min(Math.max(rect.x, left), Math.max(left, left + bounds.width - rect.width));
+    rect.y = Math.min(Math.max(rect.y, top), Math.max(top, top + bounds.height - rect.height));
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        IMAGE_PLACEMENT_STRATEGIES,
+        registerPlacementStrategy,
+        getPlacementAnchors,
+        samplePointsAlongContour,
+        createRectIndex,
+        getOverlapRatio,
+        packPlacedImages
+    };
+}
@@ -0,0 +1,1103 @@
+/*
+ * interactionCore.js - Multi-Person Countdown Logic Without p5 or ml5
+ * RUNS IN THE BROWSER AND UNDER NODE
+ *
+ * All the decision-making of the installation lives here: who is being
+ * tracked, which color they get, when the shared countdown starts, when it
+ * completes, and which commemorative objects stay on the wall.
+ *
+ * Nothing in this file touches p5 or ml5 globals. Everything it needs from
+ * the outside world is passed in:
+ * - now()                                  clock in milliseconds (p5's millis in the browser)
+ * - captureOutline(people, done, bystanders)
+ *                                          body segmentation; calls done(outlines or null, collage, measurements).
+ *                                          bystanders are the other tracked people, so their part of the
+ *                                          mask can be told apart and left out
+ * - placeImages(person, object, outline)   image placement for one person
+ * - pickImage()                            a random archive image (growth mode)
+ *
+ * Two interaction modes share the same wall and the same outline hook:
+ * createCountdownInteraction (shared countdown) and createGrowthInteraction
+ * (images grow on keypoints until they are mature enough to capture).
+ *
+ * That makes the whole interaction testable with a fake clock, fake poses
+ * and stubbed segmentation (see test/interactionCore.test.js).
+ */
+
+// Only what the installation config doesn't set: the rest comes from
+// config.js through countdownSettingsFromConfig, so there is one source of truth
+const INTERACTION_DEFAULTS = {
+    holdStill: false,               // Hold a person's countdown back while they move
+    perPersonCountdowns: false,     // Give each person their own countdown and capture
+    captureTrigger: "countdown",    // "countdown", or "gesture" to capture people when they hold a gesture
+    minKeypoints: 3,                // Reliable keypoints needed to track a person
+    targetKeypoints: [
+        'nose',           // Head
+        'left_shoulder', 'right_shoulder',
+        'left_wrist', 'right_wrist'
+    ]
+};
+
+/**
+ * Countdown interaction settings from the installation config
+ * @param {Object} config - CONFIG, or DEFAULT_CONFIG from config.js
+ */
+function countdownSettingsFromConfig(config) {
+    return {
+        countdownDuration: config.countdown.duration,
+        retryCountdownDuration: config.countdown.retryDuration,
+        holdStill: config.countdown.holdStill.enabled,
+        holdStillWindow: config.countdown.holdStill.window,
+        holdStillThreshold: config.countdown.holdStill.threshold,
+        movementResponse: config.countdown.holdStill.onMovement,
+        rewindSpeed: config.countdown.holdStill.rewindSpeed,
+        perPersonCountdowns: config.countdown.perPerson,
+        captureTrigger: config.capture.trigger,
+        personTimeout: config.people.timeout,
+        keypointSmoothing: config.keypoints.smoothing,
+        minKeypointConfidence: config.keypoints.minConfidence,
+        personColors: config.people.colors,
+        fadeEndColor: config.people.fadeEndColor
+    };
+}
+
+/**
+ * Growth interaction settings from the installation config
+ * @param {Object} config - CONFIG, or DEFAULT_CONFIG from config.js
+ */
+function growthSettingsFromConfig(config) {
+    return {
+        ...config.growth,
+        personTimeout: config.people.timeout,
+        personColors: config.people.colors
+    };
+}
+
+function lerpValue(start, stop, amount) {
+    return start + (stop - start) * amount;
+}
+
+/**
+ * Fastest keypoint speed over a history of positions, in px per second
+ * Uses the path each keypoint travelled, so moving back and forth counts too.
+ *
+ * @param {Array} history - [{time, positions: {keypointName: {x, y}}}], oldest first
+ */
+function getFastestKeypointSpeed(history) {
+    if (history.length < 2) return 0;
+
+    const elapsed = history[history.length - 1].time - history[0].time;
+    if (elapsed <= 0) return 0;
+
+    const distances = {};
+    for (let i = 1; i < history.length; i++) {
+        for (const name in history[i].positions) {
+            const from = history[i - 1].positions[name];
+            if (!from) continue;
+            const to = history[i].positions[name];
+            distances[name] = (distances[name] || 0) + Math.hypot(to.x - from.x, to.y - from.y);
+        }
+    }
+    return Math.max(0, ...Object.values(distances)) * 1000 / elapsed;
+}
+
+/**
+ * A tracked person's keypoints that were in the latest detection
+ * Keypoints that dropped out stay in the list with confidence 0.
+ */
+function getVisibleKeypoints(keypoints) {
+    return keypoints.filter(kp => kp.confidence > 0);
+}
+
+/**
+ * The commemorative wall: captures in the order they were made
+ *
+ * Captures age by their captureTime. Over `lifetime` their visibility decays
+ * from 1 to `agedStrength`; after that - or as soon as they are pushed out by
+ * newer captures beyond `maxObjects` - they are retired and fade to nothing
+ * over `fadeOutDuration` before they are removed. Without a fade-out
+ * duration (or a clock) retired objects are removed at once.
+ *
+ * @param {Object} options
+ * @param {number} options.maxObjects - Oldest objects are retired beyond this
+ * @param {number} [options.lifetime] - Age in ms at which objects retire (0 = never)
+ * @param {number} [options.fadeOutDuration] - Fade-out length in ms (0 = none)
+ * @param {number} [options.agedStrength] - Visibility at the end of the lifetime (1 = no decay)
+ * @param {Function} [options.now] - Clock in milliseconds (same timeline as captureTime)
+ * @param {Function} [options.onAdd] - Called with each newly added object
+ * @param {Function} [options.onRemove] - Called with the array of removed objects
+ * @param {Function} [options.onClear] - Called with the cleared objects when the wall is reset
+ */
+function createCommemorativeWall(options = {}) {
+    let maxObjects, lifetime, fadeOutDuration, agedStrength;
+    const now = options.now || (() => 0);
+    const onAdd = options.onAdd || (() => {});
+    const onRemove = options.onRemove || (() => {});
+    const onClear = options.onClear || (() => {});
+
+    const wall = {
+        objects: [],
+        nextObjectId: 1,
+
+        createObjectId() {
+            return wall.nextObjectId++;
+        },
+
+        /**
+         * Change maxObjects, lifetime, fadeOutDuration and agedStrength (options
+         * left out get their defaults); objects beyond a lower maximum retire at once
+         */
+        configure(settings) {
+            maxObjects = settings.maxObjects;
+            lifetime = settings.lifetime || 0;
+            fadeOutDuration = options.now ? (settings.fadeOutDuration || 0) : 0;
+            agedStrength = settings.agedStrength !== undefined ? settings.agedStrength : 1;
+            wall.trim();
+        },
+
+        /**
+         * Add a completed capture and evict the oldest ones if needed
+         */
+        add(newObject) {
+            wall.objects.push(newObject);
+            onAdd(newObject);
+            wall.trim();
+        },
+
+        /**
+         * Put restored objects in front of anything captured meanwhile
+         */
+        restore(restoredObjects) {
+            if (restoredObjects.length === 0) return;
+
+            wall.objects = restoredObjects.concat(wall.objects);
+            wall.nextObjectId = Math.max(wall.nextObjectId, ...restoredObjects.map(obj => obj.id + 1));
+            wall.trim();
+        },
+
+        /**
+         * Retire the oldest objects beyond maxObjects
+         * Objects that are already fading out don't count.
+         */
+        trim() {
+            const remaining = wall.objects.filter(obj => obj.retiredAt === undefined);
+            if (remaining.length > maxObjects) {
+                const currentTime = now();
+                for (const obj of remaining.slice(0, remaining.length - maxObjects)) {
+                    obj.retiredAt = currentTime;
+                }
+                wall.removeFadedObjects();
+            }
+        },
+
+        /**
+         * Retire objects past their lifetime and remove faded ones - called once per frame
+         */
+        update() {
+            if (lifetime > 0) {
+                const currentTime = now();
+                for (const obj of wall.objects) {
+                    if (obj.retiredAt === undefined && currentTime - obj.captureTime >= lifetime) {
+                        // Fade from the moment the lifetime ended, even if that was before a reload
+                        obj.retiredAt = Math.min(currentTime, obj.captureTime + lifetime);
+                    }
+                }
+            }
+            wall.removeFadedObjects();
+        },
+
+        removeFadedObjects() {
+            const currentTime = now();
+            const removed = wall.objects.filter(obj =>
+                obj.retiredAt !== undefined && currentTime - obj.retiredAt >= fadeOutDuration
+            );
+            if (removed.length > 0) {
+                wall.objects = wall.objects.filter(obj => !removed.includes(obj));
+                onRemove(removed);
+            }
+        },
+
+        /**
+         * Take objects off the wall at once, without fading (e.g. deleted by an operator)
+         */
+        remove(objectsToRemove) {
+            const removed = wall.objects.filter(obj => objectsToRemove.includes(obj));
+            if (removed.length === 0) return;
+
+            wall.objects = wall.objects.filter(obj => !removed.includes(obj));
+            onRemove(removed);
+        },
+
+        /**
+         * How visible an object is right now, from 1 (new) to 0 (faded out)
+         * Combines the decay over its lifetime with its fade-out.
+         */
+        getVisibility(obj) {
+            const currentTime = now();
+            let visibility = 1;
+
+            if (lifetime > 0) {
+                const ageProgress = Math.min(1, Math.max(0, (currentTime - obj.captureTime) / lifetime));
+                visibility = lerpValue(1, agedStrength, ageProgress);
+            }
+
+            if (obj.retiredAt !== undefined && fadeOutDuration > 0) {
+                visibility *= Math.max(0, 1 - (currentTime - obj.retiredAt) / fadeOutDuration);
+            }
+
+            return visibility;
+        },
+
+        clear() {
+            const cleared = wall.objects;
+            wall.objects = [];
+            onClear(cleared);
+        }
+    };
+
+    wall.configure(options);
+    return wall;
+}
+
+/**
+ * Multi-person countdown interaction
+ *
+ * By default everyone shares one countdown that starts with the first person
+ * and captures everyone present into one object. With perPersonCountdowns
+ * each person counts down from the moment they were first seen and is
+ * captured into their own object, while the others keep their progress.
+ * With captureTrigger "gesture" there is no timer at all: a person is
+ * captured into their own object once they hold a gesture long enough
+ * (see gestures.js), and their keypoints fade with the hold progress.
+ * With holdStill, countdowns pause (or rewind) while a person moves: the
+ * shared countdown for anyone moving, per-person countdowns for the mover.
+ *
+ * Person tracking data structure:
+ * Map entry: personId -> {
+ *   keypoints: [],           // current keypoints with colors
+ *   assignedColor: [],       // RGB color assigned to this person
+ *   colorIndex: number,      // index in personColors
+ *   lastSeenTime: number,    // for cleanup of disappeared people
+ *   countdownStartTime: number, // when this person's own countdown began (per-person mode)
+ *   keypointHistory: [],     // smoothed keypoint positions over the hold-still window
+ *   motion: number,          // fastest keypoint speed over that window, in px per second
+ *   moving: boolean,         // faster than holdStillThreshold (with holdStill only)
+ *   gesture: string|null,    // gesture currently being held (gesture mode)
+ *   gestureProgress: number  // hold progress of that gesture, 0 to 1
+ * }
+ *
+ * @param {Object} options
+ * @param {Object} options.wall - A wall from createCommemorativeWall
+ * @param {Function} options.now - Clock in milliseconds
+ * @param {Function} [options.wallClock] - Real-world time for capturedAt (Date.now)
+ * @param {Function} [options.captureOutline] - (people, done, bystanders) segmentation hook
+ * @param {Function} [options.placeImages] - (personData, commemorativeObject, outline) hook,
+ *   called once the outlines are known (outline is null without segmentation)
+ * @param {Object} [options.gestureRecognizer] - From createGestureRecognizer, for the gesture trigger
+ * @param {Object} [options.qualityGate] - From createCaptureQualityGate; without it every capture is kept
+ * @param {Function} [options.onCaptureRejected] - (reasons, people, collage) when the gate drops a capture
+ * @param {Object} options.config - From countdownSettingsFromConfig; missing switches fall back to INTERACTION_DEFAULTS
+ */
+function createCountdownInteraction(options) {
+    const settings = {...INTERACTION_DEFAULTS, ...options.config};
+    const wall = options.wall;
+    const now = options.now;
+    const wallClock = options.wallClock || (() => Date.now());
+    const captureOutline = options.captureOutline || ((people, done) => done(null));
+    const placeImages = options.placeImages || (() => {});
+    const gestureRecognizer = options.gestureRecognizer || null;
+    const qualityGate = options.qualityGate || null;
+    const onCaptureRejected = options.onCaptureRejected || (() => {});
+    const gestureTriggered = settings.captureTrigger === "gesture" && gestureRecognizer !== null;
+    const capturesIndividually = settings.perPersonCountdowns || gestureTriggered;
+
+    const state = {
+        activeCountdowns: new Map(),    // personId -> person tracking data
+        sharedCountdownActive: false,   // Whether any countdown is running
+        sharedCountdownStartTime: null, // When the current shared countdown began
+        lastCountdownUpdate: null,      // When updateSharedCountdown last ran, for holding countdowns back
+        retryRequestedAt: null,         // A rejection that found nobody tracked; the next shared countdown is short
+        nextColorIndex: 0               // For cycling through colors efficiently
+    };
+
+    /**
+     * Handle pose detection results - the gotPoses entry point
+     */
+    function handlePoses(results) {
+        const currentlyDetectedPeople = new Set();
+
+        for (const pose of results) {
+            if (pose.id !== undefined) { // ml5 provides unique IDs for tracked poses
+                currentlyDetectedPeople.add(pose.id);
+                handlePersonDetected(pose.id, pose);
+            }
+        }
+
+        // Check if we should start or continue the shared countdown
+        manageSharedCountdown(currentlyDetectedPeople.size > 0);
+    }
+
+    function handlePersonDetected(personId, pose) {
+        const targetKeypoints = extractTargetKeypoints(pose);
+
+        if (targetKeypoints.length < settings.minKeypoints) {
+            // Not enough reliable keypoints for this person
+            return;
+        }
+
+        if (!state.activeCountdowns.has(personId)) {
+            initializeNewPerson(personId, targetKeypoints);
+        } else {
+            updatePersonKeypoints(personId, targetKeypoints);
+        }
+
+        state.activeCountdowns.get(personId).lastSeenTime = now();
+    }
+
+    /**
+     * Assign a newly detected person the next palette color
+     */
+    function initializeNewPerson(personId, keypoints) {
+        const colorIndex = state.nextColorIndex;
+        const assignedColor = [...settings.personColors[colorIndex]];
+        state.nextColorIndex = (colorIndex + 1) % settings.personColors.length;
+
+        const coloredKeypoints = keypoints.map(kp => colorKeypoint(kp, assignedColor));
+
+        state.activeCountdowns.set(personId, {
+            keypoints: coloredKeypoints,
+            assignedColor: assignedColor,
+            colorIndex: colorIndex,
+            lastSeenTime: now(),
+            countdownStartTime: now(),
+            keypointHistory: [{time: now(), positions: getKeypointPositions(coloredKeypoints)}],
+            motion: 0,
+            moving: false,
+            gesture: null,
+            gestureProgress: 0
+        });
+    }
+
+    function colorKeypoint(keypoint, assignedColor) {
+        return {
+            ...keypoint,
+            currentColor: [...assignedColor], // Start with their assigned color
+            originalColor: [...assignedColor] // Remember original for fading calculations
+        };
+    }
+
+    /**
+     * Smoothly move an existing person's keypoints towards the new detection
+     * Keypoints missing from this detection keep their place with confidence 0,
+     * so nothing acts on where they were last seen; keypoints seen for the
+     * first time are added. Then measures how fast the smoothed keypoints move
+     * over the hold-still window (for holdStill and the quality gate).
+     */
+    function updatePersonKeypoints(personId, newKeypoints) {
+        const personData = state.activeCountdowns.get(personId);
+        if (!personData) return;
+
+        for (const existingKp of personData.keypoints) {
+            const newKp = newKeypoints.find(kp => kp.name === existingKp.name);
+            if (!newKp) {
+                existingKp.confidence = 0;
+            } else if (existingKp.confidence === 0) {
+                // Back after dropping out - the old position is stale
+                existingKp.x = newKp.x;
+                existingKp.y = newKp.y;
+                existingKp.confidence = newKp.confidence;
+            } else {
+                existingKp.x = lerpValue(existingKp.x, newKp.x, settings.keypointSmoothing);
+                existingKp.y = lerpValue(existingKp.y, newKp.y, settings.keypointSmoothing);
+                existingKp.confidence = newKp.confidence;
+            }
+        }
+
+        for (const newKp of newKeypoints) {
+            if (!personData.keypoints.some(kp => kp.name === newKp.name)) {
+                personData.keypoints.push(colorKeypoint(newKp, personData.assignedColor));
+            }
+        }
+
+        const history = personData.keypointHistory;
+        history.push({time: now(), positions: getKeypointPositions(personData.keypoints)});
+        while (history.length > 2 && history[1].time <= now() - settings.holdStillWindow) {
+            history.shift();
+        }
+
+        personData.motion = getFastestKeypointSpeed(history);
+        personData.moving = settings.holdStill && personData.motion > settings.holdStillThreshold;
+    }
+
+    function getKeypointPositions(keypoints) {
+        const positions = {};
+        for (const kp of getVisibleKeypoints(keypoints)) positions[kp.name] = {x: kp.x, y: kp.y};
+        return positions;
+    }
+
+    /**
+     * Start the shared countdown when someone appears, stop it when everyone is gone
+     */
+    function manageSharedCountdown(peoplePresent) {
+        if (capturesIndividually) return; // No shared countdown to manage
+
+        if (peoplePresent && !state.sharedCountdownActive) {
+            state.sharedCountdownActive = true;
+            state.sharedCountdownStartTime = now() - takeRetryHeadStart();
+        } else if (!peoplePresent && state.sharedCountdownActive) {
+            state.sharedCountdownActive = false;
+            state.sharedCountdownStartTime = null;
+        }
+    }
+
+    /**
+     * Advance the shared countdown and capture when it completes
+     * Called once per frame.
+     */
+    function updateSharedCountdown() {
+        const frameTime = state.lastCountdownUpdate === null ? 0 : now() - state.lastCountdownUpdate;
+        state.lastCountdownUpdate = now();
+
+        if (gestureTriggered) {
+            updatePersonGestures();
+            return;
+        }
+        if (settings.perPersonCountdowns) {
+            updatePersonCountdowns(frameTime);
+            return;
+        }
+
+        if (!state.sharedCountdownActive || state.sharedCountdownStartTime === null) return;
+
+        // Everyone waits while anyone is moving
+        if ([...state.activeCountdowns.values()].some(personData => personData.moving)) {
+            state.sharedCountdownStartTime = holdCountdownBack(state.sharedCountdownStartTime, frameTime);
+        }
+
+        const elapsed = now() - state.sharedCountdownStartTime;
+        const progress = elapsed / settings.countdownDuration; // 0 to 1
+
+        if (progress >= 1.0) {
+            // A rejected capture starts a short countdown again
+            stopSharedCountdown();
+            captureAllActiveInteractions();
+        } else {
+            updateAllKeypointColors(progress);
+        }
+    }
+
+    /**
+     * How much of the next shared countdown a pending retry skips
+     * The retry only counts if people are back within personTimeout.
+     */
+    function takeRetryHeadStart() {
+        const requestedAt = state.retryRequestedAt;
+        state.retryRequestedAt = null;
+        if (requestedAt === null || now() - requestedAt > settings.personTimeout) return 0;
+        return Math.max(0, settings.countdownDuration - settings.retryCountdownDuration);
+    }
+
+    function stopSharedCountdown() {
+        state.sharedCountdownActive = false;
+        state.sharedCountdownStartTime = null;
+    }
+
+    /**
+     * Move a countdown's start so this frame doesn't count ("pause") or counts
+     * backwards ("rewind"); progress never drops below 0
+     */
+    function holdCountdownBack(startTime, frameTime) {
+        const shift = settings.movementResponse === "rewind" ? frameTime * (1 + settings.rewindSpeed) : frameTime;
+        return Math.min(startTime + shift, now());
+    }
+
+    /**
+     * Advance every person's own countdown and capture those that complete
+     * Captured people stay tracked (and keep their color) and start over.
+     */
+    function updatePersonCountdowns(frameTime) {
+        const completed = [];
+
+        for (const [personId, personData] of state.activeCountdowns) {
+            if (personData.moving) {
+                personData.countdownStartTime = holdCountdownBack(personData.countdownStartTime, frameTime);
+            }
+            const progress = getPersonProgress(personData);
+
+            if (progress >= 1.0) {
+                completed.push(personId);
+            } else {
+                updateKeypointColors(personData, progress);
+            }
+        }
+
+        for (const personId of completed) {
+            restartPersonCountdown(state.activeCountdowns.get(personId));
+            capturePeople([personId]);
+        }
+    }
+
+    function restartPersonCountdown(personData) {
+        personData.countdownStartTime = now();
+        personData.gestureProgress = 0;
+        updateKeypointColors(personData, 0);
+    }
+
+    /**
+     * Check everyone's gestures and capture those who held one long enough
+     */
+    function updatePersonGestures() {
+        const completed = [];
+
+        for (const [personId, personData] of state.activeCountdowns) {
+            const result = gestureRecognizer.update(personId, getVisibleKeypoints(personData.keypoints));
+            personData.gesture = result.gesture;
+            personData.gestureProgress = result.progress;
+
+            if (result.completed) {
+                completed.push(personId);
+            } else {
+                updateKeypointColors(personData, result.progress);
+            }
+        }
+
+        for (const personId of completed) {
+            restartPersonCountdown(state.activeCountdowns.get(personId));
+            capturePeople([personId]);
+        }
+    }
+
+    /**
+     * Countdown progress (0 to 1) for one person, whichever mode is active
+     */
+    function getPersonProgress(personData) {
+        if (gestureTriggered) {
+            return personData.gestureProgress;
+        }
+        if (settings.perPersonCountdowns) {
+            return (now() - personData.countdownStartTime) / settings.countdownDuration;
+        }
+        if (!state.sharedCountdownActive) return 0;
+        return (now() - state.sharedCountdownStartTime) / settings.countdownDuration;
+    }
+
+    /**
+     * Fade every person's keypoints from their color towards fadeEndColor
+     */
+    function updateAllKeypointColors(progress) {
+        for (const personData of state.activeCountdowns.values()) {
+            updateKeypointColors(personData, progress);
+        }
+    }
+
+    function updateKeypointColors(personData, progress) {
+        for (const keypoint of personData.keypoints) {
+            for (let channel = 0; channel < 3; channel++) {
+                keypoint.currentColor[channel] = lerpValue(
+                    keypoint.originalColor[channel], settings.fadeEndColor[channel], progress
+                );
+            }
+        }
+    }
+
+    function extractTargetKeypoints(pose) {
+        const validKeypoints = [];
+
+        for (const targetName of settings.targetKeypoints) {
+            const keypoint = pose.keypoints.find(kp =>
+                kp.name === targetName && kp.confidence > settings.minKeypointConfidence
+            );
+
+            if (keypoint) {
+                validKeypoints.push({
+                    name: keypoint.name,
+                    x: keypoint.x,
+                    y: keypoint.y,
+                    confidence: keypoint.confidence
+                });
+            }
+        }
+
+        return validKeypoints;
+    }
+
+    /**
+     * Capture everyone currently tracked into one commemorative object
+     */
+    function captureAllActiveInteractions() {
+        if (state.activeCountdowns.size === 0) return;
+
+        // Rejected before segmentation - everyone stays for the retry
+        if (!capturePeople([...state.activeCountdowns.keys()])) return;
+
+        // Clear all active countdowns after capture
+        state.activeCountdowns.clear();
+        state.nextColorIndex = 0;
+    }
+
+    /**
+     * Capture the given tracked people into one commemorative object
+     * The object joins the wall once the outline callback has run.
+     *
+     * Outlines are per person: [{personId, personColor, colorIndex, contours}],
+     * and each placed image carries the personId it belongs to.
+     *
+     * With a quality gate the capture can be dropped before segmentation
+     * (returns false) or after it; either way a retry countdown starts.
+     */
+    function capturePeople(personIds) {
+        const commemorativeObject = {
+            outlines: [],           // One outline per person
+            images: [],             // Images for all people
+            captureTime: now(),
+            capturedAt: wallClock(), // Wall-clock time, survives reloads
+            id: wall.createObjectId(),
+            peopleCount: personIds.length
+        };
+
+        // Snapshot the keypoints - per-person mode keeps updating them after capture
+        const people = personIds.map(personId => {
+            const personData = state.activeCountdowns.get(personId);
+            return {
+                personId: personId,
+                ...personData,
+                keypoints: getVisibleKeypoints(personData.keypoints).map(kp => ({...kp}))
+            };
+        });
+
+        if (qualityGate) {
+            const reasons = qualityGate.checkPeople(people);
+            if (reasons.length > 0) {
+                rejectCapture(reasons, people, null);
+                return false;
+            }
+        }
+
+        // Everyone else in frame, so the segmentation can leave them out
+        const bystanders = [...state.activeCountdowns]
+            .filter(([personId]) => !personIds.includes(personId))
+            .map(([personId, personData]) => ({
+                personId: personId,
+                keypoints: getVisibleKeypoints(personData.keypoints).map(kp => ({...kp}))
+            }));
+
+        captureOutline(people, (outlines, collage, measurements) => {
+            if (qualityGate) {
+                const reasons = qualityGate.checkSegmentation(people, outlines, measurements);
+                if (reasons.length > 0) {
+                    rejectCapture(reasons, people, collage || null);
+                    return;
+                }
+            }
+
+            if (outlines) {
+                commemorativeObject.outlines = outlines;
+            }
+            if (collage) {
+                commemorativeObject.collage = collage;
+            }
+
+            // Placement runs after segmentation so strategies can follow the outline
+            for (const person of people) {
+                const outline = commemorativeObject.outlines.find(candidate => candidate.personId === person.personId);
+                placeImages(person, commemorativeObject, outline || null);
+            }
+
+            wall.add(commemorativeObject);
+        }, bystanders);
+        return true;
+    }
+
+    /**
+     * Drop a capture and give the people who are still there a short countdown
+     * The id the capture was given stays unused.
+     */
+    function rejectCapture(reasons, people, collage) {
+        onCaptureRejected(reasons, people, collage);
+        if (gestureTriggered) return; // No countdown - they hold the gesture again
+
+        const retryStart = now() - Math.max(0, settings.countdownDuration - settings.retryCountdownDuration);
+
+        if (settings.perPersonCountdowns) {
+            for (const person of people) {
+                const personData = state.activeCountdowns.get(person.personId);
+                if (personData) {
+                    personData.countdownStartTime = Math.min(personData.countdownStartTime, retryStart);
+                }
+            }
+            return;
+        }
+
+        // Segmentation is asynchronous: the capture has usually cleared everyone by
+        // now, so the short countdown waits for them to be detected again
+        if (state.activeCountdowns.size === 0) {
+            state.retryRequestedAt = now();
+            return;
+        }
+        state.sharedCountdownStartTime = state.sharedCountdownActive
+            ? Math.min(state.sharedCountdownStartTime, retryStart)
+            : retryStart;
+        state.sharedCountdownActive = true;
+    }
+
+    /**
+     * Forget people who haven't been seen recently
+     */
+    function cleanupInactivePeople() {
+        const currentTime = now();
+
+        for (const [personId, personData] of state.activeCountdowns) {
+            if (currentTime - personData.lastSeenTime > settings.personTimeout) {
+                state.activeCountdowns.delete(personId);
+                if (gestureRecognizer) gestureRecognizer.forget(personId);
+            }
+        }
+
+        // If no people remain, reset color assignment
+        if (state.activeCountdowns.size === 0) {
+            state.nextColorIndex = 0;
+        }
+    }
+
+    /**
+     * Capture immediately if a countdown is running (development helper)
+     * In per-person and gesture modes everyone tracked is captured into their own object.
+     */
+    function forceCapture() {
+        if (capturesIndividually) {
+            for (const [personId, personData] of state.activeCountdowns) {
+                restartPersonCountdown(personData);
+                capturePeople([personId]);
+            }
+        } else if (state.sharedCountdownActive) {
+            stopSharedCountdown();
+            captureAllActiveInteractions();
+        }
+    }
+
+    function reset() {
+        state.activeCountdowns.clear();
+        state.lastCountdownUpdate = null;
+        state.retryRequestedAt = null;
+        stopSharedCountdown();
+        state.nextColorIndex = 0;
+        if (gestureRecognizer) gestureRecognizer.reset();
+    }
+
+    /**
+     * Advance the countdown and forget people who left - called once per frame
+     */
+    function update() {
+        updateSharedCountdown();
+        cleanupInactivePeople();
+    }
+
+    function getActivePeopleCount() {
+        return state.activeCountdowns.size;
+    }
+
+    /**
+     * Whether keypoints are currently counting down (and should be drawn)
+     */
+    function isCountdownRunning() {
+        return capturesIndividually
+            ? state.activeCountdowns.size > 0
+            : state.sharedCountdownActive;
+    }
+
+    return {
+        mode: "countdown",
+        state,
+        settings,
+        handlePoses,
+        update,
+        getActivePeopleCount,
+        getPersonProgress,
+        isCountdownRunning,
+        manageSharedCountdown,
+        updateSharedCountdown,
+        captureAllActiveInteractions,
+        cleanupInactivePeople,
+        forceCapture,
+        reset
+    };
+}
+
+/**
+ * Growth-based interaction
+ *
+ * Images appear small on each tracked keypoint and grow while the person
+ * stays. Keypoints that disappear keep growing for a short grace period,
+ * then shrink and vanish. Once enough of a person's images are mature, that
+ * person is captured: their images freeze in place on the wall (with full
+ * opacity) and their outline is traced, and they start growing again.
+ *
+ * Person tracking data structure:
+ * Map entry: personId -> {
+ *   assignedColor: [], colorIndex: number, lastSeenTime: number,
+ *   images: Map of keypointName -> {
+ *     keypointName, x, y, offsetX, offsetY,   // keypoint position + fixed jitter
+ *     image, filename, aspectRatio,
+ *     size, targetSize, opacity, lastSeenTime
+ *   }
+ * }
+ *
+ * @param {Object} options - Same hooks as createCountdownInteraction, plus:
+ * @param {Function} options.pickImage - Returns an image ({width, height, filename}) or null
+ * @param {Function} [options.random] - Random source in [0, 1), Math.random by default
+ * @param {Object} options.config - From growthSettingsFromConfig
+ */
+function createGrowthInteraction(options) {
+    const settings = options.config;
+    const wall = options.wall;
+    const now = options.now;
+    const wallClock = options.wallClock || (() => Date.now());
+    const captureOutline = options.captureOutline || ((people, done) => done(null));
+    const pickImage = options.pickImage || (() => null);
+    const random = options.random || Math.random;
+
+    const state = {
+        people: new Map(),      // personId -> person growth data
+        nextColorIndex: 0,
+        lastUpdateTime: null    // For frame-rate independent growth
+    };
+
+    function handlePoses(results) {
+        for (const pose of results) {
+            if (pose.id === undefined) continue;
+
+            const keypoints = pose.keypoints.filter(kp =>
+                settings.targetKeypoints.includes(kp.name) && kp.confidence > settings.minConfidence
+            );
+            if (keypoints.length === 0) continue;
+
+            const person = getOrCreatePerson(pose.id);
+            person.lastSeenTime = now();
+
+            for (const keypoint of keypoints) {
+                let growing = person.images.get(keypoint.name);
+                if (!growing) {
+                    growing = createGrowingImage(keypoint);
+                    if (!growing) continue; // No images loaded yet
+                    person.images.set(keypoint.name, growing);
+                }
+                growing.x = keypoint.x + growing.offsetX;
+                growing.y = keypoint.y + growing.offsetY;
+                growing.lastSeenTime = now();
+            }
+        }
+    }
+
+    function getOrCreatePerson(personId) {
+        if (!state.people.has(personId)) {
+            const colorIndex = state.nextColorIndex;
+            state.nextColorIndex = (colorIndex + 1) % settings.personColors.length;
+
+            state.people.set(personId, {
+                personId: personId,
+                assignedColor: [...settings.personColors[colorIndex]],
+                colorIndex: colorIndex,
+                lastSeenTime: now(),
+                images: new Map()
+            });
+        }
+        return state.people.get(personId);
+    }
+
+    function createGrowingImage(keypoint) {
+        const image = pickImage();
+        if (!image) return null;
+
+        const jitter = settings.positionJitter;
+        return {
+            keypointName: keypoint.name,
+            x: keypoint.x,
+            y: keypoint.y,
+            offsetX: (random() - 0.5) * jitter,
+            offsetY: (random() - 0.5) * jitter,
+            image: image,
+            filename: image.filename,
+            aspectRatio: image.width / image.height,
+            size: settings.minSize,
+            targetSize: settings.maxSize + (random() - 0.5) * settings.sizeVariation,
+            opacity: 0,
+            lastSeenTime: now()
+        };
+    }
+
+    /**
+     * Grow, shrink and capture - called once per frame
+     */
+    function update() {
+        const currentTime = now();
+        const deltaSeconds = state.lastUpdateTime === null ? 0 : (currentTime - state.lastUpdateTime) / 1000;
+        state.lastUpdateTime = currentTime;
+
+        for (const person of [...state.people.values()]) {
+            let matureImages = 0;
+
+            for (const [keypointName, growing] of person.images) {
+                const range = growing.targetSize - settings.minSize;
+                const present = currentTime - growing.lastSeenTime <= settings.gracePeriod;
+
+                if (present) {
+                    growing.size = Math.min(growing.targetSize, growing.size + settings.growthRate * range * deltaSeconds);
+                } else {
+                    growing.size -= settings.shrinkRate * range * deltaSeconds;
+                    if (growing.size <= settings.minSize) {
+                        person.images.delete(keypointName);
+                        continue;
+                    }
+                }
+
+                growing.opacity = range > 0 ? (growing.size - settings.minSize) / range : 1;
+
+                if (growing.size >= growing.targetSize * settings.captureThreshold) {
+                    matureImages++;
+                }
+            }
+
+            if (matureImages >= settings.minKeypointsForCapture) {
+                capturePeople([person]);
+            }
+        }
+
+        cleanupInactivePeople();
+    }
+
+    /**
+     * Freeze the given people's images onto the wall as one commemorative object
+     */
+    function capturePeople(people) {
+        if (people.length === 0) return;
+
+        const commemorativeObject = {
+            outlines: [],
+            images: [],
+            captureTime: now(),
+            capturedAt: wallClock(),
+            id: wall.createObjectId(),
+            peopleCount: people.length
+        };
+
+        for (const person of people) {
+            for (const growing of person.images.values()) {
+                const {width, height} = sizeForAspectRatio(growing.size, growing.aspectRatio);
+                commemorativeObject.images.push({
+                    image: growing.image,
+                    filename: growing.filename,
+                    x: growing.x - width / 2,
+                    y: growing.y - height / 2,
+                    width: width,
+                    height: height,
+                    keypointName: growing.keypointName,
+                    originalAspectRatio: growing.aspectRatio,
+                    opacity: 1.0,
+                    personId: person.personId,
+                    personColor: person.assignedColor
+                });
+            }
+        }
+
+        const outlinePeople = people.map(person => ({
+            personId: person.personId,
+            assignedColor: person.assignedColor,
+            colorIndex: person.colorIndex,
+            keypoints: getGrowingKeypoints(person)
+        }));
+
+        // Other people with images are in the mask too
+        const bystanders = [...state.people.values()]
+            .filter(person => !people.includes(person) && person.images.size > 0)
+            .map(person => ({personId: person.personId, keypoints: getGrowingKeypoints(person)}));
+
+        captureOutline(outlinePeople, (outlines, collage) => {
+            if (outlines) {
+                commemorativeObject.outlines = outlines;
+            }
+            if (collage) {
+                commemorativeObject.collage = collage;
+            }
+            wall.add(commemorativeObject);
+        }, bystanders);
+
+        // Captured people start growing again from scratch
+        for (const person of people) {
+            person.images.clear();
+        }
+    }
+
+    /**
+     * captureOutline expects keypoints; the image centres are where they were seen
+     */
+    function getGrowingKeypoints(person) {
+        return [...person.images.values()].map(growing => ({
+            name: growing.keypointName,
+            x: growing.x - growing.offsetX,
+            y: growing.y - growing.offsetY
+        }));
+    }
+
+    function cleanupInactivePeople() {
+        const currentTime = now();
+
+        for (const [personId, person] of state.people) {
+            if (person.images.size === 0 && currentTime - person.lastSeenTime > settings.personTimeout) {
+                state.people.delete(personId);
+            }
+        }
+
+        if (state.people.size === 0) {
+            state.nextColorIndex = 0;
+        }
+    }
+
+    /**
+     * Capture everyone who has at least one image (development helper)
+     */
+    function forceCapture() {
+        capturePeople([...state.people.values()].filter(person => person.images.size > 0));
+    }
+
+    function reset() {
+        state.people.clear();
+        state.nextColorIndex = 0;
+    }
+
+    function getActivePeopleCount() {
+        return state.people.size;
+    }
+
+    return {
+        mode: "growth",
+        state,
+        settings,
+        handlePoses,
+        update,
+        forceCapture,
+        reset,
+        getActivePeopleCount
+    };
+}
+
+/**
+ * Fit an image of the given aspect ratio inside a square of `size`
+ * (the longer side gets the full size)
+ */
+function sizeForAspectRatio(size, aspectRatio) {
+    return aspectRatio > 1
+        ? {width: size, height: size / aspectRatio}
+        : {width: size * aspectRatio, height: size};
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        INTERACTION_DEFAULTS,
+        countdownSettingsFromConfig,
+        growthSettingsFromConfig,
+        getFastestKeypointSpeed,
+        createCommemorativeWall,
+        createCountdownInteraction,
+        createGrowthInteraction
+    };
+}
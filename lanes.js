@@ -0,0 +1,208 @@
+/*
+ * lanes.js - Composition Lanes for the Wall
+ * ROWS, COLUMNS, ARCS OR CUSTOM SHAPES INSTEAD OF ONE LINE AT y = 100
+ *
+ * With CONFIG.lanes.enabled the wall is split into lanes defined relative
+ * to the canvas, so the layout adapts to any screen size:
+ * - rows:     `count` horizontal bands
+ * - columns:  `count` vertical bands
+ * - arc:      `count` concentric arcs around (centerX, centerY)
+ * - polygons: custom shapes, points given as fractions of the canvas
+ *
+ * Every capture (fill "inOrder") or every person (fill "byPerson", using
+ * their palette index) gets a lane. The placement strategy still decides
+ * the arrangement of the images; that arrangement is then scaled from the
+ * whole canvas into the lane, so a person's images keep their order
+ * (head above hands, left to right) inside their lane.
+ *
+ * In-order filling always picks the emptiest lane, so lanes freed by
+ * objects that aged out of the wall are reused first.
+ */
+
+/**
+ * Build the lanes for a canvas size
+ * @param {Object} settings - CONFIG.lanes
+ * @returns {Array} [{index, kind, bounds: {x, y, width, height}, arc?, polygon?}]
+ */
+function buildLanes(settings, canvasWidth, canvasHeight) {
+    const margin = settings.margin || 0;
+    const left = canvasWidth * margin;
+    const top = canvasHeight * margin;
+    const innerWidth = canvasWidth - 2 * left;
+    const innerHeight = canvasHeight - 2 * top;
+    const lanes = [];
+
+    if (settings.layout === "rows" || settings.layout === "columns") {
+        const horizontal = settings.layout === "rows";
+        const size = (horizontal ? innerHeight : innerWidth) / settings.count;
+
+        for (let i = 0; i < settings.count; i++) {
+            lanes.push({
+                index: i,
+                kind: "rect",
+                bounds: horizontal
+                    ? {x: left, y: top + i * size, width: innerWidth, height: size}
+                    : {x: left + i * size, y: top, width: size, height: innerHeight}
+            });
+        }
+    } else if (settings.layout === "arc") {
+        const arc = settings.arc;
+        const centerX = canvasWidth * arc.centerX;
+        const centerY = canvasHeight * arc.centerY;
+        const outerRadius = Math.min(canvasWidth, canvasHeight) * arc.radius;
+        const thickness = outerRadius * arc.thickness / settings.count;
+        const startAngle = arc.startAngle * Math.PI / 180;
+        const endAngle = arc.endAngle * Math.PI / 180;
+
+        for (let i = 0; i < settings.count; i++) {
+            const radius = outerRadius - (i + 0.5) * thickness;
+            lanes.push({
+                index: i,
+                kind: "arc",
+                arc: {centerX, centerY, radius, thickness, startAngle, endAngle},
+                bounds: {x: centerX - radius, y: centerY - radius, width: 2 * radius, height: 2 * radius}
+            });
+        }
+    } else if (settings.layout === "polygons") {
+        settings.polygons.forEach((shape, i) => {
+            const polygon = shape.map(([x, y]) => ({x: x * canvasWidth, y: y * canvasHeight}));
+            lanes.push({index: i, kind: "polygon", polygon, bounds: getPolygonBounds(polygon)});
+        });
+    }
+
+    return lanes;
+}
+
+/**
+ * Scale a point from the whole canvas into a lane
+ */
+function mapIntoLane(lane, point, canvasWidth, canvasHeight) {
+    const u = Math.min(1, Math.max(0, point.x / canvasWidth));
+    const v = Math.min(1, Math.max(0, point.y / canvasHeight));
+
+    if (lane.kind === "arc") {
+        // Left to right becomes along the arc, top to bottom becomes outside to inside
+        const arc = lane.arc;
+        const angle = arc.startAngle + u * (arc.endAngle - arc.startAngle);
+        const radius = arc.radius + (0.5 - v) * arc.thickness;
+        return {x: arc.centerX + Math.cos(angle) * radius, y: arc.centerY + Math.sin(angle) * radius};
+    }
+
+    const mapped = {x: lane.bounds.x + u * lane.bounds.width, y: lane.bounds.y + v * lane.bounds.height};
+
+    if (lane.kind === "polygon" && !isPointInPolygon(mapped, lane.polygon)) {
+        return pullIntoPolygon(mapped, lane.polygon);
+    }
+    return mapped;
+}
+
+/**
+ * Which lane each capture or person goes to, and which lanes are in use
+ *
+ * @param {number} laneCount - How many lanes there are
+ * @param {string} fill - "inOrder" (emptiest lane next) or "byPerson" (palette index)
+ */
+function createLaneAllocator(laneCount, fill) {
+    const occupants = new Map(); // objectId -> Set of lane indices
+    let nextLane = 0;            // Round-robin start among equally empty lanes
+
+    function countInLane(lane) {
+        let count = 0;
+        for (const lanes of occupants.values()) {
+            if (lanes.has(lane)) count++;
+        }
+        return count;
+    }
+
+    /**
+     * Pick (and reserve) the lane for an object
+     * @param {number} objectId - The commemorative object
+     * @param {number} colorIndex - The person's palette index (byPerson)
+     */
+    function assign(objectId, colorIndex) {
+        if (laneCount <= 0) return null;
+
+        let lane;
+        if (fill === "byPerson") {
+            lane = (colorIndex || 0) % laneCount;
+        } else {
+            let fewest = Infinity;
+            for (let offset = 0; offset < laneCount; offset++) {
+                const candidate = (nextLane + offset) % laneCount;
+                const count = countInLane(candidate);
+                if (count < fewest) {
+                    fewest = count;
+                    lane = candidate;
+                }
+            }
+            nextLane = (lane + 1) % laneCount;
+        }
+
+        occupy(objectId, lane);
+        return lane;
+    }
+
+    function occupy(objectId, lane) {
+        if (lane === null || lane === undefined) return;
+        if (!occupants.has(objectId)) occupants.set(objectId, new Set());
+        occupants.get(objectId).add(lane);
+    }
+
+    function release(objectId) {
+        occupants.delete(objectId);
+    }
+
+    function reset() {
+        occupants.clear();
+        nextLane = 0;
+    }
+
+    return {assign, occupy, release, reset, countInLane};
+}
+
+function getPolygonBounds(polygon) {
+    const xs = polygon.map(point => point.x);
+    const ys = polygon.map(point => point.y);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return {x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y};
+}
+
+function isPointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Move a point towards the polygon's centre until it is inside
+ */
+function pullIntoPolygon(point, polygon) {
+    const centre = {
+        x: polygon.reduce((sum, p) => sum + p.x, 0) / polygon.length,
+        y: polygon.reduce((sum, p) => sum + p.y, 0) / polygon.length
+    };
+
+    for (let step = 1; step <= 20; step++) {
+        const t = step / 20;
+        const candidate = {x: point.x + (centre.x - point.x) * t, y: point.y + (centre.y - point.y) * t};
+        if (isPointInPolygon(candidate, polygon)) return candidate;
+    }
+    return centre;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        buildLanes,
+        mapIntoLane,
+        createLaneAllocator,
+        isPointInPolygon
+    };
+}
@@ -0,0 +1,207 @@
+/*
+ * outlineStyles.js - Rendering Styles for Commemorative Outlines
+ * THE SAME CONTOURS, DRAWN IN DIFFERENT HANDS
+ *
+ * drawEdges draws one plain stroke. The styles below draw the same contours
+ * in other ways; every style gets the color and weight that
+ * drawCommemorativeObjects already computed (person color, dimmed by the
+ * object's place on the wall and its age), so styles fade like before.
+ *
+ * Styles (settings in CONFIG.outlines.<style>):
+ * - solid:        the plain stroke (drawEdges)
+ * - brush:        stroke width swells and thins along the contour
+ * - dashed:       dashes and gaps
+ * - dotted:       round dots
+ * - glow:         several wide, faint, blurred passes under a thin core line
+ * - fill:         the silhouette filled with the person's color
+ * - gradientFill: filled with the person's color fading out towards the feet
+ * - sketchy:      several slightly shifted passes, like a hand-drawn line
+ *
+ * Which style an outline gets is decided when the capture is added
+ * (assignOutlineStyles): one style for everything, one per capture or one
+ * per person, see CONFIG.outlines.assign. The choice is stored on the
+ * outline so restored captures keep their look.
+ */
+
+/**
+ * Style signature: (contours, look, params, seed)
+ * - look:   {color: [r, g, b, a], weight} from drawCommemorativeObjects
+ * - params: this style's section of CONFIG.outlines
+ * - seed:   stable number per outline, for styles with randomness
+ */
+const OUTLINE_STYLES = {
+    solid(contours, look) {
+        drawEdges(contours, color(...look.color), look.weight);
+    },
+
+    brush(contours, look, params, seed) {
+        stroke(...look.color);
+        strokeCap(ROUND);
+
+        for (const contour of contours) {
+            if (!contour || contour.length < 2) continue;
+            const phase = seededRandom(seed + contour.length)() * Math.PI * 2;
+
+            for (let i = 0; i < contour.length; i++) {
+                const a = contour[i];
+                const b = contour[(i + 1) % contour.length];
+                // Smooth swell along the contour, a few waves per loop
+                const swell = 0.5 + 0.5 * Math.sin(phase + (i / contour.length) * Math.PI * 2 * params.waves);
+                strokeWeight(look.weight * lerp(params.minWidth, params.maxWidth, swell));
+                line(a.x, a.y, b.x, b.y);
+            }
+        }
+    },
+
+    dashed(contours, look, params) {
+        drawingContext.setLineDash([params.dash * look.weight, params.gap * look.weight]);
+        drawEdges(contours, color(...look.color), look.weight);
+        drawingContext.setLineDash([]);
+    },
+
+    dotted(contours, look, params) {
+        // Zero-length dashes with round caps become dots
+        strokeCap(ROUND);
+        drawingContext.setLineDash([0, params.spacing * look.weight]);
+        drawEdges(contours, color(...look.color), look.weight * params.dotScale);
+        drawingContext.setLineDash([]);
+    },
+
+    glow(contours, look, params) {
+        const [r, g, b, a] = look.color;
+
+        drawingContext.save();
+        drawingContext.shadowColor = `rgba(${r}, ${g}, ${b}, ${a / 255})`;
+        for (let pass = params.passes; pass >= 1; pass--) {
+            drawingContext.shadowBlur = params.blur * pass;
+            drawEdges(contours, color(r, g, b, a * params.intensity / pass), look.weight * (1 + pass * params.spread));
+        }
+        drawingContext.restore();
+
+        drawEdges(contours, color(...look.color), look.weight);
+    },
+
+    fill(contours, look, params) {
+        const [r, g, b, a] = look.color;
+        fillContours(contours, `rgba(${r}, ${g}, ${b}, ${(a / 255) * params.opacity})`);
+        if (params.outline) drawEdges(contours, color(...look.color), look.weight);
+    },
+
+    gradientFill(contours, look, params) {
+        const [r, g, b, a] = look.color;
+        const bounds = getContoursBounds(contours);
+        if (!bounds) return;
+
+        const gradient = drawingContext.createLinearGradient(0, bounds.top, 0, bounds.bottom);
+        gradient.addColorStop(0, `rgba(${r}, ${g}, ${b}, ${(a / 255) * params.opacity})`);
+        gradient.addColorStop(1, `rgba(${r}, ${g}, ${b}, 0)`);
+        fillContours(contours, gradient);
+        if (params.outline) drawEdges(contours, color(...look.color), look.weight);
+    },
+
+    sketchy(contours, look, params, seed) {
+        const random = seededRandom(seed);
+        stroke(...look.color);
+        strokeWeight(look.weight * 0.75);
+        noFill();
+
+        // The same seed every frame, so the wobble doesn't flicker
+        for (let pass = 0; pass < params.passes; pass++) {
+            for (const contour of contours) {
+                if (!contour || contour.length < 2) continue;
+
+                beginShape();
+                for (const point of contour) {
+                    vertex(point.x + (random() * 2 - 1) * params.jitter, point.y + (random() * 2 - 1) * params.jitter);
+                }
+                endShape(CLOSE);
+            }
+        }
+    }
+};
+
+/**
+ * Draw one outline in a style
+ * Unknown styles fall back to the plain stroke.
+ */
+function drawStyledOutline(contours, styleName, look, seed = 0) {
+    if (!contours || contours.length === 0) return;
+
+    const style = OUTLINE_STYLES[styleName] || OUTLINE_STYLES.solid;
+    push();
+    style(contours, look, CONFIG.outlines[styleName] || {}, seed);
+    pop();
+}
+
+/**
+ * Decide the style of every outline of a new capture (stored on the outline)
+ * With "global" nothing is stored and CONFIG.outlines.style is used at draw time.
+ */
+function assignOutlineStyles(commemorativeObject, settings = CONFIG.outlines) {
+    const pool = settings.styles;
+    if (settings.assign === "global" || pool.length === 0) return;
+
+    for (const outline of commemorativeObject.outlines) {
+        const index = settings.assign === "perPerson"
+            ? (outline.colorIndex || 0)
+            : commemorativeObject.id;
+        outline.style = pool[index % pool.length];
+    }
+}
+
+function getOutlineStyle(outline) {
+    return outline.style || CONFIG.outlines.style;
+}
+
+/**
+ * Fill every contour as one path; "evenodd" leaves holes empty
+ */
+function fillContours(contours, fillStyle) {
+    drawingContext.beginPath();
+    for (const contour of contours) {
+        if (!contour || contour.length < 3) continue;
+
+        drawingContext.moveTo(contour[0].x, contour[0].y);
+        for (let i = 1; i < contour.length; i++) {
+            drawingContext.lineTo(contour[i].x, contour[i].y);
+        }
+        drawingContext.closePath();
+    }
+    drawingContext.fillStyle = fillStyle;
+    drawingContext.fill("evenodd");
+}
+
+function getContoursBounds(contours) {
+    let top = Infinity;
+    let bottom = -Infinity;
+    for (const contour of contours) {
+        for (const point of contour || []) {
+            top = Math.min(top, point.y);
+            bottom = Math.max(bottom, point.y);
+        }
+    }
+    return top < bottom ? {top, bottom} : null;
+}
+
+/**
+ * Small deterministic random generator (mulberry32)
+ */
+function seededRandom(seed) {
+    let state = Math.floor(seed * 2654435761) >>> 0;
+    return function() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        OUTLINE_STYLES,
+        assignOutlineStyles,
+        getContoursBounds,
+        seededRandom
+    };
+}
@@ -0,0 +1,192 @@
+/*
+ * persistence.js - Commemorative Wall Storage
+ * SURVIVES REFRESHES, CRASHES AND POWER BLIPS
+ *
+ * Every commemorative object is written to IndexedDB as soon as it is added
+ * to the wall, and the whole wall is read back when the sketch starts.
+ *
+ * Stored records are plain data: per-person outline points, image filenames, positions,
+ * person colors, capture time and people count. p5.Image objects can't be
+ * stored, so images are saved by filename and looked up again in
+ * availableImages when the record is restored. A silhouette collage is
+ * stored as its PNG data URL (see silhouetteCollage.js).
+ */
+
+const WALL_DB_NAME = "commemorativeWall";
+const WALL_DB_VERSION = 1;
+const WALL_STORE_NAME = "objects";
+
+let wallDatabasePromise = null; // Opened once and shared by every call
+
+/**
+ * Open (or create) the wall database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openWallDatabase() {
+    if (wallDatabasePromise) return wallDatabasePromise;
+
+    wallDatabasePromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === "undefined") {
+            reject(new Error("IndexedDB is not available in this browser"));
+            return;
+        }
+
+        const request = indexedDB.open(WALL_DB_NAME, WALL_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(WALL_STORE_NAME)) {
+                db.createObjectStore(WALL_STORE_NAME, {keyPath: "id"});
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later retry if opening failed
+    wallDatabasePromise.catch(() => { wallDatabasePromise = null; });
+
+    return wallDatabasePromise;
+}
+
+/**
+ * Run a single read/write transaction against the object store
+ */
+function withWallStore(mode, work) {
+    return openWallDatabase().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(WALL_STORE_NAME, mode);
+        const store = transaction.objectStore(WALL_STORE_NAME);
+        const result = work(store);
+
+        transaction.oncomplete = () => resolve(result && "result" in result ? result.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    }));
+}
+
+/**
+ * Save one commemorative object (insert or overwrite by id)
+ */
+function saveCommemorativeObject(commemorativeObject) {
+    const record = serializeCommemorativeObject(commemorativeObject);
+    return withWallStore("readwrite", store => store.put(record))
+        .catch(error => console.warn("Could not save commemorative object:", error));
+}
+
+/**
+ * Delete stored objects, e.g. after they were evicted from the wall
+ */
+function deleteCommemorativeObjects(ids) {
+    if (!ids || ids.length === 0) return Promise.resolve();
+
+    return withWallStore("readwrite", store => {
+        for (const id of ids) store.delete(id);
+    }).catch(error => console.warn("Could not delete commemorative objects:", error));
+}
+
+/**
+ * Remove every stored object (used by the reset key)
+ */
+function clearCommemorativeObjects() {
+    return withWallStore("readwrite", store => store.clear())
+        .catch(error => console.warn("Could not clear commemorative objects:", error));
+}
+
+/**
+ * Read every stored record, oldest first
+ * @returns {Promise<Array>} Serialized records (empty if storage is unavailable)
+ */
+function loadCommemorativeObjects() {
+    return withWallStore("readonly", store => store.getAll())
+        .then(records => (records || []).sort((a, b) => a.id - b.id))
+        .catch(error => {
+            console.warn("Could not restore commemorative objects:", error);
+            return [];
+        });
+}
+
+/**
+ * Convert a live commemorative object into plain, storable data
+ */
+function serializeCommemorativeObject(commemorativeObject) {
+    return {
+        id: commemorativeObject.id,
+        capturedAt: commemorativeObject.capturedAt,
+        peopleCount: commemorativeObject.peopleCount,
+        outlines: commemorativeObject.outlines.map(outline => ({
+            personId: outline.personId,
+            personColor: outline.personColor ? [...outline.personColor] : null,
+            colorIndex: outline.colorIndex,
+            style: outline.style || null,
+            contours: outline.contours.map(contour => contour.map(point => ({x: point.x, y: point.y})))
+        })),
+        images: commemorativeObject.images.map(placed => ({
+            filename: placed.filename || (placed.image && placed.image.filename) || null,
+            x: placed.x,
+            y: placed.y,
+            width: placed.width,
+            height: placed.height,
+            keypointName: placed.keypointName,
+            originalAspectRatio: placed.originalAspectRatio,
+            personId: placed.personId,
+            personColor: placed.personColor ? [...placed.personColor] : null,
+            lane: placed.lane === undefined ? null : placed.lane
+        })),
+        collage: serializeCollage(commemorativeObject.collage)
+    };
+}
+
+/**
+ * Rebuild a live commemorative object from a stored record
+ *
+ * captureTime is re-expressed on this session's millis() timeline so age
+ * comparisons keep working after a reload (restored objects get negative
+ * or small capture times, exactly as if the page had never restarted).
+ *
+ * @param {Object} record - Stored record
+ * @param {Array} images - availableImages, possibly still loading
+ * @param {number} sessionNow - Current millis()
+ */
+function deserializeCommemorativeObject(record, images, sessionNow) {
+    return {
+        id: record.id,
+        capturedAt: record.capturedAt,
+        captureTime: sessionNow - (Date.now() - record.capturedAt),
+        peopleCount: record.peopleCount,
+        outlines: record.outlines || legacyOutlines(record.outline),
+        images: record.images.map(placed => ({
+            ...placed,
+            image: findAvailableImage(placed.filename, images)
+        })),
+        // The image is loaded back from dataUrl by the sketch
+        collage: record.collage ? {...record.collage, image: null} : null
+    };
+}
+
+function serializeCollage(collage) {
+    if (!collage || !collage.dataUrl) return null;
+    return {
+        dataUrl: collage.dataUrl,
+        x: collage.x,
+        y: collage.y,
+        width: collage.width,
+        height: collage.height,
+        opacity: collage.opacity
+    };
+}
+
+/**
+ * Records saved before per-person outlines stored one merged outline
+ */
+function legacyOutlines(outline) {
+    return outline ? [{personId: null, personColor: null, colorIndex: null, contours: outline}] : [];
+}
+
+/**
+ * Look up a loaded p5.Image by the filename it was loaded from
+ * Returns null while the image hasn't finished loading yet.
+ */
+function findAvailableImage(filename, images) {
+    if (!filename) return null;
+    return images.find(img => img.filename === filename) || null;
+}
@@ -0,0 +1,206 @@
+/*
+ * poseReplay.js - Record and Replay Pose Detection Streams
+ * DEVELOP AND TEST WITHOUT STANDING IN FRONT OF THE WEBCAM
+ *
+ * Recording: every gotPoses(results) payload is stored with a timestamp
+ * relative to the start of the recording. Segmentation masks produced during
+ * captures are stored too (as PNG data URLs), so the outline step can be
+ * replayed as well. Stopping the recording downloads a JSON file.
+ *
+ * Replay: open the sketch with ?replay=path/to/recording.json. The camera
+ * and bodyPose.detectStart are skipped entirely; recorded frames are fed to
+ * gotPoses on their original timing and captures use the recorded masks.
+ *
+ * Recording file format:
+ * {
+ *   version: 2,
+ *   recordedAt: ISO date string,
+ *   duration: ms,
+ *   video: {width, height},                 // camera resolution the poses are measured in
+ *   frames: [{t: ms, poses: [...]}],        // raw gotPoses payloads
+ *   masks:  [{t: ms, width, height, dataUrl}] // raw segmentation masks
+ * }
+ *
+ * Version 2 poses and masks are in camera pixels and replay through the
+ * current CONFIG.video mapping. Version 1 recordings have no `video` and
+ * were made in canvas pixels, already mirrored.
+ */
+
+const POSE_RECORDING_VERSION = 2;
+
+let poseRecording = null; // Active recording, or null
+let poseReplay = null;    // Active replay state, or null
+
+// ========== RECORDING ==========
+
+/**
+ * @param {Object} videoSize - {width, height} of the camera, stored with the recording
+ */
+function startPoseRecording(videoSize) {
+    poseRecording = {
+        startTime: performance.now(),
+        recordedAt: new Date().toISOString(),
+        video: videoSize ? {width: videoSize.width, height: videoSize.height} : null,
+        frames: [],
+        masks: []
+    };
+}
+
+function isPoseRecording() {
+    return poseRecording !== null;
+}
+
+/**
+ * Store one gotPoses payload (deep-copied so later mutation can't change it)
+ */
+function recordPoseFrame(results) {
+    if (!poseRecording) return;
+
+    poseRecording.frames.push({
+        t: Math.round(performance.now() - poseRecording.startTime),
+        poses: JSON.parse(JSON.stringify(results))
+    });
+}
+
+/**
+ * Store a raw segmentation mask (before commemorative enhancement)
+ */
+function recordSegmentationMask(mask) {
+    if (!poseRecording || !mask || !mask.canvas) return;
+
+    poseRecording.masks.push({
+        t: Math.round(performance.now() - poseRecording.startTime),
+        width: mask.width,
+        height: mask.height,
+        dataUrl: mask.canvas.toDataURL("image/png")
+    });
+}
+
+/**
+ * Finish the recording and download it as JSON
+ * @returns {Object|null} The recording that was saved
+ */
+function stopPoseRecording() {
+    if (!poseRecording) return null;
+
+    const recording = {
+        version: POSE_RECORDING_VERSION,
+        recordedAt: poseRecording.recordedAt,
+        duration: Math.round(performance.now() - poseRecording.startTime),
+        video: poseRecording.video,
+        frames: poseRecording.frames,
+        masks: poseRecording.masks
+    };
+    poseRecording = null;
+
+    const stamp = recording.recordedAt.replace(/[:.]/g, "-");
+    saveJSON(recording, `pose-recording-${stamp}.json`);
+
+    return recording;
+}
+
+// ========== REPLAY ==========
+
+/**
+ * Read the replay file requested in the URL (?replay=...), if any
+ */
+function getReplayUrlFromLocation() {
+    return new URLSearchParams(window.location.search).get("replay");
+}
+
+/**
+ * Start feeding a recording to a gotPoses-style callback
+ *
+ * @param {Object} recording - Parsed recording file
+ * @param {Function} onPoses - Receives each recorded payload
+ * @param {Object} options - {loop: restart when the recording ends}
+ */
+function startPoseReplay(recording, onPoses, options = {}) {
+    stopPoseReplay();
+
+    if (!recording || !Array.isArray(recording.frames)) {
+        console.warn("Pose replay: recording has no frames");
+        return;
+    }
+
+    poseReplay = {
+        recording: recording,
+        onPoses: onPoses,
+        loop: options.loop !== false,
+        startTime: performance.now(),
+        frameIndex: 0,
+        timer: null,
+        maskImages: []
+    };
+
+    // Decode recorded masks up front so captures don't wait on image loading
+    for (const mask of recording.masks || []) {
+        loadImage(mask.dataUrl, img => {
+            if (poseReplay) poseReplay.maskImages.push({t: mask.t, image: img});
+        });
+    }
+
+    scheduleNextReplayFrame();
+}
+
+function stopPoseReplay() {
+    if (poseReplay && poseReplay.timer) {
+        clearTimeout(poseReplay.timer);
+    }
+    poseReplay = null;
+}
+
+function isReplayActive() {
+    return poseReplay !== null;
+}
+
+function getReplayElapsed() {
+    return poseReplay ? performance.now() - poseReplay.startTime : 0;
+}
+
+/**
+ * Timers are used instead of draw() so frames keep their original spacing
+ * even when the sketch's frame rate drops.
+ */
+function scheduleNextReplayFrame() {
+    if (!poseReplay) return;
+
+    const frames = poseReplay.recording.frames;
+
+    if (poseReplay.frameIndex >= frames.length) {
+        if (!poseReplay.loop || frames.length === 0) return;
+
+        // Loop: start again from the first frame
+        poseReplay.frameIndex = 0;
+        poseReplay.startTime = performance.now();
+    }
+
+    const frame = frames[poseReplay.frameIndex];
+    const delay = Math.max(0, frame.t - getReplayElapsed());
+
+    poseReplay.timer = setTimeout(() => {
+        if (!poseReplay) return;
+        poseReplay.frameIndex++;
+        poseReplay.onPoses(JSON.parse(JSON.stringify(frame.poses)));
+        scheduleNextReplayFrame();
+    }, delay);
+}
+
+/**
+ * The recorded mask closest to the current replay time, as a p5.Image
+ * @returns {p5.Image|null}
+ */
+function getReplaySegmentationMask() {
+    if (!poseReplay || poseReplay.maskImages.length === 0) return null;
+
+    const elapsed = getReplayElapsed();
+    let closest = poseReplay.maskImages[0];
+
+    for (const entry of poseReplay.maskImages) {
+        if (Math.abs(entry.t - elapsed) < Math.abs(closest.t - elapsed)) {
+            closest = entry;
+        }
+    }
+
+    return closest.image;
+}
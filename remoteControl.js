@@ -0,0 +1,151 @@
+/*
+ * remoteControl.js - Operator Commands Over the Venue Network
+ * NO KEYBOARD AT THE KIOSK NEEDED
+ *
+ * With CONFIG.remote.enabled the installation connects to remoteServer.js
+ * (CONFIG.remote.url) and carries out the commands operators send from the
+ * page that server hosts (remote.html). The protocol, including the shared
+ * token, is documented at the top of remoteServer.js.
+ *
+ * The commands themselves are plain functions of a few hooks that sketch.js
+ * provides (reset, capture, ...), so they run under Node in the tests.
+ * A lost connection is retried every CONFIG.remote.reconnectInterval ms;
+ * a wrong token is reported once and not retried.
+ */
+
+/**
+ * Command signature: (args, hooks) => result, throwing an Error to refuse
+ * hooks: {getStatus, reset, capture, deleteLast, setPaused, setConfig}
+ */
+const REMOTE_COMMANDS = {
+    status(args, hooks) {
+        return hooks.getStatus();
+    },
+
+    reset(args, hooks) {
+        hooks.reset();
+        return {wallObjects: 0};
+    },
+
+    capture(args, hooks) {
+        const people = hooks.capture();
+        if (people === 0) throw new Error("nobody is being tracked");
+        return {people};
+    },
+
+    deleteLast(args, hooks) {
+        const deletedId = hooks.deleteLast();
+        if (deletedId === null) throw new Error("the wall is empty");
+        return {deletedId};
+    },
+
+    pause(args, hooks) {
+        if (typeof args.paused !== "boolean") throw new Error("pause needs {paused: true or false}");
+        hooks.setPaused(args.paused);
+        return {paused: args.paused};
+    },
+
+    setConfig(args, hooks) {
+        if (typeof args.path !== "string") throw new Error("setConfig needs {path, value}");
+        // Changing these in CONFIG would do nothing, and a reload rebuilds CONFIG from config.json
+        if (isStartupSetting(args.path)) {
+            throw new Error(`${args.path} is only read when the installation starts - change it in config.json`);
+        }
+
+        const problem = hooks.setConfig(args.path, args.value);
+        if (problem) throw new Error(problem);
+        return {path: args.path, value: args.value};
+    }
+};
+
+// Settings that only take effect on a restart (camera, model, connections,
+// the archive, what happens at startup); setConfig refuses them.
+// Everything else applies at once, see setConfigLive in sketch.js.
+const STARTUP_SETTINGS = [
+    "segmentation.", "video.", "images.", "remote.", "sync.", "timelapse.autoStart", "diagnostics.visible"
+];
+
+function isStartupSetting(path) {
+    return STARTUP_SETTINGS.some(prefix => (prefix.endsWith(".") ? path.startsWith(prefix) : path === prefix));
+}
+
+/**
+ * Turn command messages into result messages (see the protocol in remoteServer.js)
+ * @param {Object} hooks - What the commands act on
+ * @returns {Function} (commandMessage) => resultMessage
+ */
+function createRemoteCommandHandler(hooks) {
+    return function handleRemoteCommand(message) {
+        const answer = {type: "result", id: message.id, to: message.from};
+        const command = REMOTE_COMMANDS[message.command];
+
+        if (!command) {
+            return {...answer, ok: false, error: `unknown command "${message.command}"`};
+        }
+        try {
+            return {...answer, ok: true, result: command(message.args || {}, hooks)};
+        } catch (error) {
+            return {...answer, ok: false, error: error.message};
+        }
+    };
+}
+
+// ========== CONNECTION ==========
+
+let remoteSocket = null;        // Open connection, or null
+let remoteConnected = false;    // Welcomed by the server
+
+/**
+ * Connect to the remote-control server and keep the connection up
+ */
+function startRemoteControl(hooks) {
+    const handleRemoteCommand = createRemoteCommandHandler(hooks);
+    let refused = false;
+
+    function connect() {
+        const socket = new WebSocket(CONFIG.remote.url);
+        remoteSocket = socket;
+
+        socket.onopen = () => {
+            socket.send(JSON.stringify({type: "hello", role: "installation", token: CONFIG.remote.token}));
+        };
+
+        socket.onmessage = event => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                return;
+            }
+
+            if (message.type === "welcome") {
+                remoteConnected = true;
+            } else if (message.type === "command") {
+                socket.send(JSON.stringify(handleRemoteCommand(message)));
+            } else if (message.type === "error") {
+                console.warn(`Remote control: ${message.error}`);
+                if (message.error === "unauthorized") refused = true;
+            }
+        };
+
+        socket.onclose = () => {
+            remoteSocket = null;
+            remoteConnected = false;
+            if (!refused) setTimeout(connect, CONFIG.remote.reconnectInterval);
+        };
+    }
+
+    connect();
+}
+
+function isRemoteControlConnected() {
+    return remoteConnected;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        REMOTE_COMMANDS,
+        createRemoteCommandHandler,
+        isStartupSetting
+    };
+}
@@ -0,0 +1,356 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+/*
+ * Local remote-control server for operators (and relay between displays)
+ *
+ * Run it on the kiosk (or any machine on the venue LAN):
+ *   REMOTE_TOKEN=some-secret node remoteServer.js [port]
+ * Without REMOTE_TOKEN a random token is generated and printed.
+ *
+ * - The installation connects with remoteControl.js (CONFIG.remote).
+ * - Operators open http://<kiosk>:<port>/ on a phone or laptop (remote.html)
+ *   and enter the token.
+ *
+ * The server only relays: operator commands go to the installation, and
+ * the installation's answer goes back to the operator who asked. Instances
+ * of a multi-screen wall (wallSync.js) use it to pass captures between
+ * machines. It speaks plain WebSocket (RFC 6455) on top of Node's http
+ * module - no dependencies.
+ *
+ * Protocol - JSON text messages on ws://<host>:<port>/remote
+ *
+ * 1. Every client starts with
+ *      {type: "hello", role: "installation" | "operator" | "wall", token}
+ *    and gets {type: "welcome", role, clientId} - or
+ *    {type: "error", error: "unauthorized"} and the connection is closed.
+ *    Clients that don't say hello within HELLO_TIMEOUT ms are dropped, and
+ *    so is anyone sending more than MAX_HELLO_SIZE bytes before it.
+ *
+ * 2. Operator -> server:       {type: "command", id, command, args}
+ *    Server -> installation:   the same message plus `from` (operator clientId)
+ *    Installation -> server:   {type: "result", id, to, ok, result | error}
+ *    Server -> operator:       {type: "result", id, ok, result | error}
+ *    `id` is chosen by the operator to match answers to commands. Without a
+ *    connected installation the server answers
+ *    {type: "result", id, ok: false, error: "no installation connected"}.
+ *
+ * 3. Commands (see REMOTE_COMMANDS in remoteControl.js):
+ *      status                              -> the installation's state
+ *      reset                               clear the wall and everyone tracked
+ *      capture                             force a capture now
+ *      deleteLast                          remove the newest capture from the wall
+ *      pause     {paused: true | false}    stop or resume pose detection
+ *      setConfig {path, value}             change one CONFIG setting (dotted path) until the
+ *                                          next reload; settings only read at startup are refused
+ *
+ * 4. Wall sync (role "wall"):  {type: "sync", message}
+ *    is passed on unchanged to every other "wall" client. The messages
+ *    themselves are described in wallSync.js.
+ */
+
+const DEFAULT_PORT = 8091;
+const WEBSOCKET_PATH = '/remote';
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const HELLO_TIMEOUT = 5000;
+const MAX_MESSAGE_SIZE = 16 * 1024 * 1024; // Synced captures can carry a collage image
+const MAX_HELLO_SIZE = 4 * 1024; // Until a client has authenticated
+const ROLES = ['installation', 'operator', 'wall'];
+const operatorPagePath = path.join(__dirname, 'remote.html');
+
+// ========== WEBSOCKET FRAMES ==========
+
+const OPCODES = {continuation: 0x0, text: 0x1, close: 0x8, ping: 0x9, pong: 0xa};
+
+/**
+ * Build one unfragmented frame
+ * Servers send unmasked frames; clients (and the tests) must mask theirs.
+ */
+function encodeFrame(payload, opcode = OPCODES.text, mask = false) {
+    const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload);
+    const lengthBytes = data.length < 126 ? 0 : (data.length < 65536 ? 2 : 8);
+    const header = Buffer.alloc(2 + lengthBytes + (mask ? 4 : 0));
+
+    header[0] = 0x80 | opcode; // FIN
+    if (lengthBytes === 0) {
+        header[1] = data.length;
+    } else if (lengthBytes === 2) {
+        header[1] = 126;
+        header.writeUInt16BE(data.length, 2);
+    } else {
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(data.length), 2);
+    }
+
+    if (!mask) return Buffer.concat([header, data]);
+
+    header[1] |= 0x80;
+    const key = crypto.randomBytes(4);
+    key.copy(header, 2 + lengthBytes);
+    const masked = Buffer.alloc(data.length);
+    for (let i = 0; i < data.length; i++) masked[i] = data[i] ^ key[i % 4];
+    return Buffer.concat([header, masked]);
+}
+
+/**
+ * Collect socket data into whole messages
+ * @param {Function} onMessage - (opcode, payload Buffer) for every complete message
+ * @param {Function} [getMaxSize] - () => largest message allowed right now, in bytes
+ * @returns {Function} feed(chunk); throws on oversized messages
+ */
+function createFrameParser(onMessage, getMaxSize = () => MAX_MESSAGE_SIZE) {
+    // Chunks are only joined once the frame they belong to is complete
+    let chunks = [];
+    let bufferedLength = 0;
+    let needed = 2;
+    let fragments = [];
+    let fragmentsLength = 0;
+    let fragmentOpcode = null;
+
+    return function feed(chunk) {
+        chunks.push(chunk);
+        bufferedLength += chunk.length;
+        if (bufferedLength < needed) return;
+
+        let buffered = chunks.length === 1 ? chunks[0] : Buffer.concat(chunks);
+        needed = 2;
+
+        try {
+            while (buffered.length >= 2) {
+                const fin = (buffered[0] & 0x80) !== 0;
+                const opcode = buffered[0] & 0x0f;
+                const masked = (buffered[1] & 0x80) !== 0;
+                let length = buffered[1] & 0x7f;
+                let offset = 2;
+
+                if (length === 126) {
+                    offset = 4;
+                } else if (length === 127) {
+                    offset = 10;
+                }
+                if (buffered.length < offset) {
+                    needed = offset;
+                    return;
+                }
+                if (offset === 4) {
+                    length = buffered.readUInt16BE(2);
+                } else if (offset === 10) {
+                    length = Number(buffered.readBigUInt64BE(2));
+                }
+                // Fragments count towards the message they belong to
+                const messageLength = opcode >= 0x8 ? length : fragmentsLength + length;
+                if (messageLength > getMaxSize()) throw new Error('message too large');
+
+                const frameEnd = offset + (masked ? 4 : 0) + length;
+                if (buffered.length < frameEnd) {
+                    needed = frameEnd;
+                    return;
+                }
+
+                let payload = buffered.subarray(offset + (masked ? 4 : 0), frameEnd);
+                if (masked) {
+                    const key = buffered.subarray(offset, offset + 4);
+                    payload = Buffer.from(payload.map((byte, i) => byte ^ key[i % 4]));
+                }
+                buffered = buffered.subarray(frameEnd);
+
+                if (opcode >= 0x8) {
+                    // Control frames may arrive between fragments
+                    onMessage(opcode, payload);
+                    continue;
+                }
+
+                if (opcode !== OPCODES.continuation) fragmentOpcode = opcode;
+                fragments.push(payload);
+                fragmentsLength += payload.length;
+                if (!fin) continue;
+
+                onMessage(fragmentOpcode, Buffer.concat(fragments));
+                fragments = [];
+                fragmentsLength = 0;
+                fragmentOpcode = null;
+            }
+        } finally {
+            chunks = buffered.length > 0 ? [buffered] : [];
+            bufferedLength = buffered.length;
+        }
+    };
+}
+
+// ========== SERVER ==========
+
+/**
+ * The HTTP server with the WebSocket relay attached (not listening yet)
+ * @param {Object} options - {token}
+ */
+function createRemoteServer(options) {
+    const token = Buffer.from(String(options.token));
+    const clients = new Map(); // clientId -> {id, socket, role}
+    let nextClientId = 1;
+
+    const server = http.createServer(serveOperatorPage);
+
+    server.on('upgrade', (request, socket, head) => {
+        const key = request.headers['sec-websocket-key'];
+        if (request.url.split('?')[0] !== WEBSOCKET_PATH || !key) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+
+        const client = {id: nextClientId++, socket, role: null};
+        const helloTimer = setTimeout(() => closeClient(client), HELLO_TIMEOUT);
+        const feed = createFrameParser((opcode, payload) => {
+            if (opcode === OPCODES.text) {
+                handleMessage(client, payload.toString('utf8'), helloTimer);
+            } else if (opcode === OPCODES.ping) {
+                socket.write(encodeFrame(payload, OPCODES.pong));
+            } else if (opcode === OPCODES.close) {
+                closeClient(client);
+            }
+        }, () => (client.role ? MAX_MESSAGE_SIZE : MAX_HELLO_SIZE));
+
+        const receive = chunk => {
+            try {
+                feed(chunk);
+            } catch (error) {
+                // Oversized - don't read any further
+                clients.delete(client.id);
+                socket.destroy();
+            }
+        };
+        if (head && head.length > 0) receive(head);
+        socket.on('data', receive);
+        socket.on('close', () => {
+            clearTimeout(helloTimer);
+            clients.delete(client.id);
+        });
+        socket.on('error', () => clients.delete(client.id));
+    });
+
+    function handleMessage(client, text, helloTimer) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            send(client, {type: 'error', error: 'messages must be JSON'});
+            return;
+        }
+
+        if (!client.role) {
+            if (message.type !== 'hello' || !ROLES.includes(message.role) || !isValidToken(message.token)) {
+                send(client, {type: 'error', error: 'unauthorized'});
+                closeClient(client);
+                return;
+            }
+            clearTimeout(helloTimer);
+            client.role = message.role;
+            clients.set(client.id, client);
+            send(client, {type: 'welcome', role: client.role, clientId: client.id});
+            return;
+        }
+
+        if (client.role === 'operator' && message.type === 'command') {
+            const installations = getClients('installation');
+            if (installations.length === 0) {
+                send(client, {type: 'result', id: message.id, ok: false, error: 'no installation connected'});
+                return;
+            }
+            for (const installation of installations) {
+                send(installation, {type: 'command', id: message.id, command: message.command, args: message.args, from: client.id});
+            }
+            return;
+        }
+
+        if (client.role === 'wall' && message.type === 'sync') {
+            for (const other of getClients('wall')) {
+                if (other !== client) send(other, {type: 'sync', message: message.message});
+            }
+            return;
+        }
+
+        if (client.role === 'installation' && message.type === 'result') {
+            const operator = clients.get(message.to);
+            if (operator) {
+                const {to, ...answer} = message;
+                send(operator, answer);
+            }
+        }
+    }
+
+    function isValidToken(candidate) {
+        const given = Buffer.from(String(candidate || ''));
+        return given.length === token.length && crypto.timingSafeEqual(given, token);
+    }
+
+    function getClients(role) {
+        return [...clients.values()].filter(client => client.role === role);
+    }
+
+    function send(client, message) {
+        if (!client.socket.destroyed) client.socket.write(encodeFrame(JSON.stringify(message)));
+    }
+
+    function closeClient(client) {
+        clients.delete(client.id);
+        if (!client.socket.destroyed) {
+            client.socket.end(encodeFrame(Buffer.alloc(0), OPCODES.close));
+        }
+    }
+
+    return server;
+}
+
+function serveOperatorPage(request, response) {
+    const url = request.url.split('?')[0];
+    if (request.method !== 'GET' || (url !== '/' && url !== '/remote.html')) {
+        response.writeHead(404, {'Content-Type': 'text/plain'});
+        response.end('Not found - open / for the operator page');
+        return;
+    }
+
+    fs.readFile(operatorPagePath, (error, page) => {
+        if (error) {
+            response.writeHead(500, {'Content-Type': 'text/plain'});
+            response.end('remote.html is missing');
+            return;
+        }
+        response.writeHead(200, {'Content-Type': 'text/html; charset=utf-8'});
+        response.end(page);
+    });
+}
+
+function main() {
+    const port = Number(process.argv[2] || process.env.REMOTE_PORT || DEFAULT_PORT);
+    const token = process.env.REMOTE_TOKEN || crypto.randomBytes(9).toString('base64url');
+    const server = createRemoteServer({token});
+
+    // All interfaces, so phones on the venue LAN can reach it
+    server.listen(port, () => {
+        console.log(`🎛️  Remote control listening on http://localhost:${port}/ (WebSocket ${WEBSOCKET_PATH})`);
+        if (!process.env.REMOTE_TOKEN) {
+            console.log(`🔑 Token for this session: ${token}`);
+        }
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    OPCODES,
+    encodeFrame,
+    createFrameParser,
+    createRemoteServer
+};
@@ -0,0 +1,149 @@
+/*
+ * silhouetteCollage.js - Archive Photos Inside the Silhouette
+ * THE VISITOR BECOMES A WINDOW ONTO THE ARCHIVE
+ *
+ * With CONFIG.collage.enabled every capture also gets a collage: archive
+ * photos tiled over the captured people and clipped to their silhouettes
+ * with the capture mask from enhanceForCommemorative.
+ *
+ * The collage is rendered once, when the capture is taken, into an
+ * offscreen buffer that only covers the people (at CONFIG.collage.resolution).
+ * After that drawing it is a single image() call per frame.
+ *
+ * The buffer is stored on the commemorative object as
+ *   collage: {image, x, y, width, height, opacity, dataUrl}
+ * with x/y/width/height in canvas pixels. dataUrl is a PNG copy for
+ * persistence.js, since p5.Graphics can't be stored; restored collages are
+ * loaded back from it. Buffers are freed when their capture leaves the wall.
+ */
+
+/**
+ * Render the collage for one capture
+ *
+ * @param {p5.Graphics} mask - Capture mask, the size of the canvas
+ * @param {Array} outlines - The capture's per-person outlines (to find the area to fill)
+ * @param {Array} images - availableImages
+ * @param {Object} settings - CONFIG.collage
+ * @returns {Object|null} The collage, or null without photos or outlines
+ */
+function renderSilhouetteCollage(mask, outlines, images, settings) {
+    if (!mask || images.length === 0) return null;
+
+    const bounds = getOutlinesBounds(outlines, settings.tileSize / 2, mask.width, mask.height);
+    if (!bounds) return null;
+
+    const scale = settings.resolution;
+    const buffer = createGraphics(Math.max(1, Math.ceil(bounds.width * scale)), Math.max(1, Math.ceil(bounds.height * scale)));
+    buffer.pixelDensity(1);
+
+    for (const tile of layoutCollageTiles(buffer.width, buffer.height, settings.tileSize * scale, settings)) {
+        drawCoverCropped(buffer, images[Math.floor(Math.random() * images.length)], tile);
+    }
+
+    // Keep the photos only where the person is: with a "background" mask the
+    // person is transparent, so everything the mask covers is cut away
+    buffer.drawingContext.globalCompositeOperation = CONFIG.edges.foregroundIsTransparent
+        ? "destination-out"
+        : "destination-in";
+    buffer.image(mask, -bounds.x * scale, -bounds.y * scale, mask.width * scale, mask.height * scale);
+    buffer.drawingContext.globalCompositeOperation = "source-over";
+
+    return {
+        image: buffer,
+        x: bounds.x,
+        y: bounds.y,
+        width: bounds.width,
+        height: bounds.height,
+        opacity: settings.opacity,
+        dataUrl: buffer.elt.toDataURL("image/png")
+    };
+}
+
+/**
+ * Load a restored collage back from its PNG copy
+ */
+function restoreSilhouetteCollage(collage) {
+    if (!collage || collage.image || !collage.dataUrl) return;
+    loadImage(collage.dataUrl, loaded => { collage.image = loaded; });
+}
+
+/**
+ * Free the offscreen buffer of a collage that left the wall
+ */
+function releaseSilhouetteCollage(collage) {
+    if (collage && collage.image && collage.image.remove) {
+        collage.image.remove();
+    }
+    if (collage) collage.image = null;
+}
+
+/**
+ * Draw a photo into a square tile, cropped to fill it
+ */
+function drawCoverCropped(buffer, photo, tile) {
+    const side = Math.min(photo.width, photo.height);
+    buffer.image(photo,
+                 tile.x - tile.size / 2, tile.y - tile.size / 2, tile.size, tile.size,
+                 (photo.width - side) / 2, (photo.height - side) / 2, side, side);
+}
+
+/**
+ * Tile centres and sizes covering a width x height area
+ * Tiles sit on a grid, shifted by up to `jitter` of a tile and grown by up
+ * to `sizeVariation`, so they overlap and no gaps show between them.
+ *
+ * @returns {Array} [{x, y, size}] in drawing order
+ */
+function layoutCollageTiles(width, height, tileSize, settings, random = Math.random) {
+    const tiles = [];
+    if (tileSize <= 0) return tiles;
+
+    for (let y = tileSize / 2; y < height + tileSize / 2; y += tileSize) {
+        for (let x = tileSize / 2; x < width + tileSize / 2; x += tileSize) {
+            tiles.push({
+                x: x + (random() - 0.5) * settings.jitter * tileSize,
+                y: y + (random() - 0.5) * settings.jitter * tileSize,
+                size: tileSize * (1 + settings.jitter + random() * settings.sizeVariation)
+            });
+        }
+    }
+    return tiles;
+}
+
+/**
+ * Bounding box of all contours of all outlines, padded and kept on the canvas
+ * @returns {Object|null} {x, y, width, height}
+ */
+function getOutlinesBounds(outlines, padding, maxWidth, maxHeight) {
+    let left = Infinity;
+    let top = Infinity;
+    let right = -Infinity;
+    let bottom = -Infinity;
+
+    for (const outline of outlines || []) {
+        for (const contour of outline.contours || []) {
+            for (const point of contour) {
+                left = Math.min(left, point.x);
+                top = Math.min(top, point.y);
+                right = Math.max(right, point.x);
+                bottom = Math.max(bottom, point.y);
+            }
+        }
+    }
+    if (left > right || top > bottom) return null;
+
+    left = Math.max(0, Math.floor(left - padding));
+    top = Math.max(0, Math.floor(top - padding));
+    right = Math.min(maxWidth, Math.ceil(right + padding));
+    bottom = Math.min(maxHeight, Math.ceil(bottom + padding));
+    if (right <= left || bottom <= top) return null;
+
+    return {x: left, y: top, width: right - left, height: bottom - top};
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        layoutCollageTiles,
+        getOutlinesBounds
+    };
+}
@@ -14,28 +14,50 @@
  * - Shared countdown timer for simplicity and synchronized captures
  * - Individual keypoint tracking per person
  * - Efficient memory management by reusing colors when people leave
+ *
+ * Setting countdown.perPerson gives everyone their own countdown (from the
+ * moment they are first seen) and their own commemorative object.
+ *
+ * With countdown.holdStill.enabled the countdown pauses (or rewinds) while
+ * someone moves, and they are asked to hold still.
+ *
+ * Setting capture.trigger to "gesture" replaces the timer with gestures
+ * (hands up, arms spread, a wave - see gestures.js): whoever holds one is
+ * captured into their own object.
+ *
+ * With capture.quality.enabled, captures that are blurry, cut off, tiny or
+ * badly segmented are dropped and counted down again (see captureQuality.js).
+ *
+ * Setting lanes.enabled splits the wall into rows, columns, arcs or custom
+ * shapes (see lanes.js) that captures fill in turn.
+ *
+ * Setting collage.enabled fills every captured silhouette with a collage of
+ * archive photos (see silhouetteCollage.js).
+ *
+ * Setting interaction.mode to "growth" swaps the countdown for the
+ * growth-based interaction: images grow on each keypoint and the person is
+ * captured once enough of them have matured.
+ *
+ * Poses and masks arrive in camera pixels and are mapped to the canvas by
+ * videoTransform.js (fit, mirroring, rotation - see CONFIG.video) before
+ * anything else sees them.
+ *
+ * Setting remote.enabled lets operators reset, capture, pause and change
+ * settings from a phone or laptop (see remoteControl.js and remoteServer.js).
+ *
+ * After CONFIG.attract.idleTime without anyone tracked, attract mode
+ * redraws past captures and invites people in (see attractMode.js).
+ *
+ * Setting sync.enabled shows the captures of one capture station on any
+ * number of display-only instances (see wallSync.js).
+ *
+ * The decision-making (tracking, countdown, capture, wall size) lives in
+ * interactionCore.js; this file wires it to p5, ml5 and the other modules.
  */
 
 // ========== CONFIGURABLE VARIABLES ==========
-
-const COUNTDOWN_DURATION = 3000; // 3 seconds - CHANGE THIS to adjust countdown time
-const MAX_COMMEMORATIVE_OBJECTS = 10; // CHANGE THIS to adjust how many to keep
-const KEYPOINT_DOT_SIZE = 16; // Size of countdown dots
-
-// Multi-person color palette - each person gets assigned one of these colors
-const PERSON_COLORS = [
-    [0, 255, 0],     // Bright green (person 1)
-    [255, 100, 0],   // Orange (person 2) 
-    [0, 100, 255],   // Blue (person 3)
-    [255, 0, 255],   // Magenta (person 4)
-    [255, 255, 0],   // Yellow (person 5)
-    [0, 255, 255],   // Cyan (person 6)
-    [255, 0, 100],   // Pink (person 7)
-    [100, 255, 0]    // Lime (person 8)
-];
-
-// Fade end color (all colors fade to black)
-const KEYPOINT_FADE_END_COLOR = [0, 0, 0];
+// All tunables (countdown length, wall size, colors, dot size...) live in
+// config.js / config.json and are read from CONFIG.
 
 // Canvas dimensions
 const CANVAS_WIDTH = window.displayWidth;
@@ -46,26 +68,30 @@ let video;
 let bodyPose;
 let poses = [];
 let availableImages = [];
-
-// Multi-person countdown state
-let activeCountdowns = new Map(); // Map of personId -> countdown object
-let sharedCountdownActive = false; // Whether any countdown is running
-let sharedCountdownStartTime = null; // When the current shared countdown began
-let nextColorIndex = 0; // For cycling through colors efficiently
-
-// Commemorative objects (unchanged structure)
-let commemorativeObjects = [];
-let nextObjectId = 1;
-
-// Person tracking data structure:
-// Map entry: personId -> {
-//   keypoints: [],           // current keypoints with colors
-//   assignedColor: [],       // RGB color assigned to this person
-//   colorIndex: number,      // index in PERSON_COLORS array
-//   lastSeenTime: number     // for cleanup of disappeared people
-// }
+let replayRecording = null; // Pose recording loaded from ?replay=... (camera is skipped)
+let configReady;            // Resolves once config.json and URL overrides are validated
+let installationStarted = false;
+
+// Interaction logic lives in interactionCore.js so it can run under Node
+let wall;        // Commemorative objects from past captures
+let interaction; // Person tracking and capture (countdown or growth, see CONFIG.interaction.mode)
+let laneAllocator = null; // Which lane each capture uses, when CONFIG.lanes is enabled
+let videoTransform;       // Camera pixels -> canvas pixels (see videoTransform.js)
+let detectionPaused = false; // Set by operators through the remote control
+let wallRestored = false;    // Captures wait until the saved wall is back, so their ids can't collide with it
+let wallSync = null;         // Shares captures with other screens, when CONFIG.sync is enabled
+let attract = null;          // Attract mode while nobody is there, when CONFIG.attract is enabled
 
 function preload() {
+    configReady = loadInstallationConfig();
+    
+    const replayUrl = getReplayUrlFromLocation();
+    if (replayUrl) {
+        // Replay mode - no camera or pose model needed
+        replayRecording = loadJSON(replayUrl);
+        return;
+    }
+    
     bodyPose = ml5.bodyPose("MoveNet", {
         modelType: "MULTIPOSE_LIGHTNING", // Important: MULTIPOSE for multiple people
         enableSmoothing: true,
@@ -75,7 +101,7 @@ function preload() {
         trackerType: "keypoint",      // "keypoint" tracking works well for this
         trackerConfig: {},
         modelUrl: undefined,
-        flipped: true 
+        flipped: false                // Mirroring is done by videoTransform.js (CONFIG.video.mirror)
     });
 }
 
@@ -91,452 +117,772 @@ function setup() {
     document.getElementById('canvas-container').style.top = '0';
     document.getElementById('canvas-container').style.left = '0';
     
+    configReady.then(startInstallation);
+}
+
+/**
+ * Everything that depends on configuration starts once it is loaded
+ */
+function startInstallation() {
+    installationStarted = true;
+    
+    // Version 1 recordings were made in canvas pixels, already mirrored
+    videoTransform = replayRecording && !replayRecording.video
+        ? createVideoTransform({fit: "none", mirror: false, rotation: 0})
+        : createVideoTransform(CONFIG.video);
+    
+    createInteraction();
+    loadAvailableImages();
+    
+    attract = createAttractModeFromConfig();
+    
+    // Displays get their wall from the capture station instead
+    if (!isDisplayOnly()) {
+        restoreCommemorativeObjects();
+    }
+    if (CONFIG.sync.enabled) {
+        wallSync = startWallSync(createWallSyncHooks());
+    }
+    
+    if (CONFIG.timelapse.autoStart) {
+        startTimelapse();
+    }
+    if (CONFIG.diagnostics.visible) {
+        toggleDiagnostics();
+    }
+    if (CONFIG.remote.enabled) {
+        startRemoteControl(createRemoteHooks());
+    }
+    
+    if (isDisplayOnly()) {
+        return; // No camera - captures arrive through wallSync
+    }
+    if (replayRecording) {
+        startPoseReplay(replayRecording, gotPoses);
+        return;
+    }
+    
+    // Kept at the camera's own resolution; videoTransform maps it onto the canvas
     video = createCapture(VIDEO);
-    aspectRatio = video.width / video.height;
-    let vidWidth = windowWidth;
-    let vidHeight = windowWidth / aspectRatio;
-    video.size(vidWidth, vidHeight);
     video.hide();
     
-    loadAvailableImages();
     bodyPose.detectStart(video, gotPoses);
 }
 
 function draw() {
     // Clear background each frame
     background(0);
-    // push();
-    // stroke(255, 50);
-    // strokeWeight(2);
-    // line(0, 100, width, 100);
-    // pop();
     
-    // Draw all commemorative objects (outlines and images from past interactions)
-    drawCommemorativeObjects();
+    if (!installationStarted) {
+        drawConfigErrors();
+        return;
+    }
+    // Lane outlines help when setting up a venue (CONFIG.lanes.showGuides)
+    if (laneAllocator && CONFIG.lanes.showGuides) {
+        drawLaneGuides();
+    }
     
-    // Handle multi-person countdown system
-    updateSharedCountdown();
-    drawAllCountdownKeypoints();
+    // Age the wall, then draw all commemorative objects (outlines and images from past interactions)
+    wall.update();
+    drawCommemorativeObjects(attract ? getAttractReveal(attract, wall.objects) : null);
     
-    // Clean up inactive people (remove those who haven't been seen recently)
-    cleanupInactivePeople();
-    // set up line across 50px on top of screen
+    // Advance the countdown / growth and clean up people who haven't been seen recently
+    interaction.update();
+    if (attract) {
+        attract.update(interaction.getActivePeopleCount());
+    }
+    
+    if (interaction.mode === "growth") {
+        drawAllGrowingImages();
+    } else {
+        drawAllCountdownKeypoints();
+    }
+    
+    // Snapshot the finished frame if the time-lapse wants one (before the operator overlay)
+    updateTimelapse(wall.objects);
+    
+    // Highlighted photo and prompt while nobody is there
+    if (attract) {
+        drawAttractOverlay(attract, availableImages);
+    }
     
-    // line()
+    // Operator panel and live skeletons ('i')
+    noteDiagnosticsFrame();
+    drawDiagnostics(poses, interaction, wall, videoTransform);
+    
+    // Configuration problems stay visible for the operator
+    drawConfigErrors();
 }
 
+/**
+ * Load every photo listed in the image manifest
+ * Run `node generateImageNames.js` after adding photos to images/ - no code change needed.
+ */
 function loadAvailableImages() {
-    const imageFilenames = [
-        '5W3A3139.JPG', '5W3A3140.JPG', '5W3A3141.JPG', '5W3A3142.JPG', 
-        '5W3A3143.JPG', '5W3A3144.JPG', '5W3A3145.JPG', '5W3A3146.JPG',
-        '5W3A3147.JPG', '5W3A3148.JPG', '5W3A3149.JPG', '5W3A3150.JPG',
-        '5W3A3151.JPG', '5W3A3152.JPG', '5W3A3153.JPG', '5W3A3154.JPG',
-        '5W3A3155.JPG', '5W3A3156.JPG'
-    ];
-
-    for (let filename of imageFilenames) {
-        loadImage(`images/${filename}`, 
-            (img) => availableImages.push(img)
-        );
-    }
+    // Filenames in the manifest are relative to the folder it sits in
+    const manifestPath = CONFIG.images.manifest;
+    const imageFolder = manifestPath.slice(0, manifestPath.lastIndexOf("/") + 1);
+    
+    loadJSON(manifestPath, (manifest) => {
+        for (let entry of manifest.images) {
+            let source = CONFIG.images.useThumbnails && entry.thumbnail ? entry.thumbnail : entry.filename;
+            
+            loadImage(imageFolder + source, 
+                (img) => {
+                    img.filename = entry.filename; // Lets persisted captures find their images again
+                    img.tags = entry.tags;
+                    availableImages.push(img);
+                }
+            );
+        }
+    }, () => {
+        configErrors.push(`Could not load ${CONFIG.images.manifest} - run "node generateImageNames.js"`);
+    });
 }
 
 /**
- * Handle pose detection results - now processes multiple people
- * This is the main entry point for multi-person detection
+ * Wire the p5-free interaction core to p5, ml5 and IndexedDB
  */
-function gotPoses(results) {
-    poses = results;
+function createInteraction() {
+    wall = createCommemorativeWall({
+        ...CONFIG.wall, // maxObjects, lifetime, fadeOutDuration, agedStrength
+        now: millis,
+        onAdd: onCommemorativeObjectAdded,
+        onRemove: onCommemorativeObjectsRemoved,
+        onClear: (cleared) => {
+            if (!isDisplayOnly()) clearCommemorativeObjects();
+            if (laneAllocator) laneAllocator.reset();
+            for (let obj of cleared) releaseSilhouetteCollage(obj.collage);
+            if (wallSync) wallSync.publishClear();
+        }
+    });
     
-    // Process each detected person individually
-    let currentlyDetectedPeople = new Set();
+    laneAllocator = createLaneAllocatorFromConfig();
+    interaction = createInteractionFromConfig();
+}
+
+/**
+ * Lane bookkeeping for CONFIG.lanes, or null without lanes
+ * Captures already on the wall keep the lanes they hold.
+ */
+function createLaneAllocatorFromConfig() {
+    if (!CONFIG.lanes.enabled || isDisplayOnly()) return null;
     
-    for (let pose of poses) {
-        if (pose.id !== undefined) { // ml5 provides unique IDs for tracked poses
-            currentlyDetectedPeople.add(pose.id);
-            handlePersonDetected(pose.id, pose);
-        }
+    const allocator = createLaneAllocator(buildLanes(CONFIG.lanes, width, height).length, CONFIG.lanes.fill);
+    for (let obj of wall.objects) {
+        for (let img of obj.images) allocator.occupy(obj.id, img.lane);
+    }
+    return allocator;
+}
+
+/**
+ * The countdown or growth interaction for the current CONFIG
+ */
+function createInteractionFromConfig() {
+    if (CONFIG.interaction.mode === "growth") {
+        return createGrowthInteraction({
+            wall: wall,
+            now: millis,
+            captureOutline: captureOutlineFromVideo,
+            pickImage: pickRandomImage,
+            config: growthSettingsFromConfig(CONFIG)
+        });
     }
     
-    // Check if we should start or continue the shared countdown
-    manageSharedCountdown(currentlyDetectedPeople.size > 0);
+    return createCountdownInteraction({
+        wall: wall,
+        now: millis,
+        captureOutline: captureOutlineFromVideo,
+        placeImages: placeImagesForPerson,
+        gestureRecognizer: createGestureRecognizer({
+            now: millis,
+            gestures: CONFIG.capture.gestures,
+            overrides: CONFIG.gestures
+        }),
+        qualityGate: CONFIG.capture.quality.enabled
+            ? createCaptureQualityGate(CONFIG.capture.quality, {
+                getFrameRect: getVisibleVideoRect,
+                countOutlinePoints: contours => analyzeContours(contours).totalPoints
+            })
+            : null,
+        onCaptureRejected: onCaptureRejected,
+        config: countdownSettingsFromConfig(CONFIG)
+    });
 }
 
 /**
- * Process an individual person's pose data
- * Each person gets their own color and keypoint tracking
+ * Attract mode for CONFIG.attract, or null when it is off
+ * Displays have no camera to wake them up.
  */
-function handlePersonDetected(personId, pose) {
-    // Extract valid keypoints for this person
-    const targetKeypoints = extractTargetKeypoints(pose);
+function createAttractModeFromConfig() {
+    if (!CONFIG.attract.enabled || isDisplayOnly()) return null;
+    return createAttractMode({now: millis, idleTime: CONFIG.attract.idleTime});
+}
+
+// Sections whose settings the interaction copies when it is created
+const INTERACTION_CONFIG_SECTIONS = ["interaction", "capture", "gestures", "countdown", "people", "keypoints", "growth"];
+
+/**
+ * Change one setting while the installation runs (remote control)
+ *
+ * Most settings are read from CONFIG every time they are used. The parts
+ * that copy theirs when they are created are rebuilt; a rebuilt interaction
+ * starts tracking everyone afresh. Settings that need a restart are refused
+ * before this (STARTUP_SETTINGS in remoteControl.js).
+ *
+ * @returns {string|null} Why the value was refused, or null
+ */
+function setConfigLive(path, value) {
+    const problem = applyConfigValue(CONFIG, path, value);
+    if (problem) return problem;
     
-    if (targetKeypoints.length < 3) {
-        // Not enough reliable keypoints for this person
-        return;
+    const section = path.split(".")[0];
+    if (section === "wall") {
+        wall.configure(CONFIG.wall);
+    } else if (section === "lanes") {
+        laneAllocator = createLaneAllocatorFromConfig();
+    } else if (section === "attract") {
+        attract = createAttractModeFromConfig();
+    } else if (INTERACTION_CONFIG_SECTIONS.includes(section)) {
+        interaction = createInteractionFromConfig();
     }
+    return null;
+}
+
+/**
+ * The part of the canvas the camera picture covers
+ * "contain" letterboxes the video, "cover" crops it at the canvas edges.
+ */
+function getVisibleVideoRect() {
+    if (!videoTransform.isReady()) return {x: 0, y: 0, width, height};
     
-    // Get or create person tracking data
-    if (!activeCountdowns.has(personId)) {
-        // New person detected - assign them a color and initialize tracking
-        initializeNewPerson(personId, targetKeypoints);
-    } else {
-        // Existing person - update their keypoint positions
-        updatePersonKeypoints(personId, targetKeypoints);
+    const rect = videoTransform.getVideoRect();
+    const left = Math.max(0, rect.x);
+    const top = Math.max(0, rect.y);
+    return {
+        x: left,
+        y: top,
+        width: Math.min(width, rect.x + rect.width) - left,
+        height: Math.min(height, rect.y + rect.height) - top
+    };
+}
+
+/**
+ * Every new capture is stored, shared with displays and, when recording, snapshotted for the time-lapse
+ * Displays keep the styles the capture station chose and don't store anything.
+ */
+function onCommemorativeObjectAdded(commemorativeObject) {
+    if (!isDisplayOnly()) {
+        assignOutlineStyles(commemorativeObject);
+        saveCommemorativeObject(commemorativeObject);
+    }
+    if (wallSync) {
+        wallSync.publishAdd(serializeCommemorativeObject(commemorativeObject));
     }
     
-    // Mark this person as currently active
-    activeCountdowns.get(personId).lastSeenTime = millis();
+    if (CONFIG.timelapse.onCapture) {
+        requestTimelapseFrame("capture", commemorativeObject);
+    }
 }
 
 /**
- * Initialize tracking for a newly detected person
- * Assigns them a unique color and sets up their countdown state
- */
-function initializeNewPerson(personId, keypoints) {
-    // Assign color from our palette (cycling through available colors)
-    const assignedColor = [...PERSON_COLORS[nextColorIndex]];
-    nextColorIndex = (nextColorIndex + 1) % PERSON_COLORS.length;
-    
-    // Add color information to each keypoint
-    const coloredKeypoints = keypoints.map(kp => ({
-        ...kp,
-        currentColor: [...assignedColor], // Start with their assigned color
-        originalColor: [...assignedColor] // Remember original for fading calculations
-    }));
-    
-    // Create person tracking entry
-    activeCountdowns.set(personId, {
-        keypoints: coloredKeypoints,
-        assignedColor: assignedColor,
-        colorIndex: nextColorIndex - 1, // The index we just used
-        lastSeenTime: millis()
-    });
+ * The quality gate dropped a capture (see captureQuality.js); the countdown runs again
+ */
+function onCaptureRejected(reasons, people, collage) {
+    console.warn(`Capture rejected: ${reasons.join("; ")}`);
+    noteCaptureRejected(reasons);
+    releaseSilhouetteCollage(collage);
 }
 
 /**
- * Update keypoint positions for an existing person
- * Smoothly interpolates positions to reduce jitter
- */
-function updatePersonKeypoints(personId, newKeypoints) {
-    const personData = activeCountdowns.get(personId);
-    if (!personData) return;
-    
-    // Update positions of existing keypoints with smooth interpolation
-    for (let existingKp of personData.keypoints) {
-        let newKp = newKeypoints.find(kp => kp.name === existingKp.name);
-        if (newKp) {
-            // Smooth position interpolation to reduce jitter
-            existingKp.x = lerp(existingKp.x, newKp.x, 0.3);
-            existingKp.y = lerp(existingKp.y, newKp.y, 0.3);
-            existingKp.confidence = newKp.confidence;
-        }
+ * Objects leave the wall: forget them in storage, free their lanes and collage buffers
+ */
+function onCommemorativeObjectsRemoved(removed) {
+    if (!isDisplayOnly()) {
+        deleteCommemorativeObjects(removed.map(obj => obj.id));
+    }
+    if (wallSync) {
+        wallSync.publishRemove(removed.map(obj => obj.id));
+    }
+    
+    if (laneAllocator) {
+        for (let obj of removed) laneAllocator.release(obj.id);
     }
+    for (let obj of removed) releaseSilhouetteCollage(obj.collage);
 }
 
 /**
- * Manage the shared countdown timer
- * Simplified approach: one timer for all people
+ * Bring back the wall saved before the last reload/crash
  */
-function manageSharedCountdown(peoplePresent) {
-    if (peoplePresent && !sharedCountdownActive) {
-        // Start new shared countdown
-        sharedCountdownActive = true;
-        sharedCountdownStartTime = millis();
-    } else if (!peoplePresent && sharedCountdownActive) {
-        // Stop countdown if no people present
-        sharedCountdownActive = false;
-        sharedCountdownStartTime = null;
-    }
+function restoreCommemorativeObjects() {
+    loadCommemorativeObjects().then(records => {
+        const restored = records.map(record =>
+            deserializeCommemorativeObject(record, availableImages, millis())
+        );
+        
+        // Restored captures keep holding their lanes
+        if (laneAllocator) {
+            for (let obj of restored) {
+                for (let img of obj.images) laneAllocator.occupy(obj.id, img.lane);
+            }
+        }
+        for (let obj of restored) restoreSilhouetteCollage(obj.collage);
+        
+        wall.restore(restored);
+        wallRestored = true;
+        if (wallSync) wallSync.publishSnapshot();
+    });
+}
+
+/**
+ * Whether this instance only shows the captures of a capture station
+ */
+function isDisplayOnly() {
+    return CONFIG.sync.enabled && CONFIG.sync.role === "display";
 }
 
 /**
- * Update the shared countdown and trigger capture when complete
+ * What wallSync.js reads from and applies to this wall
+ * Records arrive in canvas pixels; displays rebuild them like restored captures.
  */
-function updateSharedCountdown() {
-    if (!sharedCountdownActive || !sharedCountdownStartTime) return;
+function createWallSyncHooks() {
+    const rebuild = record => {
+        const obj = deserializeCommemorativeObject(record, availableImages, millis());
+        restoreSilhouetteCollage(obj.collage);
+        return obj;
+    };
     
-    const elapsed = millis() - sharedCountdownStartTime;
-    const progress = elapsed / COUNTDOWN_DURATION; // 0 to 1
+    return {
+        getRecords: () => wall.objects
+            .filter(obj => obj.retiredAt === undefined)
+            .map(serializeCommemorativeObject),
+        add: record => {
+            // A snapshot may already have brought it
+            if (wall.objects.some(obj => obj.id === record.id)) return;
+            wall.add(rebuild(record));
+        },
+        remove: ids => wall.remove(wall.objects.filter(obj => ids.includes(obj.id))),
+        clear: () => wall.clear(),
+        replace: records => {
+            wall.clear();
+            wall.restore(records.map(rebuild));
+        }
+    };
+}
+
+/**
+ * Handle pose detection results - now processes multiple people
+ * This is the main entry point for multi-person detection
+ */
+function gotPoses(results) {
+    // Nobody is tracked (so nobody is captured) before the restore has claimed its ids
+    if (detectionPaused || !wallRestored) return;
     
-    if (progress >= 1.0) {
-        // Countdown complete - capture all active interactions
-        captureAllActiveInteractions();
-        
-        // Reset countdown state
-        sharedCountdownActive = false;
-        sharedCountdownStartTime = null;
-    } else {
-        // Update colors for all active people based on countdown progress
-        updateAllKeypointColors(progress);
+    // Recordings keep camera pixels, so they replay through the same mapping
+    recordPoseFrame(results);
+    
+    // Someone stepped in - stop performing before anything else happens
+    if (attract && results.length > 0) {
+        attract.wake();
     }
+    
+    updateVideoTransform();
+    noteDiagnosticsPoses();
+    poses = videoTransform.mapPoses(results);
+    interaction.handlePoses(poses);
 }
 
 /**
- * Update keypoint colors for all people based on countdown progress
- * Each person's color fades from their assigned color to black
- */
-function updateAllKeypointColors(progress) {
-    for (let [personId, personData] of activeCountdowns) {
-        for (let keypoint of personData.keypoints) {
-            // Fade from original assigned color to black
-            keypoint.currentColor[0] = lerp(keypoint.originalColor[0], KEYPOINT_FADE_END_COLOR[0], progress);
-            keypoint.currentColor[1] = lerp(keypoint.originalColor[1], KEYPOINT_FADE_END_COLOR[1], progress);
-            keypoint.currentColor[2] = lerp(keypoint.originalColor[2], KEYPOINT_FADE_END_COLOR[2], progress);
-        }
+ * Follow camera resolution and canvas size changes
+ * Cheap when nothing changed, so it runs with every pose result.
+ */
+function updateVideoTransform() {
+    const size = getVideoSize();
+    if (size) {
+        videoTransform.resize(size.width, size.height, width, height);
+    }
+}
+
+/**
+ * The size poses and masks are measured in
+ */
+function getVideoSize() {
+    if (replayRecording) {
+        const legacyMask = (replayRecording.masks || [])[0];
+        return replayRecording.video || legacyMask || {width: width, height: height};
     }
+    if (!video || !video.elt.videoWidth) return null;
+    return {width: video.elt.videoWidth, height: video.elt.videoHeight};
 }
 
 /**
  * Draw countdown keypoints for all active people
- * Each person's keypoints appear in their assigned color
+ * Each person's keypoints appear in their assigned color; whoever is
+ * holding the countdown back by moving gets rings and a "hold still" cue.
  */
 function drawAllCountdownKeypoints() {
-    if (!sharedCountdownActive) return;
+    if (!interaction.isCountdownRunning()) return;
     
-    for (let [personId, personData] of activeCountdowns) {
-        for (let keypoint of personData.keypoints) {
+    for (let [personId, personData] of interaction.state.activeCountdowns) {
+        for (let keypoint of getVisibleKeypoints(personData.keypoints)) {
             fill(keypoint.currentColor[0], keypoint.currentColor[1], keypoint.currentColor[2]);
             noStroke();
-            circle(keypoint.x, keypoint.y, KEYPOINT_DOT_SIZE);
+            circle(keypoint.x, keypoint.y, CONFIG.keypoints.dotSize);
+        }
+        if (personData.moving) {
+            drawHoldStillCue(personData);
         }
     }
 }
 
 /**
- * Extract target keypoints - same logic as before but cleaned up
+ * Pulsing rings around a moving person's keypoints and the prompt above them
  */
-function extractTargetKeypoints(pose) {
-    const targetNames = [
-        'nose',           // Head
-        'left_shoulder', 'right_shoulder',
-        'left_wrist', 'right_wrist'
-    ];
-    
-    const validKeypoints = [];
+function drawHoldStillCue(personData) {
+    let pulse = 0.5 + 0.5 * Math.sin(millis() / 150);
+    let keypoints = getVisibleKeypoints(personData.keypoints);
+    let top = Math.min(...keypoints.map(kp => kp.y));
+    let centerX = keypoints.reduce((sum, kp) => sum + kp.x, 0) / keypoints.length;
     
-    for (let targetName of targetNames) {
-        let keypoint = pose.keypoints.find(kp => 
-            kp.name === targetName && kp.confidence > 0.4
-        );
-        
-        if (keypoint) {
-            validKeypoints.push({
-                name: keypoint.name,
-                x: keypoint.x,
-                y: keypoint.y,
-                confidence: keypoint.confidence
-            });
-        }
+    push();
+    noFill();
+    stroke(...personData.assignedColor, 120 + 135 * pulse);
+    strokeWeight(2);
+    for (let keypoint of keypoints) {
+        circle(keypoint.x, keypoint.y, CONFIG.keypoints.dotSize * (1.6 + 0.4 * pulse));
     }
     
-    return validKeypoints;
+    noStroke();
+    fill(255, 180 + 75 * pulse);
+    textAlign(CENTER, BOTTOM);
+    textSize(24);
+    text(CONFIG.countdown.holdStill.prompt, centerX, top - CONFIG.keypoints.dotSize * 2);
+    pop();
 }
 
 /**
- * Capture interactions for all currently active people
- * Creates one commemorative object containing all people's interactions
- */
-function captureAllActiveInteractions() {
-    if (activeCountdowns.size === 0) return;
-    
-    // Create commemorative object for this capture session
-    let commemorativeObject = {
-        outline: null,          // Single outline (body segmentation limitation)
-        images: [],             // Images for all people
-        captureTime: millis(),
-        id: nextObjectId++,
-        peopleCount: activeCountdowns.size // Record how many people were involved
-    };
-    
-    // Place images for each active person
-    for (let [personId, personData] of activeCountdowns) {
-        placeImagesForPerson(personData, commemorativeObject);
+ * Draw the images currently growing on everyone's keypoints
+ */
+function drawAllGrowingImages() {
+    for (let [personId, person] of interaction.state.people) {
+        for (let growingImage of person.images.values()) {
+            drawGrowingImage(growingImage, person.assignedColor);
+        }
     }
-    
-    // Capture outline (body segmentation may only work for one person, but we'll try)
-    // For multi-person, this will capture whatever the body segmentation can detect
+}
+
+/**
+ * Image hook for the growth interaction - any loaded archive photo
+ */
+function pickRandomImage() {
+    if (availableImages.length === 0) return null;
+    return availableImages[Math.floor(Math.random() * availableImages.length)];
+}
+
+/**
+ * Segmentation hook for the interaction core
+ * Splits the capture mask between the people being captured and
+ * traces one outline per person. With CONFIG.collage.enabled the mask
+ * also clips a photo collage before it is freed.
+ */
+function captureOutlineFromVideo(people, done, bystanders = []) {
     initializeBodySegmentationForCapture(video, (segmentationResult) => {
-        if (segmentationResult && segmentationResult.mask) {
-            segmentationResult.mask.loadPixels();
-            let outline = extractEdgesFromMask(segmentationResult.mask);
+        let outlines = null;
+        let collage = null;
+        let measurements = {};
+        
+        if (segmentationResult && segmentationResult.mask && videoTransform.isReady()) {
+            // People, outlines and the collage all live in canvas pixels
+            const mask = mapMaskToCanvas(segmentationResult.mask, videoTransform);
+            // Bystanders are erased from the mask, so coverage is measured afterwards
+            outlines = extractPersonOutlinesFromMask(mask, people, bystanders);
+            measurements.maskCoverage = getMaskCoverage(mask, isForegroundAlpha);
+            noteCaptureOutlines(outlines);
             
-            if (outline) {
-                commemorativeObject.outline = outline;
+            if (CONFIG.collage.enabled) {
+                collage = renderSilhouetteCollage(mask, outlines, availableImages, CONFIG.collage);
             }
             
             // Clean up mask
-            segmentationResult.mask.remove();
+            mask.remove();
         }
         
-        // Add completed object to collection
-        addCommemorativeObject(commemorativeObject);
+        done(outlines, collage, measurements);
     });
-    
-    // Clear all active countdowns after capture
-    activeCountdowns.clear();
-    nextColorIndex = 0; // Reset color assignment
 }
 
 /**
- * Place images for an individual person based on their keypoints
- * Same logic as before but adapted for multi-person structure
+ * Place images for an individual person
+ * The layout comes from the strategy named in CONFIG.placement.strategy
+ * (see imagePlacement.js); this only picks a photo for every anchor.
  */
-function placeImagesForPerson(personData, commemorativeObject) {
-    const keypoints = personData.keypoints;
+function placeImagesForPerson(personData, commemorativeObject, outline) {
+    if (availableImages.length === 0) return;
+    if (CONFIG.collage.enabled && !CONFIG.collage.keepPlacedImages) return;
     
-    // Handle center image between shoulders
-    let leftShoulder = keypoints.find(kp => kp.name === 'left_shoulder');
-    let rightShoulder = keypoints.find(kp => kp.name === 'right_shoulder');
-
-    // if (leftShoulder && rightShoulder && availableImages.length > 0) {
-    //     let centerX = (leftShoulder.x + rightShoulder.x) / 2;
-    //     let centerY = (leftShoulder.y + rightShoulder.y) / 2;
-        
-    //     let selectedImage = availableImages[Math.floor(Math.random() * availableImages.length)];
-    //     let baseSize = (100 + Math.random() * 40) * 2;
-        
-    //     let originalAspectRatio = selectedImage.width / selectedImage.height;
-    //     let displayWidth, displayHeight;
+    const strategyName = CONFIG.placement.strategy;
+    let anchors = getPlacementAnchors(strategyName, personData, CONFIG.placement[strategyName] || {}, outline);
+    const placedImages = [];
+    
+    // With lanes, the strategy's arrangement is scaled into this capture's lane
+    const lane = laneAllocator ? getLaneForPerson(personData, commemorativeObject) : null;
+    if (lane) {
+        anchors = anchors.map(anchor => ({...anchor, ...mapIntoLane(lane, anchor, width, height)}));
+    }
+    
+    for (let anchor of anchors) {
+        let selectedImage = availableImages[Math.floor(Math.random() * availableImages.length)];
         
-    //     if (originalAspectRatio > 1) {
-    //         displayWidth = baseSize;
-    //         displayHeight = baseSize / originalAspectRatio;
-    //     } else {
-    //         displayHeight = baseSize;
-    //         displayWidth = baseSize * originalAspectRatio;
-    //     }
+        let originalAspectRatio = selectedImage.width / selectedImage.height;
+        let displayWidth, displayHeight;
         
-    //     commemorativeObject.images.push({
-    //         image: selectedImage,
-    //         x: centerX - displayWidth/2,
-    //         // y: centerY - displayHeight/2,
-    //         y: 100 + (Math.random() * 40 - 20) - displayHeight/2,  // Centers on line at y=100 with ±20px variation
-    //         width: displayWidth,
-    //         height: displayHeight,
-    //         keypointName: 'center_shoulders',
-    //         originalAspectRatio: originalAspectRatio,
-    //         personColor: personData.assignedColor // Store the person's color for reference
-    //     });
-    // }
-    
-    // Place images on other keypoints
-    for (let keypoint of keypoints) {
-        // if (keypoint.name === 'left_shoulder' || keypoint.name === 'right_shoulder') {
-        //     continue; // Skip shoulders since we handled them above
-        // }
-
-        if (availableImages.length > 0) {
-            let selectedImage = availableImages[Math.floor(Math.random() * availableImages.length)];
-            let baseSize = 200 + Math.random() * 100;
-            
-            let originalAspectRatio = selectedImage.width / selectedImage.height;
-            let displayWidth, displayHeight;
-            
-            if (originalAspectRatio > 1) {
-                displayWidth = baseSize;
-                displayHeight = baseSize / originalAspectRatio;
-            } else {
-                displayHeight = baseSize;
-                displayWidth = baseSize * originalAspectRatio;
-            }
-            
-            commemorativeObject.images.push({
-                image: selectedImage,
-                x: keypoint.x - displayWidth/2,
-                // y: keypoint.y - displayHeight/2,
-                y: 100 + (Math.random() * 40 - 20) - displayHeight/2,  // Centers on line at y=100 with ±20px variation
-                width: displayWidth,
-                height: displayHeight,
-                keypointName: keypoint.name,
-                originalAspectRatio: originalAspectRatio,
-                personColor: personData.assignedColor // Store the person's color
-            });
+        if (originalAspectRatio > 1) {
+            displayWidth = anchor.size;
+            displayHeight = anchor.size / originalAspectRatio;
+        } else {
+            displayHeight = anchor.size;
+            displayWidth = anchor.size * originalAspectRatio;
         }
+        
+        placedImages.push({
+            image: selectedImage,
+            filename: selectedImage.filename,
+            x: anchor.x - displayWidth/2,
+            y: anchor.y - displayHeight/2,
+            width: displayWidth,
+            height: displayHeight,
+            keypointName: anchor.keypointName,
+            originalAspectRatio: originalAspectRatio,
+            personId: personData.personId, // Links the image to this person's outline
+            personColor: personData.assignedColor, // Store the person's color
+            lane: lane ? lane.index : null
+        });
     }
+    
+    if (CONFIG.packing.enabled) {
+        packAgainstWall(placedImages, commemorativeObject, lane);
+    }
+    commemorativeObject.images.push(...placedImages);
 }
 
 /**
- * Clean up people who haven't been seen recently
- * Prevents memory buildup from tracking people who left
+ * The lane a person's images go to
+ * In order: one lane per capture. By person: a lane per palette color.
  */
-function cleanupInactivePeople() {
-    const currentTime = millis();
-    const timeoutDuration = 1000; // Remove people not seen for 1 second
+function getLaneForPerson(personData, commemorativeObject) {
+    const lanes = buildLanes(CONFIG.lanes, width, height);
     
-    for (let [personId, personData] of activeCountdowns) {
-        if (currentTime - personData.lastSeenTime > timeoutDuration) {
-            activeCountdowns.delete(personId);
-        }
+    if (CONFIG.lanes.fill === "byPerson") {
+        return lanes[laneAllocator.assign(commemorativeObject.id, personData.colorIndex)] || null;
     }
-    
-    // If no people remain, reset color assignment
-    if (activeCountdowns.size === 0) {
-        nextColorIndex = 0;
+    if (commemorativeObject.lane === undefined) {
+        commemorativeObject.lane = laneAllocator.assign(commemorativeObject.id);
     }
+    return lanes[commemorativeObject.lane] || null;
 }
 
 /**
- * Add commemorative object and manage collection size
- * Same as before - no changes needed
+ * Outline every lane (setup helper)
  */
-function addCommemorativeObject(newObject) {
-    commemorativeObjects.push(newObject);
+function drawLaneGuides() {
+    push();
+    noFill();
+    stroke(255, 50);
+    strokeWeight(2);
     
-    if (commemorativeObjects.length > MAX_COMMEMORATIVE_OBJECTS) {
-        let objectsToRemove = commemorativeObjects.length - MAX_COMMEMORATIVE_OBJECTS;
-        commemorativeObjects.splice(0, objectsToRemove);
+    for (let lane of buildLanes(CONFIG.lanes, width, height)) {
+        if (lane.kind === "arc") {
+            const arcSettings = lane.arc;
+            const outer = (arcSettings.radius + arcSettings.thickness / 2) * 2;
+            const inner = (arcSettings.radius - arcSettings.thickness / 2) * 2;
+            arc(arcSettings.centerX, arcSettings.centerY, outer, outer, arcSettings.startAngle, arcSettings.endAngle);
+            arc(arcSettings.centerX, arcSettings.centerY, inner, inner, arcSettings.startAngle, arcSettings.endAngle);
+        } else if (lane.kind === "polygon") {
+            beginShape();
+            for (let point of lane.polygon) vertex(point.x, point.y);
+            endShape(CLOSE);
+        } else {
+            rect(lane.bounds.x, lane.bounds.y, lane.bounds.width, lane.bounds.height);
+        }
     }
+    pop();
+}
+
+/**
+ * Nudge, shrink or re-slot new images around the photos already on the wall
+ * (and the ones this capture placed for other people), without leaving
+ * their lane when there is one
+ */
+function packAgainstWall(placedImages, commemorativeObject, lane) {
+    const existingRects = wall.objects
+        .flatMap(obj => obj.images)
+        .concat(commemorativeObject.images);
+    
+    const packed = packPlacedImages(placedImages, existingRects, {
+        ...CONFIG.packing,
+        bounds: lane ? lane.bounds : {x: 0, y: 0, width: width, height: height}
+    });
+    
+    packed.forEach((rect, i) => Object.assign(placedImages[i], rect));
 }
 
 /**
  * Draw all commemorative objects (outlines and images)
- * Same as before - no changes needed
+ * Outlines fade by their place on the wall; everything also fades with
+ * the capture's age (see CONFIG.wall.lifetime and fadeOutDuration).
+ * Each outline is drawn in its style (see outlineStyles.js) with that faded
+ * color and weight, over the capture's photo collage if it has one.
+ *
+ * @param {Object|null} reveal - The capture attract mode is redrawing (getAttractReveal)
  */
-function drawCommemorativeObjects() {
-    for (let objI in commemorativeObjects) {
-        let obj = commemorativeObjects[objI];
+function drawCommemorativeObjects(reveal = null) {
+    for (let objI in wall.objects) {
+        let obj = wall.objects[objI];
+        let visibility = wall.getVisibility(obj);
+        // Attract mode redraws one capture at a time (see attractMode.js)
+        let revealing = reveal && reveal.id === obj.id;
+        let imageVisibility = revealing ? visibility * reveal.imageProgress : visibility;
+        
+        // Objects fading out sit in front of the wall, so keep the mapping in range
+        // let colorValue = map(objI, CONFIG.wall.maxObjects - 1, 0, 10, 255);
+        let colorValue = map(objI, CONFIG.wall.maxObjects - 1, 0, 255, 10, true);
+        let strokeWeightValue = map(objI, CONFIG.wall.maxObjects - 1, 0, 2, 0.1, true) * visibility;
+        
+        // Pre-rendered at capture time - one image() call
+        if (obj.collage) {
+            drawFrozenImage(obj.collage, imageVisibility);
+        }
         
-        if (obj.outline) {
-            // let colorValue = map(objI, MAX_COMMEMORATIVE_OBJECTS - 1, 0, 10, 255);
-            let colorValue = map(objI, MAX_COMMEMORATIVE_OBJECTS - 1, 0, 255, 10);
-
-            stroke(colorValue);
-            let strokeWeightValue = map(objI, MAX_COMMEMORATIVE_OBJECTS - 1, 0, 2, 0.1);
-            strokeWeight(strokeWeightValue);
-            noFill();
-            drawEdges(obj.outline, color(colorValue), strokeWeightValue);
+        for (let outlineI = 0; outlineI < obj.outlines.length; outlineI++) {
+            let outline = obj.outlines[outlineI];
+            
+            // Each person's outline is drawn in their color, dimmed with age like before
+            let brightness = colorValue / 255;
+            let outlineColor = outline.personColor
+                ? [outline.personColor[0] * brightness, outline.personColor[1] * brightness, outline.personColor[2] * brightness, 255 * visibility]
+                : [colorValue, colorValue, colorValue, 255 * visibility];
+            
+            if (revealing && reveal.outlineProgress < 1) {
+                drawPartialOutline(outline.contours, reveal.outlineProgress, {color: outlineColor, weight: strokeWeightValue});
+                continue;
+            }
+            drawStyledOutline(outline.contours, getOutlineStyle(outline),
+                {color: outlineColor, weight: strokeWeightValue}, obj.id * 31 + outlineI);
         }
         
         for (let img of obj.images) {
-            if (img.image) {
-                image(img.image, img.x, img.y, img.width, img.height);
+            if (!img.image && img.filename) {
+                // Restored captures may reference images that finished loading later
+                img.image = findAvailableImage(img.filename, availableImages);
             }
+            drawFrozenImage(img, imageVisibility);
+        }
+    }
+}
+
+/**
+ * Clear the wall and forget everyone being tracked ('r' and the remote control)
+ */
+function resetInstallation() {
+    interaction.reset();
+    wall.clear();
+}
+
+/**
+ * Take the newest capture off the wall
+ * @returns {number|null} Its id, or null if the wall is empty
+ */
+function deleteLastCapture() {
+    const last = wall.objects[wall.objects.length - 1];
+    if (!last) return null;
+
+    wall.remove([last]);
+    return last.id;
+}
+
+/**
+ * Stop or resume pose detection; tracked people time out while paused
+ */
+function setDetectionPaused(paused) {
+    if (paused === detectionPaused) return;
+    detectionPaused = paused;
+
+    if (paused) {
+        poses = [];
+    }
+    if (bodyPose && video) {
+        if (paused) {
+            bodyPose.detectStop();
+        } else {
+            bodyPose.detectStart(video, gotPoses);
         }
     }
 }
 
+/**
+ * What the remote-control commands act on (see remoteControl.js)
+ */
+function createRemoteHooks() {
+    return {
+        getStatus: () => ({
+            mode: interaction.mode,
+            paused: detectionPaused,
+            activePeople: interaction.getActivePeopleCount(),
+            countdownRunning: interaction.mode === "countdown" ? interaction.isCountdownRunning() : null,
+            wallObjects: wall.objects.length,
+            maxObjects: CONFIG.wall.maxObjects,
+            frameRate: Math.round(frameRate()),
+            capture: getCaptureInfo(),
+            timelapseRecording: isTimelapseRecording(),
+            attract: attract ? attract.isActive() : null,
+            uptime: Math.round(millis())
+        }),
+        reset: resetInstallation,
+        capture: () => {
+            const people = interaction.getActivePeopleCount();
+            interaction.forceCapture();
+            return people;
+        },
+        deleteLast: deleteLastCapture,
+        setPaused: setDetectionPaused,
+        setConfig: setConfigLive
+    };
+}
+
 // Development helpers - enhanced for multi-person debugging
 function keyPressed() {
+    if (!installationStarted) return;
+    
     if (key === 'r' || key === 'R') {
         // Reset everything
-        activeCountdowns.clear();
-        commemorativeObjects = [];
-        sharedCountdownActive = false;
-        sharedCountdownStartTime = null;
-        nextColorIndex = 0;
+        resetInstallation();
     }
     if (key === 'c' || key === 'C') {
         // Force capture (for testing)
-        if (sharedCountdownActive) {
-            captureAllActiveInteractions();
-            sharedCountdownActive = false;
-            sharedCountdownStartTime = null;
+        interaction.forceCapture();
+    }
+    if (key === 'p' || key === 'P') {
+        // Toggle pose recording (downloads a replayable JSON file when stopped)
+        if (isPoseRecording()) {
+            stopPoseRecording();
+        } else {
+            startPoseRecording(getVideoSize());
+        }
+    }
+    if (key === 't' || key === 'T') {
+        // Toggle the time-lapse (downloads a zip or stops writing to the helper)
+        if (isTimelapseRecording()) {
+            stopTimelapse();
+        } else {
+            startTimelapse();
         }
     }
     if (key === 'i' || key === 'I') {
-        // Debug info
-        console.log(`Active people: ${activeCountdowns.size}`);
-        console.log(`Countdown active: ${sharedCountdownActive}`);
-        console.log(`Commemorative objects: ${commemorativeObjects.length}`);
+        // Toggle the diagnostics panel (see diagnostics.js)
+        toggleDiagnostics();
+    }
+    if ((key === 'a' || key === 'A') && attract) {
+        // Start attract mode without waiting for the idle time
+        attract.start();
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,80 @@
+/*
+ * Tests for the timing and outline tracing in attractMode.js
+ * Run with: node --test test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {createAttractMode, getAttractReplayStep, getAttractHighlight, trimContours} = require("../attractMode.js");
+
+function createClock() {
+    const clock = {time: 0, now: () => clock.time};
+    return clock;
+}
+
+test("attract mode starts after the idle time and stops as soon as someone is there", () => {
+    const clock = createClock();
+    const attract = createAttractMode({now: clock.now, idleTime: 1000});
+
+    clock.time = 999;
+    attract.update(0);
+    assert.equal(attract.isActive(), false);
+
+    clock.time = 1000;
+    attract.update(0);
+    assert.equal(attract.isActive(), true);
+    clock.time = 1500;
+    assert.equal(attract.getElapsed(), 500);
+
+    // A pose result wakes it before the tracker has counted anyone
+    attract.wake();
+    assert.equal(attract.isActive(), false);
+    assert.equal(attract.getElapsed(), 0);
+
+    // The idle time starts over from the last person seen
+    attract.update(1);
+    clock.time = 2400;
+    attract.update(0);
+    assert.equal(attract.isActive(), false);
+    clock.time = 2500;
+    attract.update(0);
+    assert.equal(attract.isActive(), true);
+});
+
+test("captures redraw one after the other, outline first, then photos", () => {
+    const settings = {drawDuration: 1000, holdDuration: 500};
+
+    assert.equal(getAttractReplayStep(0, 0, settings), null);
+    assert.deepEqual(getAttractReplayStep(350, 3, settings), {index: 0, outlineProgress: 0.5, imageProgress: 0});
+
+    const fadingIn = getAttractReplayStep(1500 + 850, 3, settings);
+    assert.equal(fadingIn.index, 1);
+    assert.equal(fadingIn.outlineProgress, 1);
+    assert.ok(Math.abs(fadingIn.imageProgress - 0.5) < 1e-9);
+
+    // Held, then back to the oldest after the newest
+    assert.deepEqual(getAttractReplayStep(1200, 3, settings), {index: 0, outlineProgress: 1, imageProgress: 1});
+    assert.equal(getAttractReplayStep(4500, 3, settings).index, 0);
+});
+
+test("highlighted photos fade in and out over their turn", () => {
+    assert.equal(getAttractHighlight(0, 0, 1000), null);
+    assert.deepEqual(getAttractHighlight(0, 4, 1000), {index: 0, alpha: 0});
+    assert.deepEqual(getAttractHighlight(1500, 4, 1000), {index: 1, alpha: 1});
+    assert.ok(Math.abs(getAttractHighlight(4900, 4, 1000).alpha - 0.5) < 1e-9);
+});
+
+test("outlines are traced along their length, closing segment included", () => {
+    const square = [{x: 0, y: 0}, {x: 10, y: 0}, {x: 10, y: 10}, {x: 0, y: 10}];
+    const line = [{x: 100, y: 0}, {x: 110, y: 0}];
+
+    assert.deepEqual(trimContours([square, line], 0), []);
+    assert.deepEqual(trimContours([square, line], 0.25), [[{x: 0, y: 0}, {x: 10, y: 0}, {x: 10, y: 5}]]);
+
+    // The square (40) and half of the line's 20 there and back
+    const traced = trimContours([square, line], 50 / 60);
+    assert.deepEqual(traced[0], [...square, {x: 0, y: 0}]);
+    assert.deepEqual(traced[1], [{x: 100, y: 0}, {x: 110, y: 0}]);
+
+    assert.equal(trimContours([square, line, [], null], 1).length, 2);
+});
@@ -0,0 +1,117 @@
+/*
+ * Tests for the mask split and the capture queue in bodySegmentation.js
+ * Run with: node --test test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const {splitMaskByPeople, buildPersonSkeleton, distanceToSkeletonSquared} = require("../bodySegmentation.js");
+
+// BodyPix "background" masks: the person is transparent
+const isForeground = alpha => alpha < 128;
+
+/**
+ * An RGBA mask that is background everywhere except inside the given rectangles
+ */
+function makeMask(width, height, rects) {
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const inside = rects.some(r => x >= r.x && x < r.x + r.width && y >= r.y && y < r.y + r.height);
+            pixels[(y * width + x) * 4 + 3] = inside ? 0 : 255;
+        }
+    }
+    return {pixels, width, height};
+}
+
+function makePerson(personId, x) {
+    return {
+        personId,
+        keypoints: [
+            {name: "nose", x, y: 10},
+            {name: "left_shoulder", x: x - 8, y: 20},
+            {name: "right_shoulder", x: x + 8, y: 20}
+        ]
+    };
+}
+
+function foregroundColumns(personMask) {
+    const columns = new Set();
+    for (let i = 3; i < personMask.pixels.length; i += 4) {
+        if (isForeground(personMask.pixels[i])) columns.add(((i - 3) / 4) % personMask.width);
+    }
+    return [...columns].sort((a, b) => a - b);
+}
+
+test("a skeleton joins head, shoulders and wrists and hangs a body axis to the floor", () => {
+    const segments = buildPersonSkeleton([
+        ...makePerson(1, 50).keypoints,
+        {name: "left_wrist", x: 30, y: 40}
+    ], 100);
+
+    assert.deepEqual(segments, [
+        {x1: 50, y1: 10, x2: 50, y2: 20},
+        {x1: 42, y1: 20, x2: 58, y2: 20},
+        {x1: 42, y1: 20, x2: 30, y2: 40},
+        {x1: 50, y1: 20, x2: 50, y2: 100}
+    ]);
+});
+
+test("distances are measured to the nearest point of the nearest bone", () => {
+    const segments = [{x1: 0, y1: 0, x2: 10, y2: 0}, {x1: 20, y1: 0, x2: 20, y2: 10}];
+
+    assert.equal(distanceToSkeletonSquared(5, 3, segments), 9);
+    assert.equal(distanceToSkeletonSquared(-3, 4, segments), 25);
+    assert.equal(distanceToSkeletonSquared(22, 5, segments), 4);
+});
+
+test("every foreground pixel of a merged silhouette goes to the nearest skeleton", () => {
+    const mask = makeMask(100, 60, [{x: 10, y: 5, width: 80, height: 50}]);
+    // Halfway between the two skeletons is x = 50.5
+    const [left, right] = splitMaskByPeople(mask, [makePerson(1, 30), makePerson(2, 71)], isForeground);
+
+    assert.equal(left.personId, 1);
+    assert.equal(right.personId, 2);
+    assert.deepEqual(foregroundColumns(left), Array.from({length: 41}, (_, i) => 10 + i));
+    assert.deepEqual(foregroundColumns(right), Array.from({length: 39}, (_, i) => 51 + i));
+
+    // Background stays background in both
+    assert.equal(left.pixels[3], 255);
+    assert.equal(right.pixels[3], 255);
+});
+
+/**
+ * The capture functions with ml5 stubbed out
+ * The model "loads" when the test calls loadModel(), and never appears.
+ */
+function loadCaptureScripts() {
+    const pendingLoads = [];
+    const context = vm.createContext({
+        performance,
+        isReplayActive: () => false,
+        ml5: {bodySegmentation: (name, options, loaded) => { pendingLoads.push(loaded); return null; }}
+    });
+    for (const file of ["config.js", "bodySegmentation.js"]) {
+        vm.runInContext(fs.readFileSync(path.join(__dirname, "..", file), "utf8"), context, {filename: file});
+    }
+    return {context, loadModel: () => pendingLoads.shift()()};
+}
+
+test("captures fail instead of hanging when the model is missing, queued ones included", () => {
+    const {context, loadModel} = loadCaptureScripts();
+    const results = [];
+
+    context.initializeBodySegmentationForCapture({}, result => results.push(["first", result]));
+    context.initializeBodySegmentationForCapture({}, result => results.push(["second", result]));
+    assert.deepEqual(results, []);
+
+    loadModel();
+    assert.deepEqual(results, [["first", null]]);
+    loadModel();
+    assert.deepEqual(results, [["first", null], ["second", null]]);
+    // Top-level lets are not properties of the context
+    assert.equal(vm.runInContext("captureInProgress", context), false);
+});
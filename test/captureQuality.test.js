@@ -0,0 +1,92 @@
+/*
+ * Tests for the checks in captureQuality.js
+ * Run with: node --test test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {createCaptureQualityGate, getMaskCoverage} = require("../captureQuality.js");
+
+const SETTINGS = {
+    minMaskCoverage: 0.05,
+    minKeypointConfidence: 0.5,
+    frameMargin: 10,
+    minBodySize: 0.2,
+    maxMotion: 250,
+    minOutlinePoints: 4
+};
+
+function createGate(settings = SETTINGS, frame = {x: 0, y: 0, width: 640, height: 480}) {
+    return createCaptureQualityGate(settings, {
+        getFrameRect: () => frame,
+        countOutlinePoints: contours => contours.reduce((sum, contour) => sum + contour.length, 0)
+    });
+}
+
+function makePerson(personId, x, y, size, confidence = 0.9, motion = 0) {
+    return {
+        personId,
+        motion,
+        keypoints: [
+            {name: "nose", x, y, confidence},
+            {name: "left_wrist", x: x - size / 2, y: y + size, confidence},
+            {name: "right_wrist", x: x + size / 2, y: y + size, confidence}
+        ]
+    };
+}
+
+test("people who are confident, in frame, large enough and still pass", () => {
+    assert.deepEqual(createGate().checkPeople([makePerson(1, 320, 100, 200), makePerson(2, 150, 150, 150)]), []);
+});
+
+test("each failing check is reported with the person it concerns", () => {
+    const gate = createGate();
+
+    assert.deepEqual(gate.checkPeople([makePerson(1, 320, 100, 200, 0.3)]), ["person 1: keypoint confidence 0.30 < 0.5"]);
+    assert.deepEqual(gate.checkPeople([makePerson(2, 320, 5, 200)]), ["person 2: too close to the edge of the frame"]);
+    assert.deepEqual(gate.checkPeople([makePerson(3, 320, 100, 40)]), ["person 3: too small (8% of the frame)"]);
+    assert.deepEqual(gate.checkPeople([makePerson(4, 320, 100, 200, 0.9, 600)]), ["person 4: moving (600 px/s)"]);
+
+    // A wrist out on the right
+    assert.equal(gate.checkPeople([makePerson(5, 580, 100, 200)]).length, 1);
+});
+
+test("margin and size are measured against a letterboxed camera picture", () => {
+    // A 4:3 camera contained in a 16:9 canvas: bars of 160px left and right
+    const gate = createGate(SETTINGS, {x: 160, y: 0, width: 640, height: 480});
+
+    assert.deepEqual(gate.checkPeople([makePerson(1, 480, 100, 200)]), []);
+    // Far from the canvas edge, but cut off at the camera's
+    assert.deepEqual(gate.checkPeople([makePerson(2, 265, 100, 200)]), ["person 2: too close to the edge of the frame"]);
+
+    // Bars above and below in a 600px high canvas: 300px is 62% of the picture, though only half the canvas
+    const strict = createGate({...SETTINGS, minBodySize: 0.6}, {x: 0, y: 60, width: 640, height: 480});
+    assert.deepEqual(strict.checkPeople([makePerson(3, 320, 100, 300)]), []);
+});
+
+test("segmentation is checked for a mask, its coverage and every person's outline", () => {
+    const gate = createGate();
+    const people = [makePerson(1, 320, 100, 200), makePerson(2, 150, 150, 150)];
+    const square = [{x: 0, y: 0}, {x: 1, y: 0}, {x: 1, y: 1}, {x: 0, y: 1}];
+
+    assert.deepEqual(gate.checkSegmentation(people, null), ["no segmentation"]);
+    assert.deepEqual(gate.checkSegmentation(people, [
+        {personId: 1, contours: [square]},
+        {personId: 2, contours: [square]}
+    ], {maskCoverage: 0.2}), []);
+    assert.deepEqual(gate.checkSegmentation(people, [
+        {personId: 1, contours: [square.slice(0, 3)]}
+    ], {maskCoverage: 0.01}), [
+        "mask coverage 1.0% < 5.0%",
+        "person 1: outline too short (3 points)",
+        "person 2: outline too short (0 points)"
+    ]);
+});
+
+test("mask coverage is the share of foreground pixels", () => {
+    // Four pixels, one of them opaque
+    const pixels = new Uint8ClampedArray([0, 0, 0, 255, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+
+    assert.equal(getMaskCoverage({pixels}, alpha => alpha >= 128), 0.25);
+    assert.equal(getMaskCoverage({pixels: new Uint8ClampedArray(0)}, () => true), 0);
+});
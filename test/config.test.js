@@ -0,0 +1,94 @@
+/*
+ * Tests for config.js validation and overrides
+ * Run with: node --test test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    DEFAULT_CONFIG,
+    CONFIG_SCHEMA,
+    buildConfig,
+    applyConfigValue,
+    parseConfigOverrides
+} = require("../config.js");
+
+test("every default value passes its own schema", () => {
+    const {errors} = buildConfig({});
+    assert.deepEqual(errors, []);
+});
+
+test("every schema entry points at a default value", () => {
+    for (const path of Object.keys(CONFIG_SCHEMA)) {
+        const value = path.split(".").reduce((node, key) => node && node[key], DEFAULT_CONFIG);
+        assert.notEqual(value, undefined, `${path} has no default`);
+    }
+});
+
+test("file values override defaults without touching siblings", () => {
+    const {config, errors} = buildConfig({countdown: {duration: 5000}, contours: {smooth: {method: "catmullRom"}}});
+
+    assert.deepEqual(errors, []);
+    assert.equal(config.countdown.duration, 5000);
+    assert.equal(config.contours.smooth.method, "catmullRom");
+    assert.equal(config.contours.smooth.iterations, DEFAULT_CONFIG.contours.smooth.iterations);
+});
+
+test("URL overrides win over the file", () => {
+    const overrides = parseConfigOverrides("?wall.maxObjects=25&people.colors=[[255,0,0]]&replay=rec.json");
+    const {config, errors} = buildConfig({wall: {maxObjects: 12}}, overrides);
+
+    assert.deepEqual(errors, []);
+    assert.equal(config.wall.maxObjects, 25);
+    assert.deepEqual(config.people.colors, [[255, 0, 0]]);
+});
+
+test("plain-text override values are kept as strings", () => {
+    const overrides = parseConfigOverrides("?segmentation.maskType=body");
+    assert.deepEqual(overrides, {"segmentation.maskType": "body"});
+});
+
+test("bad values are reported and replaced by their default", () => {
+    const {config, errors} = buildConfig({
+        countdown: {duration: -5},
+        wall: {maxObjects: 2.5},
+        people: {colors: [[300, 0, 0]]},
+        video: {mirror: "yes"}
+    });
+
+    assert.equal(errors.length, 4);
+    assert.equal(config.countdown.duration, DEFAULT_CONFIG.countdown.duration);
+    assert.equal(config.wall.maxObjects, DEFAULT_CONFIG.wall.maxObjects);
+    assert.deepEqual(config.people.colors, DEFAULT_CONFIG.people.colors);
+    assert.equal(config.video.mirror, DEFAULT_CONFIG.video.mirror);
+    assert.match(errors[0], /countdown\.duration/);
+});
+
+test("values outside a fixed list are rejected", () => {
+    const {errors} = buildConfig({}, {"contours.smooth.method": "bezier"});
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /not one of/);
+});
+
+test("unknown settings are reported", () => {
+    const {errors} = buildConfig({countdown: {durration: 4000}}, {"wall.size": 3});
+    assert.equal(errors.length, 2);
+    assert.match(errors[0], /countdown\.durration/);
+    assert.match(errors[1], /wall\.size/);
+});
+
+test("single settings can be changed on a built config, but only to valid values", () => {
+    const {config} = buildConfig({});
+
+    assert.equal(applyConfigValue(config, "countdown.duration", 5000), null);
+    assert.equal(config.countdown.duration, 5000);
+
+    assert.match(applyConfigValue(config, "countdown.duration", -1), /below the minimum/);
+    assert.match(applyConfigValue(config, "countdown.durration", 10), /unknown setting/);
+    assert.equal(config.countdown.duration, 5000);
+});
+
+test("the shipped config.json is valid", () => {
+    const {errors} = buildConfig(require("../config.json"));
+    assert.deepEqual(errors, []);
+});
@@ -0,0 +1,55 @@
+/*
+ * Tests for the p5-free parts of diagnostics.js
+ * Run with: node --test test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {createRateMeter, describeInteractionState} = require("../diagnostics.js");
+const {createCommemorativeWall, createCountdownInteraction, countdownSettingsFromConfig} = require("../interactionCore.js");
+const {DEFAULT_CONFIG} = require("../config.js");
+
+function makePose(id) {
+    return {
+        id: id,
+        keypoints: ["nose", "left_shoulder", "right_shoulder", "left_wrist", "right_wrist"]
+            .map((name, i) => ({name, x: 100 + i * 10, y: 200, confidence: 0.9}))
+    };
+}
+
+function makeInteraction(clock, config) {
+    return createCountdownInteraction({
+        wall: createCommemorativeWall({maxObjects: 5}),
+        now: () => clock.time,
+        wallClock: () => clock.time,
+        captureOutline: (people, done) => done(null),
+        placeImages: () => {},
+        config: {...countdownSettingsFromConfig(DEFAULT_CONFIG), holdStill: false, ...config}
+    });
+}
+
+test("the rate meter counts events in its window", () => {
+    const meter = createRateMeter(1000);
+    for (let time = 0; time < 2000; time += 20) meter.tick(time);
+
+    assert.equal(meter.rate(1980), 50);
+    assert.equal(meter.rate(5000), 0);
+});
+
+test("the countdown state shows idle, then each person's progress", () => {
+    const clock = {time: 0};
+    const interaction = makeInteraction(clock);
+
+    assert.equal(describeInteractionState(interaction), "shared countdown: idle");
+
+    interaction.handlePoses([makePose(4)]);
+    clock.time += 1500;
+    assert.equal(describeInteractionState(interaction), "shared countdown: #4 50%");
+});
+
+test("the trigger is named for per-person countdowns and gestures", () => {
+    const clock = {time: 0};
+
+    assert.match(describeInteractionState(makeInteraction(clock, {perPersonCountdowns: true})), /^per-person countdown/);
+    assert.match(describeInteractionState(makeInteraction(clock, {captureTrigger: "gesture"})), /^gesture/);
+});
@@ -0,0 +1,258 @@
+/*
+ * Tests for the outline tracing, clean-up and per-person outlines in edgeDetection.js
+ * Run with: node --test test/
+ *
+ * The tracer reads CONFIG and the split from bodySegmentation.js as
+ * globals, so the scripts are loaded into one context like index.html does.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+function loadScripts(...files) {
+    const context = vm.createContext({});
+    for (const file of files) {
+        vm.runInContext(fs.readFileSync(path.join(__dirname, "..", file), "utf8"), context, {filename: file});
+    }
+    return context;
+}
+
+const scripts = loadScripts("config.js", "bodySegmentation.js", "edgeDetection.js");
+
+/**
+ * A p5.Graphics-like mask, transparent (a person) inside the rectangles
+ * and opaque again inside the holes
+ */
+function makeMask(width, height, rects, holes = []) {
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    const within = (r, x, y) => x >= r.x && x < r.x + r.width && y >= r.y && y < r.y + r.height;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const inside = rects.some(r => within(r, x, y)) && !holes.some(r => within(r, x, y));
+            pixels[(y * width + x) * 4 + 3] = inside ? 0 : 255;
+        }
+    }
+    return {pixels, width, height, loadPixels() {}, updatePixels() {}};
+}
+
+function traceMask(mask) {
+    return Array.from(scripts.traceMaskContours(mask.pixels, mask.width, mask.height));
+}
+
+/**
+ * Whether each point leads to the next along the pixel boundary: straight
+ * runs along an axis, or the half-pixel diagonal marching squares cuts corners with
+ */
+function followsBoundary(contour) {
+    return contour.every((point, i) => {
+        const next = contour[(i + 1) % contour.length];
+        const dx = Math.abs(next.x - point.x);
+        const dy = Math.abs(next.y - point.y);
+        return (dx === 0) !== (dy === 0) || (dx === 0.5 && dy === 0.5);
+    });
+}
+
+function square(x, y, size) {
+    return [{x, y}, {x: x + size, y}, {x: x + size, y: y + size}, {x, y: y + size}];
+}
+
+const CONTOUR_OPTIONS = {
+    islands: {enabled: true, minArea: 50},
+    holes: {enabled: true, minArea: 20},
+    straightArtifacts: {enabled: true, minCompactness: 0.1},
+    simplify: {enabled: false, tolerance: 1.5},
+    smooth: {enabled: false, method: "chaikin", iterations: 2, segments: 4}
+};
+
+function withOptions(changes) {
+    return {...CONTOUR_OPTIONS, ...changes};
+}
+
+test("a solid blob traces as one closed, ordered outline", () => {
+    const contours = traceMask(makeMask(30, 20, [{x: 5, y: 5, width: 10, height: 8}]));
+
+    assert.equal(contours.length, 1);
+    const outline = contours[0];
+    assert.ok(followsBoundary(outline));
+
+    // Only the corners are kept, and the loop encloses the blob less its cut corners
+    assert.equal(outline.length, 8);
+    assert.equal(scripts.contourSignedArea(outline), 10 * 8 - 4 * 0.125);
+});
+
+test("a hole traces as a second loop wound the other way", () => {
+    const mask = makeMask(40, 30, [{x: 5, y: 5, width: 20, height: 16}], [{x: 12, y: 10, width: 6, height: 6}]);
+    const contours = traceMask(mask);
+
+    assert.equal(contours.length, 2);
+    assert.ok(contours.every(followsBoundary));
+
+    const areas = contours.map(contour => scripts.contourSignedArea(contour)).sort((a, b) => a - b);
+    assert.equal(areas[0], -(6 * 6 - 4 * 0.125));
+    assert.equal(areas[1], 20 * 16 - 4 * 0.125);
+});
+
+test("specks smaller than minContourPoints are not traced", () => {
+    const contours = traceMask(makeMask(20, 20, [{x: 5, y: 5, width: 1, height: 1}]));
+    assert.equal(contours.length, 0);
+});
+
+test("collinear points are removed without changing the shape", () => {
+    const contour = [
+        {x: 0, y: 0}, {x: 5, y: 0}, {x: 10, y: 0},
+        {x: 10, y: 5}, {x: 10, y: 10},
+        {x: 5, y: 10}, {x: 0, y: 10}, {x: 0, y: 5}
+    ];
+    const kept = scripts.removeCollinearPoints(contour);
+
+    assert.deepEqual(Array.from(kept, point => [point.x, point.y]), [[0, 0], [10, 0], [10, 10], [0, 10]]);
+});
+
+test("small islands and small holes are filtered out", () => {
+    const bigOutline = square(0, 0, 20);
+    const smallIsland = square(40, 0, 5);
+    const bigHole = square(2, 2, 8).reverse();
+    const smallHole = square(14, 14, 3).reverse();
+
+    const kept = scripts.filterContours([bigOutline, smallIsland, bigHole, smallHole], CONTOUR_OPTIONS);
+    assert.deepEqual(Array.from(kept), [bigOutline, bigHole]);
+
+    // Each stage can be switched off
+    const withIslands = scripts.filterContours([smallIsland, smallHole],
+        withOptions({islands: {enabled: false, minArea: 50}}));
+    assert.deepEqual(Array.from(withIslands), [smallIsland]);
+    const withHoles = scripts.filterContours([smallIsland, smallHole],
+        withOptions({holes: {enabled: false, minArea: 20}}));
+    assert.deepEqual(Array.from(withHoles), [smallHole]);
+});
+
+test("long thin slivers are filtered out however large they are", () => {
+    const sliver = [{x: 0, y: 0}, {x: 400, y: 0}, {x: 400, y: 2}, {x: 0, y: 2}];
+    assert.ok(scripts.contourCompactness(sliver) < CONTOUR_OPTIONS.straightArtifacts.minCompactness);
+
+    assert.equal(scripts.filterContours([sliver], CONTOUR_OPTIONS).length, 0);
+    const unfiltered = scripts.filterContours([sliver],
+        withOptions({straightArtifacts: {enabled: false, minCompactness: 0.1}}));
+    assert.equal(unfiltered.length, 1);
+});
+
+test("simplifying drops points within the tolerance and keeps the corners", () => {
+    // A 20 px square whose edges wobble by half a pixel
+    const wobbly = [];
+    for (let i = 0; i < 20; i++) wobbly.push({x: i, y: (i % 2) * 0.5});
+    for (let i = 0; i < 20; i++) wobbly.push({x: 20 - (i % 2) * 0.5, y: i});
+    for (let i = 0; i < 20; i++) wobbly.push({x: 20 - i, y: 20 - (i % 2) * 0.5});
+    for (let i = 0; i < 20; i++) wobbly.push({x: (i % 2) * 0.5, y: 20 - i});
+
+    const simplified = scripts.smoothContours([wobbly], withOptions({simplify: {enabled: true, tolerance: 1}}))[0];
+    assert.deepEqual(Array.from(simplified, point => [point.x, point.y]), [[0, 0], [20, 0], [20, 20], [0, 20]]);
+
+    // A tolerance below the wobble keeps it
+    const kept = scripts.smoothContours([wobbly], withOptions({simplify: {enabled: true, tolerance: 0.25}}))[0];
+    assert.ok(kept.length > 40, `kept ${kept.length} points`);
+});
+
+/**
+ * A smoothed loop is still closed: its last point leads back to the first
+ * no further than any other step, and nothing is repeated at the seam
+ */
+function assertClosedLoop(contour) {
+    const step = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+    const steps = contour.map((point, i) => step(point, contour[(i + 1) % contour.length]));
+    const seam = steps[steps.length - 1];
+
+    assert.ok(seam > 0, "the first point is repeated at the end");
+    assert.ok(seam <= Math.max(...steps.slice(0, -1)) + 1e-9, `seam step ${seam} is the longest`);
+}
+
+test("Chaikin smoothing keeps the loop closed and rounds every corner", () => {
+    const options = withOptions({smooth: {enabled: true, method: "chaikin", iterations: 2, segments: 4}});
+    const smoothed = scripts.smoothContours([square(0, 0, 20)], options)[0];
+
+    assert.equal(smoothed.length, 4 * 2 * 2);
+    assertClosedLoop(smoothed);
+    const isCorner = point => (point.x === 0 || point.x === 20) && (point.y === 0 || point.y === 20);
+    assert.ok(!smoothed.some(isCorner));
+    assert.ok(scripts.contourSignedArea(smoothed) > 0);
+});
+
+test("Catmull-Rom smoothing keeps the loop closed and passes through the corners", () => {
+    const options = withOptions({smooth: {enabled: true, method: "catmullRom", iterations: 2, segments: 4}});
+    const corners = square(0, 0, 20);
+    const smoothed = scripts.smoothContours([corners], options)[0];
+
+    assert.equal(smoothed.length, 4 * 4);
+    assertClosedLoop(smoothed);
+    for (const corner of corners) {
+        assert.ok(smoothed.some(point => point.x === corner.x && point.y === corner.y));
+    }
+    assert.ok(scripts.contourSignedArea(smoothed) > 0);
+});
+
+test("post-processing filters before it smooths", () => {
+    const options = withOptions({smooth: {enabled: true, method: "chaikin", iterations: 1, segments: 4}});
+    const contours = scripts.postProcessContours([square(0, 0, 20), square(40, 0, 5)], options);
+
+    assert.equal(contours.length, 1);
+    assert.equal(contours[0].length, 8);
+});
+
+function makePerson(personId, x, colorIndex = 0) {
+    return {
+        personId,
+        assignedColor: [255, 0, 0],
+        colorIndex,
+        keypoints: [
+            {name: "nose", x, y: 10},
+            {name: "left_shoulder", x: x - 8, y: 20},
+            {name: "right_shoulder", x: x + 8, y: 20}
+        ]
+    };
+}
+
+function getXRange(contours) {
+    const xs = contours.flat().map(point => point.x);
+    return [Math.min(...xs), Math.max(...xs)];
+}
+
+test("two people in one merged silhouette get one outline each", () => {
+    const mask = makeMask(100, 60, [{x: 10, y: 5, width: 80, height: 50}]);
+    const outlines = scripts.extractPersonOutlinesFromMask(mask, [makePerson(1, 30), makePerson(2, 70, 1)]);
+
+    // Arrays from the script context have their own prototypes
+    assert.deepEqual(Array.from(outlines, outline => outline.personId), [1, 2]);
+    assert.equal(outlines[1].colorIndex, 1);
+
+    const [leftStart, leftEnd] = getXRange(outlines[0].contours);
+    const [rightStart, rightEnd] = getXRange(outlines[1].contours);
+    assert.ok(leftStart < 15 && leftEnd <= 52, `left outline spans ${leftStart}..${leftEnd}`);
+    assert.ok(rightStart >= 48 && rightEnd > 85, `right outline spans ${rightStart}..${rightEnd}`);
+});
+
+test("capturing one of two people leaves the other one out of outline and mask", () => {
+    const mask = makeMask(100, 60, [{x: 10, y: 5, width: 80, height: 50}]);
+    const captured = makePerson(1, 30);
+    const bystander = {personId: 2, keypoints: makePerson(2, 71).keypoints};
+    const outlines = scripts.extractPersonOutlinesFromMask(mask, [captured], [bystander]);
+
+    assert.equal(outlines.length, 1);
+    assert.equal(outlines[0].personId, 1);
+    const [start, end] = getXRange(outlines[0].contours);
+    assert.ok(start < 15 && end <= 52, `outline spans ${start}..${end}`);
+
+    // The bystander's half is background now, for the collage and the coverage
+    const alphaAt = (x, y) => mask.pixels[(y * mask.width + x) * 4 + 3];
+    assert.equal(alphaAt(30, 30), 0);
+    assert.equal(alphaAt(70, 30), 255);
+});
+
+test("a single person is traced from the whole mask", () => {
+    const mask = makeMask(100, 60, [{x: 10, y: 5, width: 30, height: 50}]);
+    const outlines = scripts.extractPersonOutlinesFromMask(mask, [makePerson(7, 25)]);
+
+    assert.equal(outlines.length, 1);
+    assert.equal(outlines[0].personId, 7);
+});
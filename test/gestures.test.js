@@ -0,0 +1,108 @@
+/*
+ * Tests for gestures.js
+ * Run with: node --test test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {GESTURE_DEFINITIONS, countSwings, createGestureRecognizer} = require("../gestures.js");
+
+/**
+ * Keypoints of a person 100px wide at the shoulders, with the wrists wherever we want them
+ */
+function body(leftWrist, rightWrist, confidence = 0.9) {
+    return [
+        {name: "nose", x: 300, y: 120, confidence},
+        {name: "left_shoulder", x: 250, y: 200, confidence},
+        {name: "right_shoulder", x: 350, y: 200, confidence},
+        {name: "left_wrist", x: leftWrist[0], y: leftWrist[1], confidence},
+        {name: "right_wrist", x: rightWrist[0], y: rightWrist[1], confidence}
+    ];
+}
+
+const armsDown = body([240, 380], [360, 380]);
+const handsUp = body([260, 60], [340, 60]);
+const tPose = body([60, 210], [540, 190]);
+
+function createHarness(gestures) {
+    const clock = {time: 0};
+    const recognizer = createGestureRecognizer({now: () => clock.time, gestures});
+    return {
+        clock,
+        recognizer,
+        /** Feed keypoints every 50ms and return the last result (completed if any step completed) */
+        hold(duration, keypoints) {
+            let result;
+            let completed = false;
+            for (let t = 0; t < duration; t += 50) {
+                clock.time += 50;
+                result = recognizer.update(1, typeof keypoints === "function" ? keypoints(clock.time) : keypoints);
+                completed = completed || result.completed;
+            }
+            return {...result, completed};
+        }
+    };
+}
+
+test("every gesture is plain data with a hold time and a confidence threshold", () => {
+    for (const [name, gesture] of Object.entries(GESTURE_DEFINITIONS)) {
+        assert.equal(typeof gesture.holdTime, "number", name);
+        assert.equal(typeof gesture.minConfidence, "number", name);
+        assert.ok(Array.isArray(gesture.conditions) && gesture.conditions.length > 0, name);
+        assert.doesNotThrow(() => JSON.stringify(gesture));
+    }
+});
+
+test("hands up completes after its hold time and reports progress on the way", () => {
+    const harness = createHarness(["handsUp"]);
+
+    const halfway = harness.hold(500, handsUp);
+    assert.equal(halfway.gesture, "handsUp");
+    assert.ok(halfway.progress > 0.4 && halfway.progress < 0.6);
+    assert.equal(halfway.completed, false);
+
+    assert.equal(harness.hold(550, handsUp).completed, true);
+});
+
+test("letting go resets the hold, and a completed gesture must be released first", () => {
+    const harness = createHarness(["handsUp"]);
+
+    harness.hold(800, handsUp);
+    assert.equal(harness.hold(50, armsDown).progress, 0);
+
+    assert.equal(harness.hold(1050, handsUp).completed, true);
+    // Still holding after the capture does not trigger again
+    assert.equal(harness.hold(2000, handsUp).completed, false);
+
+    harness.hold(100, armsDown);
+    assert.equal(harness.hold(1050, handsUp).completed, true);
+});
+
+test("a T-pose needs both wrists level with the shoulders and spread wide", () => {
+    const harness = createHarness(["tPose"]);
+
+    assert.equal(harness.hold(1050, handsUp).gesture, null);
+    assert.equal(harness.hold(1050, body([200, 200], [400, 200])).gesture, null); // Not wide enough
+    assert.equal(harness.hold(1050, tPose).completed, true);
+});
+
+test("gestures ignore keypoints below their confidence threshold", () => {
+    const harness = createHarness(["handsUp"]);
+
+    assert.equal(harness.hold(2000, body([260, 60], [340, 60], 0.3)).gesture, null);
+});
+
+test("a raised hand swinging side to side is a wave", () => {
+    const harness = createHarness(["wave"]);
+    // Right wrist above the shoulder, swinging ±60px (0.6 shoulder widths) every 300ms
+    const waving = time => body([240, 380], [380 + (Math.floor(time / 300) % 2 ? 60 : -60), 150]);
+
+    assert.equal(harness.hold(1500, body([240, 380], [380, 150])).gesture, null); // Raised but still
+    assert.equal(harness.hold(2000, waving).completed, true);
+});
+
+test("countSwings counts direction changes larger than the amplitude", () => {
+    assert.equal(countSwings([0, 10, 0, 10, 0], 5), 3);
+    assert.equal(countSwings([0, 2, 0, 2, 0], 5), 0);
+    assert.equal(countSwings([0, 10, 20, 30], 5), 0);
+});
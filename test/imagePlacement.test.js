@@ -0,0 +1,177 @@
+/*
+ * Tests for the placement strategies in imagePlacement.js
+ * Run with: node --test test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {DEFAULT_CONFIG} = require("../config.js");
+const {
+    IMAGE_PLACEMENT_STRATEGIES,
+    registerPlacementStrategy,
+    getPlacementAnchors,
+    samplePointsAlongContour,
+    createRectIndex,
+    getOverlapRatio,
+    packPlacedImages
+} = require("../imagePlacement.js");
+
+const person = {
+    personId: 1,
+    keypoints: [
+        {name: "nose", x: 300, y: 120},
+        {name: "left_shoulder", x: 260, y: 200},
+        {name: "right_shoulder", x: 340, y: 200},
+        {name: "left_wrist", x: 240, y: 320},
+        {name: "right_wrist", x: 360, y: 320}
+    ]
+};
+
+const square = {personId: 1, contours: [[{x: 0, y: 0}, {x: 100, y: 0}, {x: 100, y: 100}, {x: 0, y: 100}]]};
+const middle = () => 0.5; // No jitter, sizes halfway between min and max
+
+function params(name) {
+    return DEFAULT_CONFIG.placement[name];
+}
+
+test("every configurable strategy is registered", () => {
+    for (const name of ["onKeypoint", "horizonLine", "shoulderCentre", "alongOutline", "radialBurst"]) {
+        assert.equal(typeof IMAGE_PLACEMENT_STRATEGIES[name], "function", name);
+        assert.ok(DEFAULT_CONFIG.placement[name], `${name} has settings`);
+    }
+});
+
+test("onKeypoint centres one image on each keypoint", () => {
+    const anchors = getPlacementAnchors("onKeypoint", person, params("onKeypoint"), null, middle);
+
+    assert.deepEqual(anchors.map(anchor => [anchor.x, anchor.y]), person.keypoints.map(kp => [kp.x, kp.y]));
+    assert.ok(anchors.every(anchor => anchor.size === 120));
+});
+
+test("horizonLine keeps keypoint x but puts every image on the line", () => {
+    const anchors = getPlacementAnchors("horizonLine", person, params("horizonLine"), null, () => 1);
+
+    assert.deepEqual(anchors.map(anchor => anchor.x), person.keypoints.map(kp => kp.x));
+    assert.ok(anchors.every(anchor => anchor.y === 120)); // y 100 + full jitter of 20
+});
+
+test("shoulderCentre replaces both shoulders with one larger centre image", () => {
+    const anchors = getPlacementAnchors("shoulderCentre", person, params("shoulderCentre"), null, middle);
+
+    assert.deepEqual(anchors.map(anchor => anchor.keypointName), ["center_shoulders", "nose", "left_wrist", "right_wrist"]);
+    assert.deepEqual([anchors[0].x, anchors[0].y], [300, 200]);
+    assert.equal(anchors[0].size, 240);
+});
+
+test("alongOutline spaces images evenly around the longest contour", () => {
+    const outline = {...square, contours: [[{x: 0, y: 0}, {x: 1, y: 0}, {x: 1, y: 1}], ...square.contours]};
+    const anchors = getPlacementAnchors("alongOutline", person, {...params("alongOutline"), count: 4, jitter: 0}, outline, () => 0);
+
+    assert.deepEqual(anchors.map(anchor => [anchor.x, anchor.y]), [[0, 0], [100, 0], [100, 100], [0, 100]]);
+});
+
+test("alongOutline falls back to keypoints without an outline", () => {
+    const anchors = getPlacementAnchors("alongOutline", person, params("alongOutline"), null, middle);
+
+    assert.deepEqual(anchors.map(anchor => anchor.keypointName), person.keypoints.map(kp => kp.name));
+});
+
+test("radialBurst rings the shoulder centre at the configured radius", () => {
+    const anchors = getPlacementAnchors("radialBurst", person, {...params("radialBurst"), jitter: 0}, null, () => 0);
+
+    assert.equal(anchors.length, params("radialBurst").count);
+    for (const anchor of anchors) {
+        assert.ok(Math.abs(Math.hypot(anchor.x - 300, anchor.y - 200) - params("radialBurst").radius) < 1e-9);
+    }
+});
+
+test("unknown strategies fall back to onKeypoint and new ones can be registered", () => {
+    assert.equal(getPlacementAnchors("nope", person, params("onKeypoint"), null, middle).length, 5);
+
+    registerPlacementStrategy("noseOnly", (p, settings) =>
+        [{x: p.keypoints[0].x, y: p.keypoints[0].y, size: settings.minSize, keypointName: "nose"}]);
+    assert.deepEqual(getPlacementAnchors("noseOnly", person, {minSize: 50}, null), [{x: 300, y: 120, size: 50, keypointName: "nose"}]);
+});
+
+test("samplePointsAlongContour honours the start offset", () => {
+    const points = samplePointsAlongContour(square.contours[0], 2, 0.5);
+
+    assert.deepEqual(points, [{x: 100, y: 0}, {x: 0, y: 100}]);
+});
+
+const packing = {...DEFAULT_CONFIG.packing, maxOverlap: 0.1};
+
+test("images that don't overlap keep their position", () => {
+    const packed = packPlacedImages([{x: 200, y: 0, width: 100, height: 100}], [{x: 0, y: 0, width: 100, height: 100}], packing);
+
+    assert.deepEqual(packed, [{x: 200, y: 0, width: 100, height: 100}]);
+});
+
+test("an image on top of an earlier photo is moved until the overlap is small", () => {
+    const existing = [{x: 100, y: 100, width: 100, height: 100}];
+    const packed = packPlacedImages([{x: 120, y: 110, width: 100, height: 100}], existing, packing);
+
+    const index = createRectIndex();
+    index.insert(existing[0]);
+    assert.ok(getOverlapRatio(packed[0], index) <= 0.1);
+    assert.ok(Math.hypot(packed[0].x - 120, packed[0].y - 110) <= packing.maxNudge);
+});
+
+test("images of one capture don't bury each other either", () => {
+    const same = {x: 100, y: 100, width: 80, height: 80};
+    const packed = packPlacedImages([{...same}, {...same}, {...same}], [], packing);
+
+    const index = createRectIndex();
+    for (const rect of packed) {
+        assert.ok(getOverlapRatio(rect, index) <= 0.1);
+        index.insert(rect);
+    }
+});
+
+test("images shrink when no full-size slot is close enough", () => {
+    // A 100px photo surrounded by a ring of photos with a 70px gap in the middle
+    const ring = [
+        {x: -200, y: -200, width: 535, height: 200}, {x: -200, y: 70, width: 535, height: 200},
+        {x: -200, y: 0, width: 200, height: 70}, {x: 70, y: 0, width: 265, height: 70}
+    ];
+    const packed = packPlacedImages([{x: -15, y: -15, width: 100, height: 100}], ring, {...packing, maxOverlap: 0, maxNudge: 40, step: 5});
+
+    assert.ok(packed[0].width < 100 && packed[0].width >= 100 * packing.minScale - 1e-9);
+});
+
+test("an image that only fits smaller shrinks where it is", () => {
+    // A 70px gap with nowhere to go: the image has to shrink to 64px, in place
+    const frame = [
+        {x: -200, y: -200, width: 470, height: 200}, {x: -200, y: 70, width: 470, height: 200},
+        {x: -200, y: 0, width: 200, height: 70}, {x: 70, y: 0, width: 200, height: 70}
+    ];
+    const packed = packPlacedImages([{x: -5, y: -5, width: 80, height: 80}], frame, {...packing, maxOverlap: 0, maxNudge: 4, step: 2});
+
+    assert.ok(packed[0].width < 70);
+    assert.ok(Math.abs(packed[0].x + packed[0].width / 2 - 35) < 1e-9);
+    assert.ok(Math.abs(packed[0].y + packed[0].height / 2 - 35) < 1e-9);
+});
+
+test("packed images stay inside the bounds they are given", () => {
+    // Pushed out of the photo on its right, the image would leave its lane to the left
+    const lane = {x: 500, y: 0, width: 200, height: 200};
+    const existing = [{x: 560, y: 60, width: 80, height: 80}];
+    const image = {x: 500, y: 50, width: 100, height: 100};
+
+    assert.ok(packPlacedImages([{...image}], existing, packing)[0].x < lane.x);
+
+    const [packed] = packPlacedImages([{...image}], existing, {...packing, bounds: lane});
+    assert.ok(packed.x >= lane.x && packed.y >= lane.y);
+    assert.ok(packed.x + packed.width <= lane.x + lane.width && packed.y + packed.height <= lane.y + lane.height);
+
+    const index = createRectIndex();
+    index.insert(existing[0]);
+    assert.ok(getOverlapRatio(packed, index) <= 0.1);
+});
+
+test("packing falls back to the original position when nothing fits", () => {
+    const wall = [{x: -1000, y: -1000, width: 3000, height: 3000}];
+    const packed = packPlacedImages([{x: 10, y: 20, width: 100, height: 100}], wall, packing);
+
+    assert.deepEqual(packed, [{x: 10, y: 20, width: 100, height: 100}]);
+});
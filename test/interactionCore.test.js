@@ -0,0 +1,695 @@
+/*
+ * Tests for interactionCore.js
+ * Run with: node --test test/
+ *
+ * Everything runs headless: a fake clock stands in for millis(), poses are
+ * built by hand, and segmentation is a stub that answers immediately.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    countdownSettingsFromConfig,
+    growthSettingsFromConfig,
+    createCommemorativeWall,
+    createCountdownInteraction,
+    createGrowthInteraction,
+    getFastestKeypointSpeed
+} = require("../interactionCore.js");
+const {DEFAULT_CONFIG} = require("../config.js");
+const {createGestureRecognizer} = require("../gestures.js");
+const {createCaptureQualityGate} = require("../captureQuality.js");
+
+// The installation's own defaults, hold still off unless a test turns it on
+const COUNTDOWN_SETTINGS = {...countdownSettingsFromConfig(DEFAULT_CONFIG), holdStill: false};
+const GROWTH_SETTINGS = growthSettingsFromConfig(DEFAULT_CONFIG);
+const PALETTE = DEFAULT_CONFIG.people.colors;
+
+/**
+ * Build an ml5-style pose with the keypoints the installation tracks
+ */
+function makePose(id, x = 100, y = 200, confidence = 0.9) {
+    return {
+        id: id,
+        keypoints: [
+            {name: "nose", x: x, y: y - 80, confidence: confidence},
+            {name: "left_shoulder", x: x - 40, y: y, confidence: confidence},
+            {name: "right_shoulder", x: x + 40, y: y, confidence: confidence},
+            {name: "left_wrist", x: x - 60, y: y + 120, confidence: confidence},
+            {name: "right_wrist", x: x + 60, y: y + 120, confidence: confidence}
+        ]
+    };
+}
+
+/**
+ * A countdown interaction wired to a fake clock and stub segmentation
+ */
+function createHarness(options = {}) {
+    const clock = {time: 0};
+    const added = [];
+    const removed = [];
+    const rejected = [];
+    const segmentationCalls = [];
+    const bystanderCalls = [];
+    const pendingSegmentation = [];
+
+    const wall = createCommemorativeWall({
+        maxObjects: options.maxObjects || DEFAULT_CONFIG.wall.maxObjects,
+        onAdd: obj => added.push(obj),
+        onRemove: objs => removed.push(...objs)
+    });
+
+    const interaction = createCountdownInteraction({
+        wall: wall,
+        now: () => clock.time,
+        wallClock: () => 1700000000000 + clock.time,
+        captureOutline: (people, done, bystanders) => {
+            segmentationCalls.push(people);
+            bystanderCalls.push(bystanders);
+            const answer = () => done(options.outlines === undefined
+                ? people.map(person => ({
+                    personId: person.personId,
+                    personColor: person.assignedColor,
+                    colorIndex: person.colorIndex,
+                    contours: [[{x: 0, y: 0}, {x: 10, y: 0}, {x: 10, y: 10}]]
+                }))
+                : options.outlines, options.collage, options.measurements);
+
+            // Real segmentation answers a few frames later
+            if (options.deferSegmentation) pendingSegmentation.push(answer);
+            else answer();
+        },
+        qualityGate: options.qualityGate,
+        onCaptureRejected: (reasons, people) => rejected.push({reasons, people}),
+        gestureRecognizer: options.gestures
+            ? createGestureRecognizer({now: () => clock.time, gestures: options.gestures})
+            : undefined,
+        placeImages: (person, commemorativeObject) => {
+            commemorativeObject.images.push({
+                keypointName: "nose",
+                personId: person.personId,
+                personColor: person.assignedColor
+            });
+        },
+        config: {...COUNTDOWN_SETTINGS, ...options.config}
+    });
+
+    return {
+        clock,
+        wall,
+        interaction,
+        added,
+        removed,
+        rejected,
+        segmentationCalls,
+        bystanderCalls,
+        pendingSegmentation,
+        /**
+         * Advance time in frame-sized steps, delivering poses on every step
+         * like the real detect loop + draw loop would
+         */
+        run(duration, poses, step = 50) {
+            for (let t = 0; t < duration; t += step) {
+                clock.time += step;
+                interaction.handlePoses(typeof poses === "function" ? poses(clock.time) : poses);
+                interaction.updateSharedCountdown();
+                interaction.cleanupInactivePeople();
+            }
+        }
+    };
+}
+
+test("a single person is captured when the countdown completes", () => {
+    const harness = createHarness();
+
+    harness.run(2900, [makePose(1)]);
+    assert.equal(harness.wall.objects.length, 0);
+    assert.equal(harness.interaction.state.sharedCountdownActive, true);
+
+    harness.run(200, [makePose(1)]);
+    assert.equal(harness.wall.objects.length, 1);
+
+    const capture = harness.wall.objects[0];
+    assert.equal(capture.peopleCount, 1);
+    assert.equal(capture.images.length, 1);
+    assert.equal(capture.outlines.length, 1);
+    assert.equal(capture.capturedAt, 1700000000000 + capture.captureTime);
+});
+
+test("several people share one countdown and one commemorative object", () => {
+    const harness = createHarness();
+
+    harness.run(1000, [makePose(1, 100)]);
+    // Second and third person walk in during the countdown
+    harness.run(2100, [makePose(1, 100), makePose(2, 300), makePose(3, 500)]);
+
+    assert.equal(harness.wall.objects.length, 1);
+    assert.equal(harness.wall.objects[0].peopleCount, 3);
+    assert.equal(harness.segmentationCalls.length, 1);
+    assert.deepEqual(harness.segmentationCalls[0].map(person => person.personId), [1, 2, 3]);
+    assert.deepEqual(harness.bystanderCalls[0], []);
+});
+
+test("each captured person gets their own outline linked to their images", () => {
+    const harness = createHarness();
+
+    harness.run(3100, [makePose(1, 100), makePose(2, 300)]);
+
+    const capture = harness.wall.objects[0];
+    assert.deepEqual(capture.outlines.map(outline => outline.personId), [1, 2]);
+    assert.deepEqual(capture.outlines.map(outline => outline.personColor), PALETTE.slice(0, 2));
+    for (const outline of capture.outlines) {
+        const images = capture.images.filter(img => img.personId === outline.personId);
+        assert.equal(images.length, 1);
+        assert.deepEqual(images[0].personColor, outline.personColor);
+    }
+});
+
+test("keypoint colors fade with countdown progress", () => {
+    const harness = createHarness();
+
+    harness.run(1500, [makePose(1)]);
+
+    const person = harness.interaction.state.activeCountdowns.get(1);
+    const green = PALETTE[0][1];
+    const fadedGreen = person.keypoints[0].currentColor[1];
+    assert.ok(fadedGreen < green && fadedGreen > 0, `expected a partial fade, got ${fadedGreen}`);
+});
+
+test("everyone leaving mid-countdown cancels it without a capture", () => {
+    const harness = createHarness();
+
+    harness.run(1500, [makePose(1), makePose(2, 300)]);
+    harness.run(2000, []);
+
+    assert.equal(harness.interaction.state.sharedCountdownActive, false);
+    assert.equal(harness.interaction.state.activeCountdowns.size, 0);
+    assert.equal(harness.wall.objects.length, 0);
+});
+
+test("a person leaving mid-countdown is dropped while the others are still captured", () => {
+    const harness = createHarness();
+
+    harness.run(1000, [makePose(1), makePose(2, 300)]);
+    // Person 2 walks away; they time out after personTimeout
+    harness.run(1600, [makePose(1)]);
+    assert.equal(harness.interaction.state.activeCountdowns.has(2), false);
+
+    harness.run(500, [makePose(1)]);
+    assert.equal(harness.wall.objects.length, 1);
+    assert.equal(harness.wall.objects[0].peopleCount, 1);
+});
+
+test("people with too few confident keypoints are not tracked", () => {
+    const harness = createHarness();
+
+    harness.run(500, [makePose(1, 100, 200, 0.2)]);
+
+    assert.equal(harness.interaction.state.activeCountdowns.size, 0);
+});
+
+test("colors are assigned in palette order and recorded with their index", () => {
+    const harness = createHarness();
+    const palette = PALETTE;
+
+    harness.run(100, [makePose(10), makePose(20, 300), makePose(30, 500)]);
+
+    const people = harness.interaction.state.activeCountdowns;
+    assert.deepEqual(people.get(10).assignedColor, palette[0]);
+    assert.deepEqual(people.get(20).assignedColor, palette[1]);
+    assert.deepEqual(people.get(30).assignedColor, palette[2]);
+    assert.deepEqual([...people.values()].map(person => person.colorIndex), [0, 1, 2]);
+});
+
+test("color assignment wraps around the palette", () => {
+    const palette = [[1, 1, 1], [2, 2, 2]];
+    const harness = createHarness({config: {personColors: palette}});
+
+    harness.run(100, [makePose(1), makePose(2, 300), makePose(3, 500)]);
+
+    const person = harness.interaction.state.activeCountdowns.get(3);
+    assert.deepEqual(person.assignedColor, palette[0]);
+    assert.equal(person.colorIndex, 0);
+});
+
+test("color assignment restarts once everyone has left", () => {
+    const harness = createHarness();
+
+    harness.run(100, [makePose(1), makePose(2, 300)]);
+    harness.run(1200, []);
+    harness.run(100, [makePose(3)]);
+
+    assert.equal(harness.interaction.state.activeCountdowns.get(3).colorIndex, 0);
+});
+
+test("the wall evicts the oldest objects beyond its maximum", () => {
+    const harness = createHarness({maxObjects: 3});
+
+    for (let i = 0; i < 5; i++) {
+        harness.run(3100, [makePose(i + 1)]);
+        harness.run(1200, []); // Walk away so the next visitor starts fresh
+    }
+
+    assert.deepEqual(harness.wall.objects.map(obj => obj.id), [3, 4, 5]);
+    assert.deepEqual(harness.removed.map(obj => obj.id), [1, 2]);
+    assert.equal(harness.added.length, 5);
+});
+
+test("captures without an outline are still added", () => {
+    const harness = createHarness({outlines: null});
+
+    harness.run(3100, [makePose(1)]);
+
+    assert.equal(harness.wall.objects.length, 1);
+    assert.deepEqual(harness.wall.objects[0].outlines, []);
+});
+
+test("a rejected capture starts a short countdown instead of joining the wall", () => {
+    let verdicts = [["person 1: moving (400 px/s)"], []];
+    const harness = createHarness({
+        qualityGate: {checkPeople: () => verdicts.shift(), checkSegmentation: () => []},
+        config: {retryCountdownDuration: 1000}
+    });
+
+    harness.run(3100, [makePose(1)]);
+    assert.equal(harness.wall.objects.length, 0);
+    assert.deepEqual(harness.rejected[0].reasons, ["person 1: moving (400 px/s)"]);
+    assert.equal(harness.segmentationCalls.length, 0);
+
+    // Still tracked, with a second of countdown left instead of three
+    assert.equal(harness.interaction.getActivePeopleCount(), 1);
+    harness.run(1000, [makePose(1)]);
+    assert.equal(harness.wall.objects.length, 1);
+});
+
+test("a rejection after the capture cleared the shared countdown still leads to a short one", () => {
+    const harness = createHarness({
+        deferSegmentation: true,
+        qualityGate: {checkPeople: () => [], checkSegmentation: () => ["mask coverage 1.0% < 2.0%"]},
+        config: {retryCountdownDuration: 1000}
+    });
+
+    harness.run(3050, [makePose(1)]);
+    assert.equal(harness.segmentationCalls.length, 1);
+    assert.equal(harness.interaction.getActivePeopleCount(), 0);
+
+    harness.pendingSegmentation.shift()();
+    assert.equal(harness.rejected.length, 1);
+
+    // Detected again on the next frame, captured a second later
+    harness.run(1000, [makePose(1)]);
+    assert.equal(harness.segmentationCalls.length, 1);
+    harness.run(50, [makePose(1)]);
+    assert.equal(harness.segmentationCalls.length, 2);
+});
+
+test("with a quality gate a capture without segmentation is rejected, not added", () => {
+    const qualityGate = createCaptureQualityGate(
+        {minMaskCoverage: 0.02, minKeypointConfidence: 0.5, frameMargin: 10, minBodySize: 0.1, maxMotion: 250, minOutlinePoints: 3},
+        {getFrameRect: () => ({x: 0, y: 0, width: 640, height: 480}), countOutlinePoints: contours => contours.flat().length}
+    );
+    const harness = createHarness({outlines: null, qualityGate, config: {perPersonCountdowns: true}});
+
+    harness.run(3100, [makePose(1)]);
+
+    assert.equal(harness.wall.objects.length, 0);
+    assert.deepEqual(harness.rejected[0].reasons, ["no segmentation"]);
+    const person = harness.interaction.state.activeCountdowns.get(1);
+    assert.ok(harness.interaction.getPersonProgress(person) >= 0.5);
+});
+
+test("keypoint motion is the fastest smoothed keypoint over the window", () => {
+    const harness = createHarness();
+
+    harness.run(500, [makePose(1)]);
+    assert.equal(harness.interaction.state.activeCountdowns.get(1).motion, 0);
+
+    // 10 px every 50 ms; the smoothed keypoints catch up within the window
+    harness.run(1000, time => [makePose(1, 100 + (time - 500) / 5)]);
+    assert.ok(Math.abs(harness.interaction.state.activeCountdowns.get(1).motion - 200) < 5);
+});
+
+test("keypoint speed follows the whole path, back and forth included", () => {
+    const history = [
+        {time: 0, positions: {nose: {x: 0, y: 0}, left_wrist: {x: 0, y: 0}}},
+        {time: 250, positions: {nose: {x: 10, y: 0}, left_wrist: {x: 50, y: 0}}},
+        {time: 500, positions: {nose: {x: 20, y: 0}, left_wrist: {x: 0, y: 0}}}
+    ];
+
+    assert.equal(getFastestKeypointSpeed(history), 200);
+    assert.equal(getFastestKeypointSpeed(history.slice(0, 1)), 0);
+});
+
+test("hold still pauses the shared countdown while anyone moves", () => {
+    const harness = createHarness({config: {holdStill: true, holdStillThreshold: 100}});
+    const walking = time => [makePose(1, 100), makePose(2, 300 + (time - 1000) / 5)];
+
+    harness.run(1000, [makePose(1, 100), makePose(2, 300)]);
+    harness.run(3000, walking);
+    assert.equal(harness.wall.objects.length, 0);
+    assert.equal(harness.interaction.state.activeCountdowns.get(2).moving, true);
+    assert.equal(harness.interaction.state.activeCountdowns.get(1).moving, false);
+
+    // Still again: the rest of the countdown, not a new one
+    const progress = harness.interaction.getPersonProgress(harness.interaction.state.activeCountdowns.get(1));
+    assert.ok(progress > 0.3 && progress < 0.5);
+    harness.run(2500, [makePose(1, 100), makePose(2, 900)]);
+    assert.equal(harness.wall.objects.length, 1);
+});
+
+test("hold still can rewind a person's own countdown while the others keep going", () => {
+    const harness = createHarness({
+        config: {perPersonCountdowns: true, holdStill: true, holdStillThreshold: 100, movementResponse: "rewind"}
+    });
+    const people = harness.interaction.state.activeCountdowns;
+
+    harness.run(1500, [makePose(1, 100), makePose(2, 300)]);
+    harness.run(1000, time => [makePose(1, 100), makePose(2, 300 + time / 5)]);
+
+    // Person 2 ran back most of the way; person 1 is captured on time
+    assert.ok(harness.interaction.getPersonProgress(people.get(2)) < 0.3);
+    harness.run(600, [makePose(1, 100), makePose(2, 800)]);
+    assert.deepEqual(harness.wall.objects.map(obj => obj.outlines[0].personId), [1]);
+});
+
+test("a pre-rendered collage from segmentation is kept with the capture", () => {
+    const collage = {x: 5, y: 10, width: 100, height: 200};
+    const harness = createHarness({collage});
+
+    harness.run(3100, [makePose(1)]);
+
+    assert.equal(harness.wall.objects[0].collage, collage);
+});
+
+test("removed objects leave the wall at once and are reported", () => {
+    const removed = [];
+    const wall = createCommemorativeWall({maxObjects: 10, now: () => 0, fadeOutDuration: 2000, onRemove: objs => removed.push(...objs)});
+    wall.add({id: wall.createObjectId()});
+    wall.add({id: wall.createObjectId()});
+
+    wall.remove([wall.objects[1]]);
+    wall.remove([{id: 99}]);
+
+    assert.deepEqual(wall.objects.map(obj => obj.id), [1]);
+    assert.deepEqual(removed.map(obj => obj.id), [2]);
+});
+
+test("clearing the wall hands the cleared objects to onClear", () => {
+    let cleared = null;
+    const wall = createCommemorativeWall({maxObjects: 10, onClear: objs => { cleared = objs; }});
+    wall.add({id: wall.createObjectId()});
+    wall.clear();
+
+    assert.deepEqual(cleared.map(obj => obj.id), [1]);
+    assert.equal(wall.objects.length, 0);
+});
+
+test("restored objects go first and object ids continue after them", () => {
+    const wall = createCommemorativeWall({maxObjects: 10});
+    wall.add({id: wall.createObjectId()});
+    wall.restore([{id: 7}, {id: 8}]);
+
+    assert.deepEqual(wall.objects.map(obj => obj.id), [7, 8, 1]);
+    assert.equal(wall.createObjectId(), 9);
+});
+
+test("objects pushed out by newer captures fade out before they are removed", () => {
+    const clock = {time: 0};
+    const removed = [];
+    const wall = createCommemorativeWall({
+        maxObjects: 2,
+        fadeOutDuration: 1000,
+        now: () => clock.time,
+        onRemove: objs => removed.push(...objs)
+    });
+
+    for (let id = 1; id <= 3; id++) {
+        wall.add({id: id, captureTime: clock.time});
+    }
+    assert.deepEqual(wall.objects.map(obj => obj.id), [1, 2, 3]);
+    assert.equal(wall.getVisibility(wall.objects[0]), 1);
+
+    clock.time = 500;
+    wall.update();
+    assert.equal(wall.getVisibility(wall.objects[0]), 0.5);
+    assert.equal(wall.getVisibility(wall.objects[1]), 1);
+
+    // A fading object no longer counts against the maximum
+    wall.add({id: 4, captureTime: clock.time});
+    assert.deepEqual(wall.objects.filter(obj => obj.retiredAt === undefined).map(obj => obj.id), [3, 4]);
+
+    clock.time = 1000;
+    wall.update();
+    assert.deepEqual(removed.map(obj => obj.id), [1]);
+    clock.time = 1500;
+    wall.update();
+    assert.deepEqual(wall.objects.map(obj => obj.id), [3, 4]);
+});
+
+test("a lower maximum set while running retires the oldest objects at once", () => {
+    const removed = [];
+    const wall = createCommemorativeWall({maxObjects: 5, onRemove: objs => removed.push(...objs)});
+    for (let id = 1; id <= 4; id++) wall.add({id, captureTime: 0});
+
+    wall.configure({maxObjects: 2});
+    assert.deepEqual(removed.map(obj => obj.id), [1, 2]);
+    assert.deepEqual(wall.objects.map(obj => obj.id), [3, 4]);
+
+    wall.add({id: 5, captureTime: 0});
+    assert.deepEqual(wall.objects.map(obj => obj.id), [4, 5]);
+});
+
+test("objects decay over their lifetime and fade out once it ends", () => {
+    const clock = {time: 0};
+    const removed = [];
+    const wall = createCommemorativeWall({
+        maxObjects: 10,
+        lifetime: 10000,
+        fadeOutDuration: 2000,
+        agedStrength: 0.5,
+        now: () => clock.time,
+        onRemove: objs => removed.push(...objs)
+    });
+
+    wall.add({id: 1, captureTime: 0});
+    clock.time = 5000;
+    wall.update();
+    assert.equal(wall.getVisibility(wall.objects[0]), 0.75);
+
+    clock.time = 11000;
+    wall.update();
+    assert.equal(wall.getVisibility(wall.objects[0]), 0.25);
+
+    clock.time = 12000;
+    wall.update();
+    assert.deepEqual(removed.map(obj => obj.id), [1]);
+    assert.equal(wall.objects.length, 0);
+});
+
+test("restored objects past their lifetime are removed on the next update", () => {
+    const wall = createCommemorativeWall({maxObjects: 10, lifetime: 10000, fadeOutDuration: 2000, now: () => 0});
+
+    wall.restore([{id: 1, captureTime: -60000}, {id: 2, captureTime: -500}]);
+    wall.update();
+
+    assert.deepEqual(wall.objects.map(obj => obj.id), [2]);
+});
+
+test("forceCapture only captures while a countdown is running", () => {
+    const harness = createHarness();
+
+    harness.interaction.forceCapture();
+    assert.equal(harness.wall.objects.length, 0);
+
+    harness.run(200, [makePose(1)]);
+    harness.interaction.forceCapture();
+    assert.equal(harness.wall.objects.length, 1);
+    assert.equal(harness.interaction.state.sharedCountdownActive, false);
+});
+
+test("per-person countdowns capture each person into their own object", () => {
+    const harness = createHarness({config: {perPersonCountdowns: true}});
+
+    harness.run(2000, [makePose(1, 100)]);
+    // Person 2 walks in late; person 1 is not captured with them
+    harness.run(1100, [makePose(1, 100), makePose(2, 300)]);
+
+    assert.equal(harness.wall.objects.length, 1);
+    assert.equal(harness.wall.objects[0].peopleCount, 1);
+    assert.deepEqual(harness.segmentationCalls[0].map(person => person.personId), [1]);
+    // Person 2 is still handed over, so their part of the mask can be left out
+    assert.deepEqual(harness.bystanderCalls[0].map(person => person.personId), [2]);
+    assert.equal(harness.bystanderCalls[0][0].keypoints[0].x, 300);
+
+    // Person 2 keeps their own progress and color while person 1 starts over
+    const people = harness.interaction.state.activeCountdowns;
+    assert.equal(people.get(1).colorIndex, 0);
+    assert.equal(people.get(2).colorIndex, 1);
+    assert.ok(harness.interaction.getPersonProgress(people.get(2)) > 0.3);
+    assert.ok(harness.interaction.getPersonProgress(people.get(1)) < 0.1);
+
+    harness.run(2000, [makePose(1, 100), makePose(2, 300)]);
+    assert.equal(harness.wall.objects.length, 2);
+    assert.deepEqual(harness.wall.objects[1].outlines.map(outline => outline.personId), [2]);
+});
+
+test("per-person countdowns fade each person's keypoints by their own progress", () => {
+    const harness = createHarness({config: {perPersonCountdowns: true}});
+
+    harness.run(1500, [makePose(1, 100)]);
+    harness.run(100, [makePose(1, 100), makePose(2, 300)]);
+
+    const people = harness.interaction.state.activeCountdowns;
+    const red = PALETTE[1][0];
+    assert.ok(people.get(1).keypoints[0].currentColor[1] < 150);
+    assert.ok(people.get(2).keypoints[0].currentColor[0] > red * 0.9);
+    assert.equal(harness.interaction.isCountdownRunning(), true);
+});
+
+/**
+ * makePose with both wrists raised above the head
+ */
+function makeHandsUpPose(id, x = 100, y = 200) {
+    const pose = makePose(id, x, y);
+    for (const keypoint of pose.keypoints) {
+        if (keypoint.name.endsWith("_wrist")) keypoint.y = y - 200;
+    }
+    return pose;
+}
+
+test("gesture trigger captures only the person holding the gesture", () => {
+    const harness = createHarness({gestures: ["handsUp"], config: {captureTrigger: "gesture"}});
+
+    // Nobody is captured by a timer
+    harness.run(5000, [makePose(1, 100), makePose(2, 400)]);
+    assert.equal(harness.wall.objects.length, 0);
+
+    // Keypoints are smoothed, so give them a moment to arrive, then hold
+    harness.run(1500, [makeHandsUpPose(1, 100), makePose(2, 400)]);
+    assert.equal(harness.wall.objects.length, 1);
+    assert.deepEqual(harness.segmentationCalls[0].map(person => person.personId), [1]);
+    assert.equal(harness.interaction.state.activeCountdowns.size, 2);
+});
+
+test("gesture hold progress drives the keypoint fade", () => {
+    const harness = createHarness({gestures: ["handsUp"], config: {captureTrigger: "gesture"}});
+
+    harness.run(500, [makePose(1)]);
+    harness.run(700, [makeHandsUpPose(1)]);
+
+    const person = harness.interaction.state.activeCountdowns.get(1);
+    assert.equal(person.gesture, "handsUp");
+    assert.ok(person.gestureProgress > 0 && person.gestureProgress < 1);
+    assert.ok(person.keypoints[0].currentColor[1] < PALETTE[0][1]);
+});
+
+function withoutWrists(pose) {
+    return {...pose, keypoints: pose.keypoints.filter(keypoint => !keypoint.name.endsWith("_wrist"))};
+}
+
+test("keypoints missing at first detection are added when they appear", () => {
+    const harness = createHarness({gestures: ["handsUp"], config: {captureTrigger: "gesture"}});
+
+    harness.run(500, [withoutWrists(makePose(1))]);
+    assert.equal(harness.interaction.state.activeCountdowns.get(1).keypoints.length, 3);
+
+    harness.run(1500, [makeHandsUpPose(1)]);
+    assert.equal(harness.wall.objects.length, 1);
+});
+
+test("keypoints that drop out cannot hold a gesture", () => {
+    const harness = createHarness({gestures: ["handsUp"], config: {captureTrigger: "gesture"}});
+
+    harness.run(500, [makeHandsUpPose(1)]);
+    harness.run(1500, [withoutWrists(makeHandsUpPose(1))]);
+    assert.equal(harness.wall.objects.length, 0);
+
+    const wrists = harness.interaction.state.activeCountdowns.get(1).keypoints
+        .filter(keypoint => keypoint.name.endsWith("_wrist"));
+    assert.deepEqual(wrists.map(keypoint => keypoint.confidence), [0, 0]);
+});
+
+/**
+ * A growth interaction wired to a fake clock, a fixed image and stub segmentation
+ */
+function createGrowthHarness(options = {}) {
+    const clock = {time: 0};
+    const segmentationCalls = [];
+    const wall = createCommemorativeWall({maxObjects: 10});
+
+    const interaction = createGrowthInteraction({
+        wall: wall,
+        now: () => clock.time,
+        captureOutline: (people, done) => {
+            segmentationCalls.push(people);
+            done(null);
+        },
+        pickImage: () => ({width: 200, height: 100, filename: "2015/photo.jpg"}),
+        random: () => 0.5, // No jitter, no size variation
+        config: {...GROWTH_SETTINGS, ...options.config}
+    });
+
+    return {
+        clock,
+        wall,
+        interaction,
+        segmentationCalls,
+        run(duration, poses, step = 50) {
+            for (let t = 0; t < duration; t += step) {
+                clock.time += step;
+                interaction.handlePoses(typeof poses === "function" ? poses(clock.time) : poses);
+                interaction.update();
+            }
+        }
+    };
+}
+
+test("growth mode captures a person once enough images have matured", () => {
+    const harness = createGrowthHarness();
+
+    // 0.2 of the size range per second and a 0.9 threshold: mature after ~4.4 seconds
+    harness.run(4000, [makePose(1)]);
+    assert.equal(harness.wall.objects.length, 0);
+    const growing = harness.interaction.state.people.get(1).images.get("nose");
+    assert.ok(growing.size > GROWTH_SETTINGS.minSize && growing.opacity > 0);
+
+    harness.run(600, [makePose(1)]);
+    assert.equal(harness.wall.objects.length, 1);
+
+    const capture = harness.wall.objects[0];
+    assert.equal(capture.peopleCount, 1);
+    assert.equal(capture.images.length, 5);
+    assert.ok(capture.images.every(img => img.opacity === 1 && img.personId === 1));
+    // Frozen images keep their aspect ratio and are centred on the keypoint
+    const nose = capture.images.find(img => img.keypointName === "nose");
+    assert.equal(nose.width / nose.height, 2);
+    assert.equal(nose.x + nose.width / 2, 100);
+    assert.deepEqual(harness.segmentationCalls[0][0].keypoints.find(kp => kp.name === "nose"), {name: "nose", x: 100, y: 120});
+
+    // The captured person starts over with small images
+    const restarted = [...harness.interaction.state.people.get(1).images.values()];
+    assert.ok(restarted.every(img => img.size < GROWTH_SETTINGS.minSize + 20));
+});
+
+test("growth mode keeps growing through the grace period, then shrinks images away", () => {
+    const harness = createGrowthHarness();
+
+    harness.run(1000, [makePose(1)]);
+    const nose = harness.interaction.state.people.get(1).images.get("nose");
+    const sizeWhenLeft = nose.size;
+
+    harness.run(400, []);
+    assert.ok(nose.size > sizeWhenLeft, "still growing inside the grace period");
+
+    harness.run(1000, []);
+    assert.equal(harness.interaction.state.people.size, 0);
+    assert.equal(harness.wall.objects.length, 0);
+});
+
+test("growth mode needs minKeypointsForCapture mature images", () => {
+    const harness = createGrowthHarness({config: {minKeypointsForCapture: 6}});
+
+    harness.run(8000, [makePose(1)]);
+
+    assert.equal(harness.wall.objects.length, 0);
+});
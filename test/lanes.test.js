@@ -0,0 +1,62 @@
+/*
+ * Tests for lanes.js
+ * Run with: node --test test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {DEFAULT_CONFIG} = require("../config.js");
+const {buildLanes, mapIntoLane, createLaneAllocator, isPointInPolygon} = require("../lanes.js");
+
+const settings = {...DEFAULT_CONFIG.lanes, margin: 0};
+
+test("rows and columns split the canvas evenly", () => {
+    const rows = buildLanes({...settings, layout: "rows", count: 4}, 1000, 800);
+    assert.deepEqual(rows.map(lane => lane.bounds.y), [0, 200, 400, 600]);
+    assert.ok(rows.every(lane => lane.bounds.width === 1000 && lane.bounds.height === 200));
+
+    const columns = buildLanes({...settings, layout: "columns", count: 2, margin: 0.1}, 1000, 800);
+    assert.deepEqual(columns.map(lane => [lane.bounds.x, lane.bounds.width]), [[100, 400], [500, 400]]);
+});
+
+test("points keep their relative position inside a lane", () => {
+    const [, middleRow] = buildLanes({...settings, layout: "rows", count: 3}, 900, 900);
+
+    assert.deepEqual(mapIntoLane(middleRow, {x: 450, y: 0}, 900, 900), {x: 450, y: 300});
+    assert.deepEqual(mapIntoLane(middleRow, {x: 900, y: 900}, 900, 900), {x: 900, y: 600});
+});
+
+test("arc lanes map left to right along the arc", () => {
+    const arcSettings = {...settings.arc, centerX: 0.5, centerY: 1, startAngle: 180, endAngle: 360};
+    const [outer, inner] = buildLanes({...settings, layout: "arc", count: 2, arc: arcSettings}, 1000, 1000);
+    assert.ok(outer.arc.radius > inner.arc.radius);
+
+    const start = mapIntoLane(outer, {x: 0, y: 500}, 1000, 1000);
+    const top = mapIntoLane(outer, {x: 500, y: 500}, 1000, 1000);
+    assert.ok(start.x < 500 && Math.abs(start.y - 1000) < 1e-9);
+    assert.ok(Math.abs(top.x - 500) < 1e-9 && top.y < 1000);
+});
+
+test("polygon lanes keep mapped points inside the shape", () => {
+    const [left] = buildLanes({...settings, layout: "polygons"}, 1000, 1000);
+
+    // Bottom right of the bounding box is outside the slanted edge
+    const point = mapIntoLane(left, {x: 1000, y: 1000}, 1000, 1000);
+    assert.ok(isPointInPolygon(point, left.polygon));
+});
+
+test("in-order filling reuses the lanes freed by objects that left the wall", () => {
+    const allocator = createLaneAllocator(3, "inOrder");
+
+    assert.deepEqual([1, 2, 3, 4].map(id => allocator.assign(id)), [0, 1, 2, 0]);
+
+    allocator.release(2);
+    assert.equal(allocator.assign(5), 1);
+    assert.equal(allocator.countInLane(0), 2);
+});
+
+test("by-person filling gives every palette color its own lane", () => {
+    const allocator = createLaneAllocator(3, "byPerson");
+
+    assert.deepEqual([0, 1, 2, 3, 4].map((colorIndex, id) => allocator.assign(id, colorIndex)), [0, 1, 2, 0, 1]);
+});
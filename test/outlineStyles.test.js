@@ -0,0 +1,57 @@
+/*
+ * Tests for the p5-free parts of outlineStyles.js
+ * Run with: node --test test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {OUTLINE_STYLES, assignOutlineStyles, getContoursBounds, seededRandom} = require("../outlineStyles.js");
+const {CONFIG_SCHEMA, DEFAULT_CONFIG, buildConfig} = require("../config.js");
+
+function makeCapture(id, colorIndexes) {
+    return {id, outlines: colorIndexes.map(colorIndex => ({colorIndex, contours: []}))};
+}
+
+function assign(capture, assignMode, styles = ["solid", "brush", "dashed"]) {
+    assignOutlineStyles(capture, {...DEFAULT_CONFIG.outlines, assign: assignMode, styles});
+    return capture.outlines.map(outline => outline.style);
+}
+
+test("perCapture gives every outline of a capture the same style, by capture id", () => {
+    assert.deepEqual(assign(makeCapture(1, [0, 1, 2]), "perCapture"), ["brush", "brush", "brush"]);
+    assert.deepEqual(assign(makeCapture(5, [0]), "perCapture"), ["dashed"]);
+});
+
+test("perPerson follows each person's color index and wraps around the pool", () => {
+    assert.deepEqual(assign(makeCapture(1, [0, 1, 2, 3]), "perPerson"), ["solid", "brush", "dashed", "solid"]);
+    // The same person looks the same in every capture
+    assert.deepEqual(assign(makeCapture(2, [1]), "perPerson"), ["brush"]);
+});
+
+test("global leaves outlines unstyled so the configured style applies", () => {
+    assert.deepEqual(assign(makeCapture(1, [0, 1]), "global"), [undefined, undefined]);
+});
+
+test("the config accepts exactly the styles that exist", () => {
+    assert.deepEqual(CONFIG_SCHEMA["outlines.style"].oneOf, Object.keys(OUTLINE_STYLES));
+
+    const {errors} = buildConfig({outlines: {styles: ["solid", "sktechy"]}});
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /outlines\.styles.*"sktechy"/);
+});
+
+test("contour bounds span every contour and need some height", () => {
+    assert.deepEqual(getContoursBounds([[{x: 0, y: 5}, {x: 1, y: 9}], [{x: 2, y: 30}]]), {top: 5, bottom: 30});
+    assert.equal(getContoursBounds([[{x: 0, y: 5}, {x: 10, y: 5}]]), null);
+    assert.equal(getContoursBounds([]), null);
+});
+
+test("seeded random numbers repeat for the same seed and stay in [0, 1)", () => {
+    const first = seededRandom(42);
+    const second = seededRandom(42);
+    const values = Array.from({length: 100}, () => first());
+
+    assert.deepEqual(values.slice(0, 5), Array.from({length: 5}, () => second()));
+    assert.ok(values.every(value => value >= 0 && value < 1));
+    assert.notEqual(seededRandom(43)(), values[0]);
+});
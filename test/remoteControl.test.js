@@ -0,0 +1,93 @@
+/*
+ * Tests for the remote-control commands in remoteControl.js
+ * Run with: node --test test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {buildConfig, applyConfigValue} = require("../config.js");
+const {createRemoteCommandHandler, isStartupSetting} = require("../remoteControl.js");
+
+function createFakeInstallation() {
+    const installation = {
+        config: buildConfig({}).config,
+        wall: [1, 2, 3],
+        people: 2,
+        paused: false,
+        captures: 0
+    };
+
+    installation.handle = createRemoteCommandHandler({
+        getStatus: () => ({wallObjects: installation.wall.length, paused: installation.paused}),
+        reset: () => { installation.wall = []; },
+        capture: () => {
+            installation.captures++;
+            return installation.people;
+        },
+        deleteLast: () => (installation.wall.length > 0 ? installation.wall.pop() : null),
+        setPaused: paused => { installation.paused = paused; },
+        setConfig: (path, value) => applyConfigValue(installation.config, path, value)
+    });
+    return installation;
+}
+
+test("results are addressed to the operator who sent the command", () => {
+    const installation = createFakeInstallation();
+    const answer = installation.handle({type: "command", id: 5, command: "status", from: 12});
+
+    assert.deepEqual(answer, {type: "result", id: 5, to: 12, ok: true, result: {wallObjects: 3, paused: false}});
+});
+
+test("reset, capture, delete last and pause act on the installation", () => {
+    const installation = createFakeInstallation();
+
+    assert.deepEqual(installation.handle({id: 1, command: "deleteLast"}).result, {deletedId: 3});
+    assert.deepEqual(installation.handle({id: 2, command: "capture"}).result, {people: 2});
+    assert.deepEqual(installation.handle({id: 3, command: "pause", args: {paused: true}}).result, {paused: true});
+    assert.equal(installation.paused, true);
+
+    installation.handle({id: 4, command: "reset"});
+    assert.deepEqual(installation.wall, []);
+    assert.equal(installation.captures, 1);
+});
+
+test("commands that can't be carried out are refused with a reason", () => {
+    const installation = createFakeInstallation();
+    installation.wall = [];
+    installation.people = 0;
+
+    assert.deepEqual(installation.handle({id: 1, command: "deleteLast"}),
+        {type: "result", id: 1, to: undefined, ok: false, error: "the wall is empty"});
+    assert.equal(installation.handle({id: 2, command: "capture"}).error, "nobody is being tracked");
+    assert.match(installation.handle({id: 3, command: "pause", args: {paused: "yes"}}).error, /paused/);
+    assert.match(installation.handle({id: 4, command: "explode"}).error, /unknown command/);
+});
+
+test("setConfig validates values and refuses settings only read at startup", () => {
+    const installation = createFakeInstallation();
+
+    const live = installation.handle({id: 1, command: "setConfig", args: {path: "outlines.style", value: "dashed"}});
+    assert.deepEqual(live.result, {path: "outlines.style", value: "dashed"});
+    assert.equal(installation.config.outlines.style, "dashed");
+
+    const invalid = installation.handle({id: 2, command: "setConfig", args: {path: "outlines.style", value: "wobbly"}});
+    assert.equal(invalid.ok, false);
+    assert.equal(installation.config.outlines.style, "dashed");
+
+    const countdown = installation.handle({id: 3, command: "setConfig", args: {path: "countdown.duration", value: 5000}});
+    assert.equal(countdown.ok, true);
+    assert.equal(installation.config.countdown.duration, 5000);
+
+    const startup = installation.handle({id: 4, command: "setConfig", args: {path: "video.mirror", value: false}});
+    assert.equal(startup.ok, false);
+    assert.match(startup.error, /config\.json/);
+    assert.equal(installation.config.video.mirror, true);
+});
+
+test("startup settings are matched by section or by exact name", () => {
+    assert.equal(isStartupSetting("segmentation.architecture"), true);
+    assert.equal(isStartupSetting("wall.maxObjects"), false);
+    assert.equal(isStartupSetting("timelapse.autoStart"), true);
+    assert.equal(isStartupSetting("timelapse.interval"), false);
+    assert.equal(isStartupSetting("outlines.glow.blur"), false);
+});
@@ -0,0 +1,209 @@
+/*
+ * Tests for remoteServer.js, with a minimal WebSocket client on raw sockets
+ * Run with: node --test test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const net = require("net");
+const {OPCODES, encodeFrame, createFrameParser, createRemoteServer} = require("../remoteServer.js");
+
+const TOKEN = "test-token";
+
+function startServer() {
+    const server = createRemoteServer({token: TOKEN});
+    return new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+/**
+ * Connect, finish the handshake and collect incoming JSON messages
+ */
+function connectClient(server) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(server.address().port, "127.0.0.1");
+        const received = [];
+        const waiting = [];
+        let handshake = "";
+        let upgraded = false;
+
+        const feed = createFrameParser((opcode, payload) => {
+            const message = opcode === OPCODES.text ? JSON.parse(payload.toString("utf8")) : {opcode};
+            if (waiting.length > 0) waiting.shift()(message);
+            else received.push(message);
+        });
+
+        const client = {
+            socket,
+            send(message) {
+                socket.write(encodeFrame(JSON.stringify(message), OPCODES.text, true));
+            },
+            next() {
+                if (received.length > 0) return Promise.resolve(received.shift());
+                return new Promise(resolveMessage => waiting.push(resolveMessage));
+            },
+            close() {
+                socket.destroy();
+            }
+        };
+
+        socket.on("error", reject);
+        socket.on("connect", () => {
+            socket.write([
+                "GET /remote HTTP/1.1",
+                "Host: localhost",
+                "Upgrade: websocket",
+                "Connection: Upgrade",
+                `Sec-WebSocket-Key: ${crypto.randomBytes(16).toString("base64")}`,
+                "Sec-WebSocket-Version: 13",
+                "", ""
+            ].join("\r\n"));
+        });
+        socket.on("data", chunk => {
+            if (upgraded) {
+                feed(chunk);
+                return;
+            }
+            handshake += chunk.toString("latin1");
+            const end = handshake.indexOf("\r\n\r\n");
+            if (end === -1) return;
+
+            upgraded = true;
+            assert.match(handshake, /^HTTP\/1\.1 101/);
+            const rest = Buffer.from(handshake.slice(end + 4), "latin1");
+            if (rest.length > 0) feed(rest);
+            resolve(client);
+        });
+    });
+}
+
+async function connectAs(server, role, token = TOKEN) {
+    const client = await connectClient(server);
+    client.send({type: "hello", role, token});
+    client.welcome = await client.next();
+    return client;
+}
+
+test("frames survive encoding, masking and split delivery", () => {
+    const messages = [];
+    const feed = createFrameParser((opcode, payload) => messages.push([opcode, payload.toString()]));
+    const long = "x".repeat(70000);
+    const bytes = Buffer.concat([encodeFrame("hello", OPCODES.text, true), encodeFrame(long)]);
+
+    for (let i = 0; i < bytes.length; i += 1000) feed(bytes.subarray(i, i + 1000));
+
+    assert.deepEqual(messages, [[OPCODES.text, "hello"], [OPCODES.text, long]]);
+});
+
+test("frames arriving a byte at a time are put back together", () => {
+    const messages = [];
+    const feed = createFrameParser((opcode, payload) => messages.push([opcode, payload.toString()]));
+    const bytes = Buffer.concat([encodeFrame("x".repeat(300), OPCODES.text, true), encodeFrame("", OPCODES.ping)]);
+
+    for (let i = 0; i < bytes.length; i++) feed(bytes.subarray(i, i + 1));
+
+    assert.deepEqual(messages, [[OPCODES.text, "x".repeat(300)], [OPCODES.ping, ""]]);
+});
+
+test("oversized messages are refused, fragments included", () => {
+    const feed = createFrameParser(() => {}, () => 1000);
+    // Without FIN, as the first two fragments of one message
+    const fragment = opcode => {
+        const frame = encodeFrame("x".repeat(600), opcode, true);
+        frame[0] &= 0x7f;
+        return frame;
+    };
+
+    feed(fragment(OPCODES.text));
+    assert.throws(() => feed(fragment(OPCODES.continuation)), /too large/);
+    assert.throws(() => createFrameParser(() => {}, () => 1000)(encodeFrame("x".repeat(1001))), /too large/);
+});
+
+test("a client is dropped for a large message before saying hello", async () => {
+    const server = await startServer();
+    const stranger = await connectClient(server);
+    const closed = new Promise(resolve => stranger.socket.on("close", resolve));
+
+    // Even with the right token, the message is never read
+    stranger.send({type: "hello", role: "wall", token: TOKEN, padding: "x".repeat(10000)});
+    const answer = await Promise.race([closed.then(() => "closed"), stranger.next()]);
+    assert.equal(answer, "closed");
+
+    // The same size is fine once authenticated
+    const capture = await connectAs(server, "wall");
+    const display = await connectAs(server, "wall");
+    capture.send({type: "sync", message: {type: "add", record: "x".repeat(10000)}});
+    assert.equal((await display.next()).message.record.length, 10000);
+
+    capture.close();
+    display.close();
+    server.close();
+});
+
+test("a wrong token is refused and the connection closed", async () => {
+    const server = await startServer();
+    const client = await connectAs(server, "operator", "guess");
+
+    assert.deepEqual(client.welcome, {type: "error", error: "unauthorized"});
+    assert.deepEqual(await client.next(), {opcode: OPCODES.close});
+
+    client.close();
+    server.close();
+});
+
+test("commands go to the installation and results back to the operator who asked", async () => {
+    const server = await startServer();
+    const installation = await connectAs(server, "installation");
+    const operator = await connectAs(server, "operator");
+    const bystander = await connectAs(server, "operator");
+
+    assert.equal(installation.welcome.type, "welcome");
+    assert.equal(operator.welcome.role, "operator");
+
+    operator.send({type: "command", id: 7, command: "status", args: {}});
+    const command = await installation.next();
+    assert.deepEqual(command, {type: "command", id: 7, command: "status", args: {}, from: operator.welcome.clientId});
+
+    installation.send({type: "result", id: 7, to: command.from, ok: true, result: {wallObjects: 3}});
+    assert.deepEqual(await operator.next(), {type: "result", id: 7, ok: true, result: {wallObjects: 3}});
+
+    // Only the operator who asked gets the answer
+    bystander.send({type: "command", id: 1, command: "status"});
+    const second = await installation.next();
+    assert.equal(second.from, bystander.welcome.clientId);
+
+    for (const client of [installation, operator, bystander]) client.close();
+    server.close();
+});
+
+test("wall sync messages reach every other wall client", async () => {
+    const server = await startServer();
+    const capture = await connectAs(server, "wall");
+    const displays = [await connectAs(server, "wall"), await connectAs(server, "wall")];
+    const operator = await connectAs(server, "operator");
+
+    capture.send({type: "sync", message: {type: "remove", ids: [4]}});
+    for (const display of displays) {
+        assert.deepEqual(await display.next(), {type: "sync", message: {type: "remove", ids: [4]}});
+    }
+
+    // Displays reach the capture station the same way; operators are not part of the wall
+    displays[0].send({type: "sync", message: {type: "snapshotRequest"}});
+    assert.deepEqual(await capture.next(), {type: "sync", message: {type: "snapshotRequest"}});
+    operator.send({type: "command", id: 1, command: "status"});
+    assert.equal((await operator.next()).error, "no installation connected");
+
+    for (const client of [capture, ...displays, operator]) client.close();
+    server.close();
+});
+
+test("commands without an installation are answered by the server", async () => {
+    const server = await startServer();
+    const operator = await connectAs(server, "operator");
+
+    operator.send({type: "command", id: 2, command: "reset"});
+    assert.deepEqual(await operator.next(), {type: "result", id: 2, ok: false, error: "no installation connected"});
+
+    operator.close();
+    server.close();
+});
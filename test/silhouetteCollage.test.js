@@ -0,0 +1,48 @@
+/*
+ * Tests for silhouetteCollage.js
+ * Run with: node --test test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {DEFAULT_CONFIG} = require("../config.js");
+const {layoutCollageTiles, getOutlinesBounds} = require("../silhouetteCollage.js");
+
+const settings = DEFAULT_CONFIG.collage;
+
+test("collage tiles cover the whole area without gaps", () => {
+    const tiles = layoutCollageTiles(300, 200, 50, settings);
+
+    for (let y = 0; y <= 200; y += 10) {
+        for (let x = 0; x <= 300; x += 10) {
+            const covered = tiles.some(tile =>
+                Math.abs(tile.x - x) <= tile.size / 2 && Math.abs(tile.y - y) <= tile.size / 2
+            );
+            assert.ok(covered, `(${x}, ${y}) is not covered`);
+        }
+    }
+});
+
+test("without jitter or variation tiles sit on a plain grid", () => {
+    const tiles = layoutCollageTiles(100, 50, 50, {jitter: 0, sizeVariation: 0});
+
+    assert.deepEqual(tiles, [
+        {x: 25, y: 25, size: 50},
+        {x: 75, y: 25, size: 50}
+    ]);
+});
+
+test("outline bounds span every person, padded and kept on the canvas", () => {
+    const outlines = [
+        {contours: [[{x: 100, y: 50}, {x: 200, y: 300}]]},
+        {contours: [[{x: 350, y: 120}], [{x: 390, y: 470}]]}
+    ];
+
+    assert.deepEqual(getOutlinesBounds(outlines, 20, 400, 480), {x: 80, y: 30, width: 320, height: 450});
+});
+
+test("captures without contours have no collage area", () => {
+    assert.equal(getOutlinesBounds([], 10, 400, 400), null);
+    assert.equal(getOutlinesBounds(null, 10, 400, 400), null);
+    assert.equal(getOutlinesBounds([{contours: []}], 10, 400, 400), null);
+});
@@ -0,0 +1,105 @@
+/*
+ * Tests for the zip writer and the index writes in timelapse.js
+ * Run with: node --test test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const {crc32, createStoredZip} = require("../timelapse.js");
+
+test("crc32 matches the standard check value", () => {
+    assert.equal(crc32(new TextEncoder().encode("123456789")), 0xcbf43926);
+    assert.equal(crc32(new Uint8Array(0)), 0);
+});
+
+test("a stored zip lists every file with its offset, size and checksum", () => {
+    const files = [
+        {name: "frame-00001.png", data: new Uint8Array([1, 2, 3, 4])},
+        {name: "index.json", data: new TextEncoder().encode("{\"frames\":[]}")}
+    ];
+    const zip = createStoredZip(files);
+    const view = new DataView(zip.buffer);
+
+    // End of central directory record sits in the last 22 bytes
+    const end = zip.length - 22;
+    assert.equal(view.getUint32(end, true), 0x06054b50);
+    assert.equal(view.getUint16(end + 10, true), 2);
+
+    let central = view.getUint32(end + 16, true);
+    for (const file of files) {
+        assert.equal(view.getUint32(central, true), 0x02014b50);
+        assert.equal(view.getUint32(central + 16, true), crc32(file.data));
+        assert.equal(view.getUint32(central + 24, true), file.data.length);
+
+        const nameLength = view.getUint16(central + 28, true);
+        const name = new TextDecoder().decode(zip.subarray(central + 46, central + 46 + nameLength));
+        assert.equal(name, file.name);
+
+        // The local header points at the untouched file contents
+        const local = view.getUint32(central + 42, true);
+        assert.equal(view.getUint32(local, true), 0x04034b50);
+        const dataStart = local + 30 + view.getUint16(local + 26, true);
+        assert.deepEqual(zip.subarray(dataStart, dataStart + file.data.length), file.data);
+
+        central += 46 + nameLength;
+    }
+});
+
+/**
+ * timelapse.js with the endpoint output and a fetch that answers when told to
+ */
+function loadEndpointRecorder() {
+    const requests = [];
+    const context = vm.createContext({
+        CONFIG: {timelapse: {output: "endpoint", endpoint: "http://helper"}},
+        Blob,
+        console,
+        performance,
+        fetch: (url, options) => new Promise(resolve => {
+            requests.push({url, body: options.body, answer: () => resolve({ok: true})});
+        })
+    });
+    vm.runInContext(fs.readFileSync(path.join(__dirname, "..", "timelapse.js"), "utf8"), context);
+    return {context, requests};
+}
+
+// Let pending promise callbacks run
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test("index writes go out one at a time, each with the frames known by then", async () => {
+    const {context, requests} = loadEndpointRecorder();
+    context.startTimelapse();
+    const recording = vm.runInContext("timelapse", context);
+
+    recording.frames.push({file: "frame-00001.png"});
+    context.writeTimelapseIndex(recording);
+    recording.frames.push({file: "frame-00002.png"});
+    context.writeTimelapseIndex(recording);
+    await settle();
+    assert.equal(requests.length, 1);
+
+    requests[0].answer();
+    await settle();
+    assert.equal(requests.length, 2);
+    assert.match(requests[1].url, /\/index\.json$/);
+    assert.equal(JSON.parse(await requests[1].body.text()).frames.length, 2);
+});
+
+test("stopping writes a final index after the last frames", async () => {
+    const {context, requests} = loadEndpointRecorder();
+    context.startTimelapse();
+    const recording = vm.runInContext("timelapse", context);
+    recording.frames.push({file: "frame-00001.png"});
+
+    const stopped = context.stopTimelapse();
+    await settle();
+    assert.equal(requests.length, 1);
+    assert.match(requests[0].url, /\/timelapse-.*\/index\.json$/);
+    assert.equal(JSON.parse(await requests[0].body.text()).frames.length, 1);
+
+    requests[0].answer();
+    await stopped;
+});
@@ -0,0 +1,78 @@
+/*
+ * Tests for the frame-writing helper in timelapseHelper.js
+ * Run with: node --test test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {createTimelapseServer} = require("../timelapseHelper.js");
+
+/**
+ * A helper writing into a fresh temporary folder, listening on a free port
+ */
+async function startHelper(t) {
+    const outputFolder = fs.mkdtempSync(path.join(os.tmpdir(), "timelapse-"));
+    const server = createTimelapseServer({outputFolder});
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+    t.after(() => {
+        server.close();
+        fs.rmSync(outputFolder, {recursive: true, force: true});
+    });
+
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    return {outputFolder, request: (url, options) => fetch(baseUrl + url, options)};
+}
+
+test("a posted frame is written to its session folder", async t => {
+    const helper = await startHelper(t);
+    const frame = new Uint8Array([137, 80, 78, 71, 1, 2, 3]);
+
+    const response = await helper.request("/timelapse/session-1/frame-00001.png", {method: "POST", body: frame});
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("access-control-allow-origin"), "*");
+
+    const written = fs.readFileSync(path.join(helper.outputFolder, "session-1", "frame-00001.png"));
+    assert.deepEqual([...written], [...frame]);
+});
+
+test("a later post to the same file replaces it", async t => {
+    const helper = await startHelper(t);
+
+    await helper.request("/timelapse/session-1/index.json", {method: "POST", body: "{\"frames\":[1]}"});
+    await helper.request("/timelapse/session-1/index.json", {method: "POST", body: "{\"frames\":[1,2]}"});
+
+    const written = fs.readFileSync(path.join(helper.outputFolder, "session-1", "index.json"), "utf8");
+    assert.equal(written, "{\"frames\":[1,2]}");
+});
+
+test("preflight requests are answered for the browser", async t => {
+    const helper = await startHelper(t);
+
+    const response = await helper.request("/timelapse/session-1/frame-00001.png", {method: "OPTIONS"});
+    assert.equal(response.status, 204);
+    assert.match(response.headers.get("access-control-allow-methods"), /POST/);
+});
+
+test("anything but POST /timelapse/<session>/<file> is refused", async t => {
+    const helper = await startHelper(t);
+
+    for (const [method, url] of [["GET", "/timelapse/session-1/frame.png"], ["POST", "/timelapse/frame.png"], ["POST", "/other/session-1/frame.png"]]) {
+        const response = await helper.request(url, {method, body: method === "POST" ? "x" : undefined});
+        assert.equal(response.status, 404, `${method} ${url}`);
+    }
+    assert.deepEqual(fs.readdirSync(helper.outputFolder), []);
+});
+
+test("names that could leave the timelapse folder are refused", async t => {
+    const helper = await startHelper(t);
+
+    for (const url of ["/timelapse/../frame.png", "/timelapse/session-1/..", "/timelapse/.hidden/frame.png", "/timelapse/session-1/%2E%2E%2Fframe.png"]) {
+        const response = await helper.request(url, {method: "POST", body: "x"});
+        assert.ok(response.status === 400 || response.status === 404, `${url} answered ${response.status}`);
+    }
+    assert.deepEqual(fs.readdirSync(helper.outputFolder), []);
+});
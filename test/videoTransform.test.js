@@ -0,0 +1,125 @@
+/*
+ * Tests for videoTransform.js
+ * Run with: node --test test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const {createVideoTransform, invertMatrix, buildVideoMatrix} = require("../videoTransform.js");
+
+function makeTransform(settings, source = [640, 480], target = [1920, 1080]) {
+    const transform = createVideoTransform({fit: "contain", mirror: false, rotation: 0, ...settings});
+    transform.resize(source[0], source[1], target[0], target[1]);
+    return transform;
+}
+
+function assertPoint(actual, expected) {
+    assert.ok(Math.abs(actual.x - expected.x) < 1e-9 && Math.abs(actual.y - expected.y) < 1e-9,
+        `expected (${expected.x}, ${expected.y}), got (${actual.x}, ${actual.y})`);
+}
+
+test("contain letterboxes a 4:3 camera on a 16:9 canvas", () => {
+    const transform = makeTransform({fit: "contain"});
+
+    assertPoint(transform.toCanvas({x: 0, y: 0}), {x: 240, y: 0});
+    assertPoint(transform.toCanvas({x: 640, y: 480}), {x: 1680, y: 1080});
+    assert.deepEqual(transform.getVideoRect(), {x: 240, y: 0, width: 1440, height: 1080});
+});
+
+test("cover fills the canvas and crops top and bottom", () => {
+    const transform = makeTransform({fit: "cover"});
+
+    assertPoint(transform.toCanvas({x: 0, y: 240}), {x: 0, y: 540});
+    assertPoint(transform.toCanvas({x: 640, y: 0}), {x: 1920, y: -180});
+});
+
+test("stretch and none scale each axis on their own or not at all", () => {
+    assertPoint(makeTransform({fit: "stretch"}).toCanvas({x: 640, y: 480}), {x: 1920, y: 1080});
+    assertPoint(makeTransform({fit: "none"}).toCanvas({x: 100, y: 50}), {x: 100, y: 50});
+});
+
+test("mirroring swaps left and right", () => {
+    const transform = makeTransform({fit: "stretch", mirror: true});
+
+    assertPoint(transform.toCanvas({x: 0, y: 0}), {x: 1920, y: 0});
+    assertPoint(transform.toCanvas({x: 160, y: 480}), {x: 1440, y: 1080});
+});
+
+test("a camera rotated 90 degrees fills a portrait canvas", () => {
+    const transform = makeTransform({fit: "contain", rotation: 90}, [640, 480], [1080, 1440]);
+
+    // The video's top-left corner ends up top-right, its top-right bottom-right
+    assertPoint(transform.toCanvas({x: 0, y: 0}), {x: 1080, y: 0});
+    assertPoint(transform.toCanvas({x: 640, y: 0}), {x: 1080, y: 1440});
+    assert.deepEqual(transform.getVideoRect(), {x: 0, y: 0, width: 1080, height: 1440});
+});
+
+test("rotations of 180 and 270 degrees", () => {
+    assertPoint(makeTransform({fit: "none", rotation: 180}).toCanvas({x: 0, y: 0}), {x: 640, y: 480});
+    assertPoint(makeTransform({fit: "none", rotation: 270}).toCanvas({x: 0, y: 0}), {x: 0, y: 640});
+});
+
+test("toVideo undoes toCanvas", () => {
+    const transform = makeTransform({fit: "cover", mirror: true, rotation: 270});
+    const point = {x: 123, y: 321};
+
+    assertPoint(transform.toVideo(transform.toCanvas(point)), point);
+
+    const matrix = buildVideoMatrix({fit: "contain", mirror: true, rotation: 90}, {width: 640, height: 480}, {width: 800, height: 600});
+    const roundTrip = invertMatrix(invertMatrix(matrix));
+    for (const key of Object.keys(matrix)) assert.ok(Math.abs(roundTrip[key] - matrix[key]) < 1e-9);
+});
+
+test("resize reports changes and follows a new camera resolution", () => {
+    const transform = makeTransform({fit: "stretch"});
+
+    assert.equal(transform.resize(640, 480, 1920, 1080), false);
+    assert.equal(transform.resize(1280, 720, 1920, 1080), true);
+    assertPoint(transform.toCanvas({x: 1280, y: 720}), {x: 1920, y: 1080});
+});
+
+test("nothing is mapped before the sizes are known", () => {
+    const transform = createVideoTransform({fit: "contain", mirror: false, rotation: 0});
+
+    assert.equal(transform.isReady(), false);
+    assert.equal(transform.resize(0, 0, 1920, 1080), false);
+    assert.equal(transform.isReady(), false);
+});
+
+test("poses keep their fields and get canvas keypoints, named keypoints and box", () => {
+    const transform = makeTransform({fit: "stretch", mirror: true}, [100, 100], [200, 100]);
+    const nose = {name: "nose", x: 10, y: 20, confidence: 0.9};
+    const [pose] = transform.mapPoses([{
+        id: 3,
+        keypoints: [nose],
+        nose: nose,
+        box: {xMin: 10, yMin: 20, xMax: 30, yMax: 60, width: 20, height: 40}
+    }]);
+
+    assert.equal(pose.id, 3);
+    assert.deepEqual(pose.keypoints[0], {name: "nose", x: 180, y: 20, confidence: 0.9});
+    assert.equal(pose.nose, pose.keypoints[0]);
+    assert.deepEqual(pose.box, {xMin: 140, yMin: 20, xMax: 180, yMax: 60, width: 40, height: 40});
+    assert.equal(nose.x, 10, "the original pose is left alone");
+});
+
+test("contours are mapped point by point", () => {
+    const transform = makeTransform({fit: "stretch"}, [100, 100], [200, 200]);
+
+    assert.deepEqual(transform.mapContours([[{x: 1, y: 2}, {x: 3, y: 4}]]), [[{x: 2, y: 4}, {x: 6, y: 8}]]);
+});
+
+test("mapping survives p5 taking over its global function names", () => {
+    // Like a classic <script>: top-level functions become globals, then p5
+    // global mode writes its own functions (applyMatrix among them) over them
+    const context = vm.createContext({});
+    vm.runInContext(fs.readFileSync(path.join(__dirname, "../videoTransform.js"), "utf8"), context);
+    vm.runInContext("applyMatrix = () => ({});", context);
+
+    const transform = context.createVideoTransform({fit: "stretch", mirror: true, rotation: 0});
+    transform.resize(640, 480, 1280, 960);
+    assertPoint(transform.toCanvas({x: 0, y: 0}), {x: 1280, y: 0});
+});
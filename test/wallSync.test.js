@@ -0,0 +1,149 @@
+/*
+ * Tests for the sections and messages in wallSync.js
+ * Run with: node --test test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {createSectionMapping, mapCommemorativeRecord, createWallSync} = require("../wallSync.js");
+
+function createRecord(id, x = 100, y = 50) {
+    return {
+        id,
+        capturedAt: 1000,
+        peopleCount: 1,
+        outlines: [{personId: 1, personColor: [255, 0, 0], colorIndex: 0, style: null, contours: [[{x, y}, {x: x + 10, y}, {x, y: y + 10}]]}],
+        images: [{filename: "a.jpg", x, y, width: 40, height: 20}],
+        collage: null
+    };
+}
+
+/**
+ * A fake wall for one instance; its records are kept in its own canvas pixels
+ */
+function createFakeInstance(role, section, canvasWidth, canvasHeight, bus) {
+    const instance = {records: [], cleared: 0};
+
+    instance.sync = createWallSync({
+        role,
+        mapping: createSectionMapping(section, canvasWidth, canvasHeight),
+        // Like BroadcastChannel: everyone but the sender
+        send: message => bus.filter(other => other !== instance).forEach(other => other.sync.receive(message)),
+        wall: {
+            getRecords: () => instance.records,
+            add: record => instance.records.push(record),
+            remove: ids => { instance.records = instance.records.filter(record => !ids.includes(record.id)); },
+            clear: () => {
+                instance.records = [];
+                instance.cleared++;
+            },
+            replace: records => { instance.records = records; }
+        }
+    });
+    bus.push(instance);
+    return instance;
+}
+
+test("sections map canvas pixels to the shared canvas and back", () => {
+    // The right half of a 3840 x 1080 wall, on a 960 x 540 window
+    const mapping = createSectionMapping({x: 1920, y: 0, width: 1920, height: 1080}, 960, 540);
+
+    assert.deepEqual(mapping.toVirtual.point({x: 480, y: 270}), {x: 2880, y: 540});
+    assert.deepEqual(mapping.fromVirtual.point({x: 2880, y: 540}), {x: 480, y: 270});
+    assert.equal(mapping.fromVirtual.scaleX, 0.5);
+});
+
+test("records keep everything but positions and sizes", () => {
+    const record = {...createRecord(3), collage: {dataUrl: "data:", x: 10, y: 20, width: 100, height: 200, opacity: 0.9}};
+    const mapped = mapCommemorativeRecord(record, createSectionMapping({x: 0, y: 0, width: 200, height: 100}, 400, 200).fromVirtual);
+
+    assert.deepEqual(mapped.outlines[0].contours[0][0], {x: 200, y: 100});
+    assert.deepEqual(mapped.images[0], {filename: "a.jpg", x: 200, y: 100, width: 80, height: 40});
+    assert.deepEqual(mapped.collage, {dataUrl: "data:", x: 20, y: 40, width: 200, height: 400, opacity: 0.9});
+    assert.equal(mapped.outlines[0].personColor, record.outlines[0].personColor);
+    assert.equal(record.images[0].x, 100); // The original is untouched
+});
+
+test("captures, removals and resets reach every display in its own section", () => {
+    const bus = [];
+    const capture = createFakeInstance("capture", {x: 0, y: 0, width: 2000, height: 1000}, 1000, 500, bus);
+    const left = createFakeInstance("display", {x: 0, y: 0, width: 1000, height: 1000}, 500, 500, bus);
+    const right = createFakeInstance("display", {x: 1000, y: 0, width: 1000, height: 1000}, 500, 500, bus);
+
+    // (600, 100) on the capture station is (1200, 200) on the shared canvas
+    capture.sync.publishAdd(createRecord(1, 600, 100));
+    assert.deepEqual(left.records[0].images[0], {filename: "a.jpg", x: 600, y: 100, width: 40, height: 20});
+    assert.deepEqual(right.records[0].images[0], {filename: "a.jpg", x: 100, y: 100, width: 40, height: 20});
+
+    capture.sync.publishAdd(createRecord(2));
+    capture.sync.publishRemove([1]);
+    assert.deepEqual(right.records.map(record => record.id), [2]);
+
+    capture.sync.publishClear();
+    assert.equal(left.cleared, 1);
+    assert.deepEqual(right.records, []);
+});
+
+test("a display that connects late catches up from the capture station", () => {
+    const bus = [];
+    const capture = createFakeInstance("capture", {x: 0, y: 0, width: 1000, height: 500}, 1000, 500, bus);
+    capture.records = [createRecord(1), createRecord(2)];
+    capture.sync.publishAdd(createRecord(2)); // Nobody listening yet
+
+    const display = createFakeInstance("display", {x: 0, y: 0, width: 1000, height: 500}, 2000, 1000, bus);
+    display.records = [createRecord(9)]; // Stale, from before a reconnect
+    display.sync.connected();
+
+    assert.deepEqual(display.records.map(record => record.id), [1, 2]);
+    assert.equal(display.records[0].images[0].x, 200);
+});
+
+test("a capture station that reconnects pushes what displays missed", () => {
+    const bus = [];
+    const capture = createFakeInstance("capture", {x: 0, y: 0, width: 1000, height: 500}, 1000, 500, bus);
+    const display = createFakeInstance("display", {x: 0, y: 0, width: 1000, height: 500}, 1000, 500, bus);
+
+    // First connection: nothing to push, the display keeps its wall
+    display.records = [createRecord(1)];
+    capture.sync.connected();
+    assert.deepEqual(display.records.map(record => record.id), [1]);
+
+    // Captures made while cut off never reached the display
+    capture.records = [createRecord(1), createRecord(2), createRecord(3)];
+    capture.sync.connected();
+    assert.deepEqual(display.records.map(record => record.id), [1, 2, 3]);
+});
+
+test("displays that connected before the capture station restored its wall get it afterwards", () => {
+    const bus = [];
+    const capture = createFakeInstance("capture", {x: 0, y: 0, width: 1000, height: 500}, 1000, 500, bus);
+    const display = createFakeInstance("display", {x: 0, y: 0, width: 1000, height: 500}, 1000, 500, bus);
+
+    // Everything restarted: the display asks while the saved wall is still loading
+    capture.sync.connected();
+    display.sync.connected();
+    assert.deepEqual(display.records, []);
+
+    capture.records = [createRecord(1), createRecord(2)];
+    capture.sync.publishSnapshot();
+    assert.deepEqual(display.records.map(record => record.id), [1, 2]);
+
+    // Displays have nothing to publish
+    display.sync.publishSnapshot();
+    assert.deepEqual(capture.records.map(record => record.id), [1, 2]);
+});
+
+test("displays never publish and capture stations ignore wall messages", () => {
+    const bus = [];
+    const capture = createFakeInstance("capture", {x: 0, y: 0, width: 100, height: 100}, 100, 100, bus);
+    const display = createFakeInstance("display", {x: 0, y: 0, width: 100, height: 100}, 100, 100, bus);
+    const other = createFakeInstance("display", {x: 0, y: 0, width: 100, height: 100}, 100, 100, bus);
+
+    display.sync.publishAdd(createRecord(1));
+    display.sync.publishClear();
+    capture.sync.receive({type: "add", record: createRecord(5)});
+
+    assert.deepEqual(other.records, []);
+    assert.equal(other.cleared, 0);
+    assert.deepEqual(capture.records, []);
+});
@@ -0,0 +1,318 @@
+/*
+ * timelapse.js - Time-Lapse Export of the Wall
+ * A DAY OF THE WALL BUILDING UP, FRAME BY FRAME
+ *
+ * While recording, the canvas is snapshotted every CONFIG.timelapse.interval
+ * milliseconds and once more after every new commemorative object. Frames
+ * are numbered PNGs (frame-00001.png, ...) plus an index.json describing
+ * each frame. Snapshots are taken at the end of draw() and encoded with
+ * canvas.toBlob, which works in the background, so draw() never waits.
+ *
+ * Output (CONFIG.timelapse.output):
+ * - "download": frames are kept in memory and downloaded as a zip when the
+ *   recording stops. Every maxFramesPerZip frames a part is downloaded and
+ *   memory is freed, so a whole day can be recorded.
+ * - "endpoint": every frame (and the updated index) is POSTed to the local
+ *   helper, see timelapseHelper.js, which writes them to disk. Index writes
+ *   go out one after the other, and the last one when the recording stops.
+ *
+ * index.json format:
+ * {
+ *   version: 1,
+ *   startedAt: ISO date string,
+ *   width, height,                          // frame size in pixels
+ *   frames: [{
+ *     file: "frame-00001.png",
+ *     t: ms since the recording started,
+ *     time: ISO date string,
+ *     reasons: ["interval", "capture"],
+ *     captures: [{id, capturedAt, peopleCount}], // objects added since the last frame
+ *     wallObjects: number,                       // objects on the wall in this frame
+ *     wallPeople: number                         // people across those objects
+ *   }]
+ * }
+ */
+
+const TIMELAPSE_INDEX_VERSION = 1;
+
+let timelapse = null;        // Active recording, or null
+let timelapseCanvas = null;  // Reusable downscaling canvas
+
+function startTimelapse() {
+    const startedAt = new Date().toISOString();
+
+    timelapse = {
+        startTime: performance.now(),
+        startedAt: startedAt,
+        session: `timelapse-${startedAt.replace(/[:.]/g, "-")}`,
+        frames: [],           // index.json entries
+        files: [],            // {name, blob} waiting to be zipped (download output)
+        encoding: [],         // toBlob promises still running
+        indexWrite: Promise.resolve(), // Last index.json POST (endpoint output)
+        part: 1,
+        lastFrameTime: -Infinity,
+        pendingReasons: new Set(),
+        pendingCaptures: []
+    };
+}
+
+function isTimelapseRecording() {
+    return timelapse !== null;
+}
+
+/**
+ * Ask for a snapshot of the next finished frame, e.g. after a capture
+ */
+function requestTimelapseFrame(reason, capture) {
+    if (!timelapse) return;
+
+    timelapse.pendingReasons.add(reason);
+    if (capture) {
+        timelapse.pendingCaptures.push({
+            id: capture.id,
+            capturedAt: new Date(capture.capturedAt).toISOString(),
+            peopleCount: capture.peopleCount
+        });
+    }
+}
+
+/**
+ * Called at the end of draw(): take a snapshot if one is due
+ * @param {Array} wallObjects - The objects currently on the wall
+ */
+function updateTimelapse(wallObjects) {
+    if (!timelapse) return;
+
+    const settings = CONFIG.timelapse;
+    const elapsed = performance.now() - timelapse.startTime;
+
+    if (settings.interval > 0 && elapsed - timelapse.lastFrameTime >= settings.interval) {
+        timelapse.pendingReasons.add("interval");
+    }
+    if (timelapse.pendingReasons.size === 0) return;
+
+    snapshotTimelapseFrame(wallObjects, elapsed);
+}
+
+function snapshotTimelapseFrame(wallObjects, elapsed) {
+    const entry = {
+        file: `frame-${String(timelapse.frames.length + 1).padStart(5, "0")}.png`,
+        t: Math.round(elapsed),
+        time: new Date().toISOString(),
+        reasons: [...timelapse.pendingReasons],
+        captures: timelapse.pendingCaptures,
+        wallObjects: wallObjects.length,
+        wallPeople: wallObjects.reduce((sum, obj) => sum + (obj.peopleCount || 0), 0)
+    };
+
+    timelapse.frames.push(entry);
+    timelapse.lastFrameTime = elapsed;
+    timelapse.pendingReasons = new Set();
+    timelapse.pendingCaptures = [];
+
+    const recording = timelapse;
+    const encoded = encodeCanvasFrame(CONFIG.timelapse.scale)
+        .then(blob => storeTimelapseFrame(recording, entry.file, blob))
+        .catch(error => console.warn(`Time-lapse: could not save ${entry.file}:`, error));
+
+    recording.encoding.push(encoded);
+    encoded.then(() => {
+        recording.encoding = recording.encoding.filter(pending => pending !== encoded);
+    });
+}
+
+/**
+ * PNG-encode the current canvas, downscaled by `scale`
+ * The pixels are copied right away; the encoding itself happens asynchronously.
+ */
+function encodeCanvasFrame(scale) {
+    const source = drawingContext.canvas;
+    let target = source;
+
+    if (scale < 1) {
+        if (!timelapseCanvas) timelapseCanvas = document.createElement("canvas");
+        timelapseCanvas.width = Math.max(1, Math.round(source.width * scale));
+        timelapseCanvas.height = Math.max(1, Math.round(source.height * scale));
+        timelapseCanvas.getContext("2d").drawImage(source, 0, 0, timelapseCanvas.width, timelapseCanvas.height);
+        target = timelapseCanvas;
+    }
+
+    timelapse.width = target.width;
+    timelapse.height = target.height;
+
+    return new Promise((resolve, reject) => {
+        target.toBlob(blob => (blob ? resolve(blob) : reject(new Error("toBlob returned nothing"))), "image/png");
+    });
+}
+
+function storeTimelapseFrame(recording, name, blob) {
+    if (CONFIG.timelapse.output === "endpoint") {
+        return postTimelapseFile(recording, name, blob)
+            .then(() => writeTimelapseIndex(recording));
+    }
+
+    recording.files.push({name, blob});
+    if (recording.files.length >= CONFIG.timelapse.maxFramesPerZip) {
+        return downloadTimelapseZip(recording);
+    }
+}
+
+function postTimelapseFile(recording, name, blob) {
+    return fetch(`${CONFIG.timelapse.endpoint}/${recording.session}/${name}`, {method: "POST", body: blob})
+        .then(response => {
+            if (!response.ok) throw new Error(`helper answered ${response.status}`);
+        });
+}
+
+/**
+ * POST the index once the previous index write is done
+ * Otherwise an older index could arrive last and replace a newer one.
+ */
+function writeTimelapseIndex(recording) {
+    recording.indexWrite = recording.indexWrite
+        .catch(() => {}) // A failed write shouldn't stop the next one
+        .then(() => postTimelapseFile(recording, "index.json", buildTimelapseIndexBlob(recording)));
+    return recording.indexWrite;
+}
+
+function buildTimelapseIndex(recording) {
+    return {
+        version: TIMELAPSE_INDEX_VERSION,
+        startedAt: recording.startedAt,
+        width: recording.width,
+        height: recording.height,
+        frames: recording.frames
+    };
+}
+
+function buildTimelapseIndexBlob(recording) {
+    return new Blob([JSON.stringify(buildTimelapseIndex(recording), null, 2)], {type: "application/json"});
+}
+
+/**
+ * Zip the frames collected so far (with the full index) and download them
+ * Large recordings are split into numbered parts.
+ */
+function downloadTimelapseZip(recording) {
+    const files = recording.files.splice(0);
+    files.push({name: "index.json", blob: buildTimelapseIndexBlob(recording)});
+
+    return Promise.all(files.map(file => file.blob.arrayBuffer())).then(buffers => {
+        const zip = createStoredZip(files.map((file, i) => ({name: file.name, data: new Uint8Array(buffers[i])})));
+        const link = document.createElement("a");
+        link.href = URL.createObjectURL(new Blob([zip], {type: "application/zip"}));
+        link.download = `${recording.session}-part${recording.part++}.zip`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+    });
+}
+
+/**
+ * Stop recording and deliver what is left once the last frames are encoded
+ * @returns {Promise} Resolves when the output is written
+ */
+function stopTimelapse() {
+    if (!timelapse) return Promise.resolve();
+
+    const recording = timelapse;
+    timelapse = null;
+
+    return Promise.all(recording.encoding).then(() => {
+        if (CONFIG.timelapse.output === "endpoint") {
+            // Includes frames whose own index write was still waiting
+            return writeTimelapseIndex(recording)
+                .catch(error => console.warn("Time-lapse: could not save index.json:", error));
+        }
+        if (recording.files.length > 0) {
+            return downloadTimelapseZip(recording);
+        }
+    });
+}
+
+// ========== ZIP ==========
+
+let crc32Table = null;
+
+function crc32(bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crc32Table[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crc32Table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a zip archive without compression ("stored")
+ * PNGs are already compressed, so deflating them again would only cost time.
+ *
+ * @param {Array} files - [{name, data: Uint8Array}]
+ * @returns {Uint8Array} The complete archive
+ */
+function createStoredZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const crc = crc32(file.data);
+        const size = file.data.length;
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);  // Local file header signature
+        local.setUint16(4, 20, true);          // Version needed to extract
+        local.setUint16(8, 0, true);           // Method: stored
+        local.setUint32(14, crc, true);
+        local.setUint32(18, size, true);       // Compressed size
+        local.setUint32(22, size, true);       // Uncompressed size
+        local.setUint16(26, name.length, true);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true); // Central directory signature
+        central.setUint16(4, 20, true);         // Version made by
+        central.setUint16(6, 20, true);         // Version needed to extract
+        central.setUint16(10, 0, true);         // Method: stored
+        central.setUint32(16, crc, true);
+        central.setUint32(20, size, true);
+        central.setUint32(24, size, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);    // Where the local header starts
+
+        localParts.push(new Uint8Array(local.buffer), name, file.data);
+        centralParts.push(new Uint8Array(central.buffer), name);
+        offset += 30 + name.length + size;
+    }
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);         // End of central directory signature
+    end.setUint16(8, files.length, true);       // Entries on this disk
+    end.setUint16(10, files.length, true);      // Entries in total
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);            // Where the central directory starts
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    for (const part of parts) {
+        zip.set(part, position);
+        position += part.length;
+    }
+    return zip;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {crc32, createStoredZip};
+}
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+/*
+ * Local helper that writes time-lapse frames to disk
+ *
+ * Run it next to the installation with `node timelapseHelper.js [port]` and
+ * set CONFIG.timelapse.output to "endpoint". The sketch POSTs every frame to
+ *   http://localhost:<port>/timelapse/<session>/<file>
+ * and the file ends up in timelapse/<session>/<file>.
+ *
+ * Only plain file names are accepted, so nothing can be written outside
+ * the timelapse folder. No dependencies - Node's http module only.
+ */
+
+const DEFAULT_PORT = 8090;
+const outputFolderPath = path.join(__dirname, 'timelapse');
+const SAFE_NAME = /^[\w.-]+$/;
+
+function sendResponse(response, status, message) {
+    response.writeHead(status, {
+        'Content-Type': 'text/plain',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    response.end(message);
+}
+
+/**
+ * The request handler, writing frames below outputFolder
+ */
+function createTimelapseHandler(outputFolder = outputFolderPath) {
+    return (request, response) => handleRequest(request, response, outputFolder);
+}
+
+/**
+ * The helper's HTTP server (not listening yet)
+ * @param {Object} options - {outputFolder}, defaults to timelapse/ next to this script
+ */
+function createTimelapseServer(options = {}) {
+    return http.createServer(createTimelapseHandler(options.outputFolder));
+}
+
+function handleRequest(request, response, outputFolder) {
+    if (request.method === 'OPTIONS') {
+        sendResponse(response, 204, '');
+        return;
+    }
+
+    const parts = request.url.split('?')[0].split('/').filter(Boolean);
+    const [prefix, session, file] = parts;
+
+    if (request.method !== 'POST' || parts.length !== 3 || prefix !== 'timelapse') {
+        sendResponse(response, 404, 'Expected POST /timelapse/<session>/<file>');
+        return;
+    }
+    if (!SAFE_NAME.test(session) || !SAFE_NAME.test(file) || session.startsWith('.') || file.startsWith('.')) {
+        sendResponse(response, 400, 'Invalid session or file name');
+        return;
+    }
+
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+        const sessionFolderPath = path.join(outputFolder, session);
+        try {
+            fs.mkdirSync(sessionFolderPath, {recursive: true});
+            fs.writeFileSync(path.join(sessionFolderPath, file), Buffer.concat(chunks));
+            sendResponse(response, 200, 'ok');
+        } catch (error) {
+            console.error(`❌ Could not write ${session}/${file}:`, error.message);
+            sendResponse(response, 500, 'Write failed');
+        }
+    });
+}
+
+function main() {
+    const port = Number(process.argv[2] || process.env.TIMELAPSE_PORT || DEFAULT_PORT);
+    const server = createTimelapseServer();
+
+    server.listen(port, '127.0.0.1', () => {
+        console.log(`🎞️  Time-lapse helper listening on http://localhost:${port}/timelapse`);
+        console.log(`📁 Frames are written to: ${outputFolderPath}`);
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    createTimelapseHandler,
+    createTimelapseServer
+};
@@ -0,0 +1,250 @@
+/*
+ * videoTransform.js - From Camera Pixels to Canvas Pixels
+ * ONE MAPPING FOR POSES, MASKS AND OUTLINES
+ *
+ * Pose keypoints and segmentation masks come in video pixels: the camera's
+ * own resolution and orientation. Everything on the wall is in canvas
+ * pixels. This module is the only place that converts between the two, so
+ * projectors, portrait screens and other webcams line up without offsets.
+ *
+ * The mapping (CONFIG.video) is applied in this order:
+ * 1. rotation: 0, 90, 180 or 270 degrees clockwise (cameras mounted sideways)
+ * 2. mirror:   flip left and right, so visitors see themselves as in a mirror
+ * 3. fit:      contain - the whole picture, letterboxed
+ *              cover   - fill the canvas, cropping the picture
+ *              stretch - fill the canvas, distorting the picture
+ *              none    - video pixels are canvas pixels (top-left aligned)
+ *
+ * Mirroring happens here, so ml5 is asked for unflipped poses and masks.
+ *
+ * The camera can change resolution while running (and the canvas can
+ * change size); resize() is called every frame with the current sizes and
+ * only rebuilds the mapping when one of them changed.
+ *
+ * The mapping is a plain affine matrix {a, b, c, d, e, f} in the canvas
+ * convention (x' = a*x + c*y + e, y' = b*x + d*y + f), so masks can be
+ * drawn through it with drawingContext.setTransform.
+ */
+
+const IDENTITY_MATRIX = {a: 1, b: 0, c: 0, d: 1, e: 0, f: 0};
+
+/**
+ * @param {Object} settings - CONFIG.video: {fit, mirror, rotation}
+ */
+function createVideoTransform(settings) {
+    const source = {width: 0, height: 0};
+    const target = {width: 0, height: 0};
+    let matrix = IDENTITY_MATRIX;
+    let inverse = IDENTITY_MATRIX;
+
+    /**
+     * Set the video and canvas sizes
+     * @returns {boolean} Whether the mapping changed
+     */
+    function resize(sourceWidth, sourceHeight, targetWidth, targetHeight) {
+        if (!sourceWidth || !sourceHeight || !targetWidth || !targetHeight) return false;
+        if (source.width === sourceWidth && source.height === sourceHeight &&
+            target.width === targetWidth && target.height === targetHeight) {
+            return false;
+        }
+
+        source.width = sourceWidth;
+        source.height = sourceHeight;
+        target.width = targetWidth;
+        target.height = targetHeight;
+
+        matrix = buildVideoMatrix(settings, source, target);
+        inverse = invertMatrix(matrix);
+        return true;
+    }
+
+    function isReady() {
+        return source.width > 0 && target.width > 0;
+    }
+
+    function toCanvas(point) {
+        return transformPoint(matrix, point);
+    }
+
+    function toVideo(point) {
+        return transformPoint(inverse, point);
+    }
+
+    /**
+     * Copies of keypoints with canvas coordinates (confidence, name etc. are kept)
+     */
+    function mapKeypoints(keypoints) {
+        return keypoints.map(keypoint => ({...keypoint, ...toCanvas(keypoint)}));
+    }
+
+    /**
+     * Map ml5 pose results: the keypoints array, the named keypoints and the box
+     */
+    function mapPoses(poses) {
+        return poses.map(pose => {
+            const mapped = {...pose, keypoints: mapKeypoints(pose.keypoints || [])};
+
+            for (const keypoint of mapped.keypoints) {
+                if (keypoint.name && pose[keypoint.name]) mapped[keypoint.name] = keypoint;
+            }
+            if (pose.box) {
+                mapped.box = mapBox(pose.box);
+            }
+            return mapped;
+        });
+    }
+
+    function mapContours(contours) {
+        return contours.map(contour => contour.map(toCanvas));
+    }
+
+    /**
+     * Where the whole video ends up on the canvas (before clipping to it)
+     */
+    function getVideoRect() {
+        const box = mapBox({xMin: 0, yMin: 0, xMax: source.width, yMax: source.height});
+        return {x: box.xMin, y: box.yMin, width: box.width, height: box.height};
+    }
+
+    function mapBox(box) {
+        const corners = [
+            toCanvas({x: box.xMin, y: box.yMin}),
+            toCanvas({x: box.xMax, y: box.yMin}),
+            toCanvas({x: box.xMin, y: box.yMax}),
+            toCanvas({x: box.xMax, y: box.yMax})
+        ];
+        const xMin = Math.min(...corners.map(point => point.x));
+        const yMin = Math.min(...corners.map(point => point.y));
+        const xMax = Math.max(...corners.map(point => point.x));
+        const yMax = Math.max(...corners.map(point => point.y));
+        return {xMin, yMin, xMax, yMax, width: xMax - xMin, height: yMax - yMin};
+    }
+
+    return {
+        settings,
+        source,
+        target,
+        resize,
+        isReady,
+        toCanvas,
+        toVideo,
+        mapKeypoints,
+        mapPoses,
+        mapContours,
+        getVideoRect,
+        getMatrix: () => matrix
+    };
+}
+
+/**
+ * Compose rotation, mirroring and fit into one matrix
+ */
+function buildVideoMatrix(settings, source, target) {
+    const rotation = ((settings.rotation % 360) + 360) % 360;
+    const sideways = rotation === 90 || rotation === 270;
+    const rotatedWidth = sideways ? source.height : source.width;
+    const rotatedHeight = sideways ? source.width : source.height;
+
+    let rotate = IDENTITY_MATRIX;
+    if (rotation === 90) rotate = {a: 0, b: 1, c: -1, d: 0, e: source.height, f: 0};
+    if (rotation === 180) rotate = {a: -1, b: 0, c: 0, d: -1, e: source.width, f: source.height};
+    if (rotation === 270) rotate = {a: 0, b: -1, c: 1, d: 0, e: 0, f: source.width};
+
+    const mirror = settings.mirror
+        ? {a: -1, b: 0, c: 0, d: 1, e: rotatedWidth, f: 0}
+        : IDENTITY_MATRIX;
+
+    let scaleX = target.width / rotatedWidth;
+    let scaleY = target.height / rotatedHeight;
+    if (settings.fit === "contain") scaleX = scaleY = Math.min(scaleX, scaleY);
+    if (settings.fit === "cover") scaleX = scaleY = Math.max(scaleX, scaleY);
+    if (settings.fit === "none") scaleX = scaleY = 1;
+
+    const fit = settings.fit === "none"
+        ? IDENTITY_MATRIX
+        : {
+            a: scaleX, b: 0, c: 0, d: scaleY,
+            e: (target.width - rotatedWidth * scaleX) / 2,
+            f: (target.height - rotatedHeight * scaleY) / 2
+        };
+
+    return multiplyMatrices(fit, multiplyMatrices(mirror, rotate));
+}
+
+/**
+ * The matrix that applies `second` first, then `first`
+ */
+function multiplyMatrices(first, second) {
+    return {
+        a: first.a * second.a + first.c * second.b,
+        b: first.b * second.a + first.d * second.b,
+        c: first.a * second.c + first.c * second.d,
+        d: first.b * second.c + first.d * second.d,
+        e: first.a * second.e + first.c * second.f + first.e,
+        f: first.b * second.e + first.d * second.f + first.f
+    };
+}
+
+function invertMatrix(m) {
+    const determinant = m.a * m.d - m.b * m.c;
+    if (determinant === 0) return IDENTITY_MATRIX;
+
+    return {
+        a: m.d / determinant,
+        b: -m.b / determinant,
+        c: -m.c / determinant,
+        d: m.a / determinant,
+        e: (m.c * m.f - m.d * m.e) / determinant,
+        f: (m.b * m.e - m.a * m.f) / determinant
+    };
+}
+
+/**
+ * Not named applyMatrix: p5 in global mode puts its own applyMatrix on window
+ */
+function transformPoint(m, point) {
+    return {
+        x: m.a * point.x + m.c * point.y + m.e,
+        y: m.b * point.x + m.d * point.y + m.f
+    };
+}
+
+/**
+ * Draw a video-space mask into a new canvas-sized buffer
+ *
+ * The mask is stretched over the video's size first, whatever resolution the
+ * model returned it in. Canvas areas the video doesn't cover (letterboxing)
+ * are filled as background, so they never read as a person.
+ *
+ * @param {p5.Graphics|p5.Image} mask - Mask in video space
+ * @param {Object} transform - From createVideoTransform
+ * @returns {p5.Graphics} The mask in canvas space; remove() it when done
+ */
+function mapMaskToCanvas(mask, transform) {
+    const mapped = createGraphics(transform.target.width, transform.target.height);
+    mapped.pixelDensity(1);
+
+    const context = mapped.drawingContext;
+    const m = transform.getMatrix();
+
+    if (CONFIG.edges.foregroundIsTransparent) {
+        mapped.background(0);
+    }
+
+    context.save();
+    context.setTransform(m.a, m.b, m.c, m.d, m.e, m.f);
+    context.clearRect(0, 0, transform.source.width, transform.source.height);
+    context.drawImage(mask.elt || mask.canvas, 0, 0, transform.source.width, transform.source.height);
+    context.restore();
+
+    return mapped;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        createVideoTransform,
+        buildVideoMatrix,
+        invertMatrix,
+        transformPoint
+    };
+}
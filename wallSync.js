@@ -0,0 +1,253 @@
+/*
+ * wallSync.js - One Wall Across Several Screens
+ * THE CAPTURE STATION SHOWS IT, EVERY DISPLAY SHOWS IT TOO
+ *
+ * With CONFIG.sync.enabled, one instance is the capture station (role
+ * "capture": camera, countdown, segmentation) and any number of instances
+ * are displays (role "display": no camera, they only show captures).
+ * Every capture is sent as the same plain record persistence.js stores
+ * (outlines, image filenames, positions, colors, collage), so displays
+ * look up the photos in their own availableImages.
+ *
+ * Virtual canvas: records travel in the pixels of a shared virtual canvas.
+ * Each instance shows one section of it (CONFIG.sync.section: x, y, width,
+ * height in virtual pixels), scaled to its own canvas. Two screens side by
+ * side could use {x: 0, width: 1920} and {x: 1920, width: 1920}, while the
+ * capture station's section spans both, so its captures spread over them.
+ * Sections should have the aspect ratio of their screen, otherwise photos
+ * are stretched.
+ *
+ * Transports (CONFIG.sync.transport):
+ * - "broadcastChannel": browser windows on the same machine
+ * - "websocket": instances on different machines, through the relay in
+ *   remoteServer.js (role "wall", same token as the remote control)
+ *
+ * Messages:
+ *   {type: "add", record}           a new capture (record in virtual pixels)
+ *   {type: "remove", ids}           captures that left the wall
+ *   {type: "clear"}                 the wall was reset
+ *   {type: "snapshotRequest"}       a display (re)connected
+ *   {type: "snapshot", records}     the capture station's whole wall, the answer
+ *                                   (also sent when the capture station reconnects
+ *                                   and once its saved wall is restored)
+ *
+ * Messages sent while the transport is down are dropped; snapshots on
+ * reconnect bring every display up to date again.
+ *
+ * Displays age and evict captures by the same rules as the capture
+ * station; removals are sent anyway so deletions by operators show up.
+ */
+
+/**
+ * Map between an instance's canvas and its section of the virtual canvas
+ *
+ * @param {Object} section - {x, y, width, height} in virtual pixels
+ * @returns {{toVirtual, fromVirtual}} Each {point(p), scaleX, scaleY}
+ */
+function createSectionMapping(section, canvasWidth, canvasHeight) {
+    const scaleX = canvasWidth / section.width;
+    const scaleY = canvasHeight / section.height;
+
+    return {
+        toVirtual: {
+            point: p => ({x: section.x + p.x / scaleX, y: section.y + p.y / scaleY}),
+            scaleX: 1 / scaleX,
+            scaleY: 1 / scaleY
+        },
+        fromVirtual: {
+            point: p => ({x: (p.x - section.x) * scaleX, y: (p.y - section.y) * scaleY}),
+            scaleX: scaleX,
+            scaleY: scaleY
+        }
+    };
+}
+
+/**
+ * A copy of a stored record with every position and size mapped
+ * @param {Object} record - From serializeCommemorativeObject
+ * @param {Object} mapping - toVirtual or fromVirtual of a section mapping
+ */
+function mapCommemorativeRecord(record, mapping) {
+    const mapRect = rect => ({
+        ...rect,
+        ...mapping.point(rect),
+        width: rect.width * mapping.scaleX,
+        height: rect.height * mapping.scaleY
+    });
+
+    return {
+        ...record,
+        outlines: record.outlines.map(outline => ({
+            ...outline,
+            contours: outline.contours.map(contour => contour.map(mapping.point))
+        })),
+        images: record.images.map(mapRect),
+        collage: record.collage ? mapRect(record.collage) : null
+    };
+}
+
+/**
+ * The sync logic for one instance, independent of the transport
+ *
+ * @param {Object} options
+ * @param {string} options.role - "capture" or "display"
+ * @param {Object} options.mapping - From createSectionMapping
+ * @param {Function} options.send - Deliver a message to the other instances
+ * @param {Object} options.wall - Hooks: {getRecords, add(record), remove(ids), clear, replace(records)}
+ *   records handed to the hooks are in this instance's canvas pixels
+ */
+function createWallSync(options) {
+    const {role, mapping, send, wall} = options;
+    const isCapture = role === "capture";
+    let hasConnected = false;
+
+    function sendSnapshot() {
+        send({type: "snapshot", records: wall.getRecords().map(record => mapCommemorativeRecord(record, mapping.toVirtual))});
+    }
+
+    function receive(message) {
+        if (isCapture) {
+            // The capture station is the source of truth - it only answers displays
+            if (message.type === "snapshotRequest") sendSnapshot();
+            return;
+        }
+
+        if (message.type === "add") {
+            wall.add(mapCommemorativeRecord(message.record, mapping.fromVirtual));
+        } else if (message.type === "remove") {
+            wall.remove(message.ids);
+        } else if (message.type === "clear") {
+            wall.clear();
+        } else if (message.type === "snapshot") {
+            wall.replace(message.records.map(record => mapCommemorativeRecord(record, mapping.fromVirtual)));
+        }
+    }
+
+    /**
+     * Called whenever the transport (re)connects: displays catch up
+     * A capture station that was cut off pushes what displays missed; on its
+     * first connection it sends nothing, as its restored wall may still be loading.
+     */
+    function connected() {
+        if (!isCapture) {
+            send({type: "snapshotRequest"});
+        } else if (hasConnected) {
+            sendSnapshot();
+        }
+        hasConnected = true;
+    }
+
+    return {
+        role,
+        receive,
+        connected,
+        publishAdd(record) {
+            if (isCapture) send({type: "add", record: mapCommemorativeRecord(record, mapping.toVirtual)});
+        },
+        publishRemove(ids) {
+            if (isCapture && ids.length > 0) send({type: "remove", ids});
+        },
+        publishClear() {
+            if (isCapture) send({type: "clear"});
+        },
+        /**
+         * The whole wall, e.g. once the saved wall is restored - displays
+         * that asked before that got an empty one
+         */
+        publishSnapshot() {
+            if (isCapture) sendSnapshot();
+        }
+    };
+}
+
+// ========== TRANSPORTS ==========
+
+/**
+ * Start syncing this instance with CONFIG.sync
+ * @param {Object} wallHooks - See createWallSync
+ */
+function startWallSync(wallHooks) {
+    const settings = CONFIG.sync;
+    let transport = null;
+
+    const sync = createWallSync({
+        role: settings.role,
+        mapping: createSectionMapping(settings.section, width, height),
+        send: message => transport.send(message),
+        wall: wallHooks
+    });
+
+    transport = settings.transport === "websocket"
+        ? createWebSocketSyncTransport(settings, sync)
+        : createBroadcastChannelSyncTransport(settings, sync);
+
+    return sync;
+}
+
+function createBroadcastChannelSyncTransport(settings, sync) {
+    const channel = new BroadcastChannel(settings.channel);
+    channel.onmessage = event => sync.receive(event.data);
+
+    // Nothing to wait for
+    setTimeout(sync.connected, 0);
+
+    return {send: message => channel.postMessage(message)};
+}
+
+/**
+ * Through the relay in remoteServer.js
+ * Messages are dropped while disconnected (see connected() in createWallSync);
+ * a wrong token is reported once and not retried, like remoteControl.js.
+ */
+function createWebSocketSyncTransport(settings, sync) {
+    let socket = null;
+    let welcomed = false;
+    let refused = false;
+
+    function connect() {
+        socket = new WebSocket(settings.url);
+        welcomed = false;
+
+        socket.onopen = () => {
+            socket.send(JSON.stringify({type: "hello", role: "wall", token: settings.token}));
+        };
+        socket.onmessage = event => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                return;
+            }
+
+            if (message.type === "welcome") {
+                welcomed = true;
+                sync.connected();
+            } else if (message.type === "sync") {
+                sync.receive(message.message);
+            } else if (message.type === "error") {
+                console.warn(`Wall sync: ${message.error}`);
+                if (message.error === "unauthorized") refused = true;
+            }
+        };
+        socket.onclose = () => {
+            welcomed = false;
+            if (!refused) setTimeout(connect, settings.reconnectInterval);
+        };
+    }
+
+    connect();
+
+    return {
+        send(message) {
+            if (welcomed) socket.send(JSON.stringify({type: "sync", message}));
+        }
+    };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        createSectionMapping,
+        mapCommemorativeRecord,
+        createWallSync
+    };
+}